@@ -16,6 +16,12 @@
 'use strict';
 var Configuration = require('./lib/configuration.js');
 var AuthClient = require('./lib/google-apis/auth-client.js');
+var StdoutTransport = require('./lib/transports/stdout-transport.js');
+var FanOutTransport = require('./lib/transports/fan-out-transport.js');
+var ConsoleTransport = require('./lib/transports/console-transport.js');
+var ReportingClient = require('./lib/reporting-client.js');
+var RequestTimeoutError = require('./lib/google-apis/request-timeout-error.js');
+var ConfigurationError = require('./lib/configuration-error.js');
 // Begin error reporting interfaces
 var koa = require('./lib/interfaces/koa.js');
 var hapi = require('./lib/interfaces/hapi.js');
@@ -25,21 +31,231 @@ var restify = require('./lib/interfaces/restify');
 var uncaughtException = require('./lib/interfaces/uncaught.js');
 
 /**
+ * Every option may also be given through a namespaced `CLOUD_ERRORS_`
+ * environmental variable, for example `CLOUD_ERRORS_SERVICE` for
+ * `serviceContext.service`, which takes precedence over the given value.
  * @typedef ConfigurationOptions
  * @type Object
  * @property {String} [projectId] - the projectId of the project deployed
- * @property {String} [keyFilename] - path to a key file to use for an API key
+ * @property {String} [keyFilename] - path to a service account key file whose
+ *  credentials are used to mint access tokens in place of the application
+ *  default credentials, its `project_id` is used if no project id is given
  * @property {String} [key] - API key to use for communication with the service
- * @property {uncaughtHandlingEnum}
- *  [onUncaughtException=uncaughtHandlingEnum.ignore] - one of the uncaught
- *  handling options
+ * @property {String} [apiEndpoint] - the base URL of the Error Reporting API,
+ *  only https URLs and plain http URLs pointing at the local machine are
+ *  accepted; requests against the local machine are not authorized. The
+ *  `CLOUD_ERRORS_API_ENDPOINT` environmental variable, or its deprecated
+ *  `GCLOUD_ERRORS_API_ENDPOINT` alias, takes precedence
+ * @property {String|Object} [onUncaughtException='reportAndExit'] - how
+ *  uncaught exceptions are handled, either the mode or an object of options
+ * @property {String} [onUncaughtException.mode='reportAndExit'] - one of
+ *  `ignore`, which does not listen for uncaught exceptions, `report`, which
+ *  reports them and keeps the process running, or `reportAndExit`, which
+ *  reports them and exits the process
+ * @property {Number} [onUncaughtException.exitCode=1] - the code the process
+ *  exits with in the `reportAndExit` mode
+ * @property {Number} [onUncaughtException.timeout=10000] - the maximum time in
+ *  milliseconds to wait for pending reports to be sent
+ * @property {Function} [onUncaughtException.callback] - called with the
+ *  uncaught error, and the flush error if reports were still pending once the
+ *  timeout expired, before the process exits
+ * @property {Boolean} [reportUncaughtExceptions] - legacy alternative to
+ *  `onUncaughtException`, false selects `ignore` and true `reportAndExit`
  * @property {Object} [serviceContext] - the service context of the application
  * @property {String} [serviceContext.service] - the service the application is
  *  running on
  * @property {String} [serviceContext.version] - the version the hosting
  *  application is currently labelled as
+ * @property {Boolean|String} [autoVersion=false] - derives the version, when
+ *  not given, from `packageJson`, from the `git` commit or, given true, from
+ *  the first of them available, and attaches the commit to every report as
+ *  its source reference
+ * @property {Object} [retry] - how requests failing with a transient error are
+ *  retried
+ * @property {Number} [retry.maxRetries=4] - the maximum number of retries
+ * @property {Number} [retry.initialDelay=1000] - the delay in milliseconds
+ *  before the first retry, doubled for every following retry
+ * @property {Number} [retry.maxDelay=32000] - the maximum delay in milliseconds
+ *  between two attempts
+ * @property {String} [proxy] - the URL of the proxy requests against the
+ *  Error Reporting API and the token endpoint go through, credentials of an
+ *  authenticated proxy are given in the URL. Takes precedence over the
+ *  `HTTPS_PROXY` and `HTTP_PROXY` environmental variables
+ * @property {String} [noProxy] - comma-separated hostnames which are not
+ *  requested through the proxy. Takes precedence over the `NO_PROXY`
+ *  environmental variable
+ * @property {Object} [timeout] - how long the delivery of a report to the
+ *  Error Reporting API may take
+ * @property {Number} [timeout.socket=10000] - the time in milliseconds to
+ *  establish the connection of a request and the time the connection may stay
+ *  idle waiting for data, the connect and read timeout of every attempt
+ * @property {Number} [timeout.total=30000] - the time in milliseconds after
+ *  which the delivery of a report, retries included, is given up and the
+ *  request in flight aborted
+ * @property {Boolean|Object} [batching=false] - buffer reports in a queue and
+ *  send them in batches, given true the default queue options are used
+ * @property {Number} [batching.maxBatchSize=10] - the number of queued reports
+ *  which triggers a flush and the maximum number of reports sent at once
+ * @property {Number} [batching.flushInterval=1000] - the maximum time in
+ *  milliseconds a report waits in the queue
+ * @property {Number} [batching.maxQueueSize=100] - the maximum number of
+ *  queued reports
+ * @property {String} [batching.dropPolicy='dropOldest'] - which report to drop
+ *  when the queue is full, one of `dropOldest` or `dropNewest`
+ * @property {Boolean|Object} [rateLimit=false] - suppress reports of the same
+ *  error beyond a number of reports per window and send a summary of the
+ *  suppressed reports at the end of each window, given true the default rate
+ *  limiting options are used
+ * @property {Number} [rateLimit.maxPerGroup=10] - the number of reports sharing
+ *  the same message and top stack frame sent per window
+ * @property {Number} [rateLimit.maxGlobal=100] - the number of reports sent per
+ *  window across all errors
+ * @property {Number} [rateLimit.window=60000] - the window in milliseconds
+ * @property {Boolean|Object} [circuitBreaker] - stop requesting against the
+ *  Error Reporting API once it fails consistently, enabled by default and
+ *  disabled if given false
+ * @property {Number} [circuitBreaker.failureThreshold=5] - the number of
+ *  consecutive failed requests which opens the circuit breaker
+ * @property {Number} [circuitBreaker.resetTimeout=30000] - the time in
+ *  milliseconds the circuit breaker stays open before probing the API
+ * @property {Object} [spool] - persist reports which could not be delivered
+ *  and replay them on the next startup
+ * @property {String} spool.directory - the directory holding the spool files
+ * @property {Number} [spool.maxSize=1048576] - the maximum size in bytes of the
+ *  spool directory
+ * @property {Number} [spool.maxAge=86400000] - the maximum age in milliseconds
+ *  of a spooled report, older reports are discarded instead of replayed
+ * @property {String|Transport} [transport='api'] - how reports are delivered,
+ *  either the name of a built-in transport or a custom transport. `api` sends
+ *  reports to the Stackdriver Error Reporting API and `stdout` writes them to
+ *  stdout as `ReportedErrorEvent` structured log entries
+ * @property {String} [reportMode='auto'] - one of `api`, which always
+ *  delivers reports, `console`, which renders them on stderr, `disabled`,
+ *  which drops them, or `auto`, which delivers them only if `NODE_ENV` is
+ *  `production`. The `CLOUD_ERRORS_REPORT_MODE` environmental variable, or its
+ *  deprecated `GCLOUD_ERRORS_REPORT_MODE` alias, takes precedence
+ * @property {Array<Object>} [destinations] - additional destinations every
+ *  report is delivered to besides the project of the configuration
+ * @property {String|Number} destinations[].projectId - the project id or
+ *  project number of the destination
+ * @property {String} [destinations[].key] - API key to use for the destination
+ * @property {String} [destinations[].keyFilename] - path to a service account
+ *  key file whose credentials are used for the destination
+ * @property {String|Transport} [destinations[].transport='api'] - how reports
+ *  are delivered to the destination
+ * @property {Function} [destinations[].filter] - given each report, returns
+ *  whether it should be delivered to the destination
+ * @property {Boolean} [strictConfiguration=false] - whether unknown options and
+ *  options of the wrong type throw a ConfigurationError, rather than being
+ *  warned about and ignored
+ * @property {Function} [filter] - given each report, returns whether it
+ *  should be delivered at all; reports it rejects are dropped
+ * @property {String|Number} [logLevel='warn'] - the level of the diagnostics
+ *  logged by the library, one of `silent`, `error`, `warn`, `info` or `debug`
+ *  or the number of the level from 0 to 4
+ * @property {Object} [logger] - the logger diagnostics are written to instead
+ *  of stderr, such as console or a winston or bunyan logger; each message is
+ *  given to the function named after its level or, failing that, to `log`
  */
 
+/**
+ * A transport delivers reports to their destination. The Stackdriver Error
+ * Reporting API client is the default transport, any object implementing the
+ * same `sendError` function may be given in its place through the `transport`
+ * configuration option. The transport is given one report at a time; batching,
+ * spooling and flushing are handled before reports reach the transport and
+ * apply to every transport alike.
+ * @typedef Transport
+ * @type Object
+ * @property {Function} sendError - Delivers a single report. Called with the
+ *  `ErrorMessage` to deliver and a callback which must be called exactly once
+ *  with the outcome of the delivery: `(err, response, body)` where `err` is
+ *  null on success. An error carrying a numeric `code` of 408, 429 or 500 and
+ *  above, or a string socket error `code`, is considered transient.
+ * @property {Function} [on] - Transports which are EventEmitters may emit a
+ *  `retry` event, with the report, the error, the number of the failed attempt
+ *  and the delay before the next attempt, which is forwarded by the client
+ */
+
+/* @const {Object} the constructors of the built-in transports keyed by name */
+var BUILT_IN_TRANSPORTS = {
+  api: AuthClient,
+  stdout: StdoutTransport
+};
+
+/**
+ * Creates the transport selected by the configuration: a custom transport is
+ * used as given, a built-in transport is instantiated by name and the API
+ * client is used when no transport was selected.
+ * @function createTransport
+ * @private
+ * @param {Configuration} config - the configuration instance
+ * @returns {Transport} - the transport which will deliver reports
+ */
+function createTransport ( config ) {
+  var transport = config.getTransport() || 'api';
+
+  if (BUILT_IN_TRANSPORTS.hasOwnProperty(transport)) {
+    return new BUILT_IN_TRANSPORTS[transport](config);
+  }
+  return transport;
+}
+
+/**
+ * Creates the transport delivering reports to the project of the
+ * configuration and, if the configuration has additional destinations, wraps
+ * it in a transport fanning every report out to each of the destinations as
+ * well. Every destination gets its own transport created from the view of the
+ * configuration for that destination. In the `console` report mode reports are
+ * only rendered on stderr, whatever the transport and destinations.
+ * @function createDeliveryTransport
+ * @private
+ * @param {Configuration} config - the configuration instance
+ * @returns {Transport} - the transport which will deliver reports
+ */
+function createDeliveryTransport ( config ) {
+  var transport;
+  var destinations = config.getDestinations();
+
+  if (config.getReportMode() === 'console') {
+    return new ConsoleTransport(config);
+  }
+  transport = createTransport(config);
+  if (!destinations) {
+    return transport;
+  }
+  return new FanOutTransport([{config: config, transport: transport}].concat(
+    destinations.map(function (destination) {
+      var view = config.forDestination(destination);
+      return {config: view, transport: createTransport(view),
+        filter: destination.filter};
+    })));
+}
+
+/**
+ * Keeps the client in line with the configuration once options have been
+ * changed through `configure`: the delivery transport is created again if the
+ * report mode changed from or to `console`, which decides whether reports are
+ * rendered on stderr or delivered, and the changes are emitted as the `change`
+ * event of the client so that the hosting application can observe them.
+ * @function handleConfigurationChange
+ * @private
+ * @param {Configuration} config - the configuration instance
+ * @param {ReportingClient} client - the client delivering reports
+ * @param {Object} changes - the changed options, each holding its `previous`
+ *  and its `current` value
+ * @returns {Undefined} - does not return anything
+ */
+function handleConfigurationChange ( config, client, changes ) {
+  var reportMode = changes.reportMode;
+
+  if (reportMode && (reportMode.previous === 'console') !==
+    (reportMode.current === 'console')) {
+    client.setTransport(createDeliveryTransport(config));
+  }
+  client.emit('change', changes);
+}
+
 /**
  * @typedef ApplicationErrorReportingInterface
  * @type Object
@@ -48,6 +264,26 @@ var uncaughtException = require('./lib/interfaces/uncaught.js');
  *  Stackdriver Error Reporting Service
  * @property {Function} express - The express plugin for Stackdriver Error
  *  Reporting
+ * @property {Function} flush - Waits, up to an optional timeout in
+ *  milliseconds, for every pending report to be sent and then calls back
+ * @property {Function} close - Stops accepting reports and returns a Promise
+ *  which resolves once every pending report has been sent or the optional
+ *  timeout in milliseconds has expired
+ * @property {Function} on - Listens to the delivery events of the client:
+ *  `report`, `sent`, `failed`, `dropped`, `retry` and `truncated`, and to the
+ *  `change` event emitted once `configure` has changed options. Like `once`
+ *  and `removeListener` it returns the interface for chaining
+ * @property {Function} configure - Changes the `serviceContext`,
+ *  `reportMode`, `filter`, `onUncaughtException` and `logLevel` options of the
+ *  running error handler
+ * @property {Function} once - Listens to the next delivery event of the client
+ * @property {Function} removeListener - Stops listening to a delivery event
+ * @property {Function} getCircuitBreakerState - Returns the state of the
+ *  circuit breaker of the Error Reporting API client, or null if it is
+ *  disabled or a different transport is used
+ * @property {Function} getServiceContextSource - Returns where the service
+ *  and version of the service context came from, for example `cloudRun`,
+ *  `configuration` or `default`
  */
 
 /**
@@ -65,19 +301,57 @@ var uncaughtException = require('./lib/interfaces/uncaught.js');
 function initializeClientAndInterfaces ( initConfiguration ) {
 
   var config = new Configuration(initConfiguration).init();
-  var client = new AuthClient(config);
+  var client = new ReportingClient(config, createDeliveryTransport(config));
+  var api;
+
+  config.on('change', handleConfigurationChange.bind(null, config, client));
 
   // Setup the uncaught exception handler
   uncaughtException(client, config);
 
   // Return the application interfaces for use by the hosting application
-  return {
+  api = {
     koa: koa(client, config),
     hapi: hapi(client, config),
     report: manual(client, config),
     express: express(client, config),
-    restify: restify(client, config)
+    restify: restify(client, config),
+    flush: client.flush.bind(client),
+    close: client.close.bind(client),
+    configure: config.configure.bind(config),
+    getCircuitBreakerState: client.getCircuitBreakerState.bind(client),
+    getServiceContextSource: config.getServiceContextSource.bind(config),
+    // The listener methods return the interface rather than the client so
+    // that chained calls stay on the interface
+    on: function ( event, listener ) {
+      client.on(event, listener);
+      return api;
+    },
+    once: function ( event, listener ) {
+      client.once(event, listener);
+      return api;
+    },
+    removeListener: function ( event, listener ) {
+      client.removeListener(event, listener);
+      return api;
+    }
   };
+
+  return api;
 }
 
+/**
+ * The error given to report callbacks when a request against the Error
+ * Reporting API timed out.
+ * @type {RequestTimeoutError}
+ */
+initializeClientAndInterfaces.RequestTimeoutError = RequestTimeoutError;
+
+/**
+ * The error thrown when the `strictConfiguration` option is set and the
+ * configuration holds unknown options or options of the wrong type.
+ * @type {ConfigurationError}
+ */
+initializeClientAndInterfaces.ConfigurationError = ConfigurationError;
+
 module.exports = initializeClientAndInterfaces;
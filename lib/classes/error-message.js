@@ -63,6 +63,11 @@ var isObject = lodash.isObject;
  *  report site
  * @property {String} context.reportLocation.functionName - the function name of
  *  the report site
+ * @property {Array<Object>} [context.sourceReferences] - the source code the
+ *  service was built from, only present once set
+ * @property {String} [context.sourceReferences[].repository] - the URL of the
+ *  repository
+ * @property {String} context.sourceReferences[].revisionId - the commit id
  */
 function ErrorMessage() {
 
@@ -262,6 +267,40 @@ ErrorMessage.prototype.setFunctionName = function(functionName) {
   return this;
 };
 
+/**
+ * Sets the context.sourceReferences property on the instance. References
+ * without a string revisionId are skipped and the property is removed if no
+ * reference remains.
+ * @function setSourceReferences
+ * @chainable
+ * @param {Array<Object>} sourceReferences - the source references, each with
+ *  a `revisionId` and optionally a `repository`
+ * @returns {this} - returns the instance for chaining
+ */
+ErrorMessage.prototype.setSourceReferences = function(sourceReferences) {
+
+  var references = (Array.isArray(sourceReferences) ? sourceReferences : [])
+      .filter(function(reference) {
+        return isObject(reference) && isString(reference.revisionId);
+      })
+      .map(function(reference) {
+        return isString(reference.repository) ?
+            {repository : reference.repository,
+             revisionId : reference.revisionId} :
+            {revisionId : reference.revisionId};
+      });
+
+  if (references.length > 0) {
+
+    this.context.sourceReferences = references;
+  } else {
+
+    delete this.context.sourceReferences;
+  }
+
+  return this;
+};
+
 /**
  * Consumes the standard object created by the requestInformationExtractors
  * and assigns the properties of the object onto the instance.
@@ -0,0 +1,218 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isString = lodash.isString;
+
+/**
+ * The default rate limiting options, these are used for any option that is not
+ * given or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_RATE_LIMIT_OPTIONS = {
+  maxPerGroup: 10,
+  maxGlobal: 100,
+  window: 60000
+};
+
+/* @const {RegExp} matches the lines of a stack trace naming a stack frame */
+var STACK_FRAME = /^\s*at\s/;
+
+/**
+ * A token bucket holding up to `capacity` tokens which refills continuously at
+ * a rate of `capacity` tokens per window.
+ * @function createBucket
+ * @private
+ * @param {Number} capacity - the maximum number of tokens of the bucket
+ * @param {Number} now - the current time in milliseconds
+ * @returns {Object} - the bucket, initially full
+ */
+function createBucket(capacity, now) {
+  return {capacity: capacity, tokens: capacity, refilledAt: now};
+}
+
+/**
+ * Refills the given bucket for the time elapsed since it was last refilled.
+ * @function refill
+ * @private
+ * @param {Object} bucket - the bucket to refill
+ * @param {Number} window - the window in milliseconds
+ * @param {Number} now - the current time in milliseconds
+ * @returns {Undefined} - does not return anything
+ */
+function refill(bucket, window, now) {
+  bucket.tokens = Math.min(bucket.capacity,
+    bucket.tokens + (now - bucket.refilledAt) * bucket.capacity / window);
+  bucket.refilledAt = now;
+}
+
+/**
+ * The RateLimiter constructor accepts an optional object of rate limiting
+ * options and a function which will be given the summary reports.
+ * @class RateLimiter
+ * @classdesc The RateLimiter class keeps an error which is reported in a hot
+ *  loop from turning into as many requests. Reports are grouped by signature,
+ *  the first line of the message and the top stack frame, and each group is
+ *  given a token bucket allowing `maxPerGroup` reports per window. A global
+ *  token bucket additionally allows at most `maxGlobal` reports per window
+ *  across all groups. Both buckets refill continuously. Reports arriving at an
+ *  empty bucket are suppressed and counted against their group; at the end of
+ *  every window a summary report stating how many occurrences were suppressed
+ *  is handed to the summary handler for each group which had reports
+ *  suppressed. The window timer does not keep the process alive.
+ * @param {Object} [options] - the rate limiting options
+ * @param {Number} [options.maxPerGroup=10] - the number of reports of a single
+ *  group allowed per window
+ * @param {Number} [options.maxGlobal=100] - the number of reports allowed per
+ *  window across all groups
+ * @param {Number} [options.window=60000] - the window in milliseconds
+ * @param {Function} summaryHandler - called with each summary report
+ */
+function RateLimiter(options, summaryHandler) {
+  var given = isObject(options) ? options : {};
+  var key;
+  for (key in DEFAULT_RATE_LIMIT_OPTIONS) {
+    if (DEFAULT_RATE_LIMIT_OPTIONS.hasOwnProperty(key)) {
+      this[key] = isNumber(given[key]) && isFinite(given[key]) &&
+        given[key] >= 1 ? given[key] : DEFAULT_RATE_LIMIT_OPTIONS[key];
+    }
+  }
+  this._summaryHandler = isFunction(summaryHandler) ? summaryHandler :
+    function() {};
+  this._global = createBucket(this.maxGlobal, Date.now());
+  this._groups = {};
+  this._timer = setInterval(this.summarize.bind(this), this.window);
+  if (isFunction(this._timer.unref)) {
+    this._timer.unref();
+  }
+}
+
+/**
+ * Computes the signature grouping the given report: the first line of its
+ * message and its top stack frame.
+ * @function getSignature
+ * @static
+ * @param {ErrorMessage} errorMessage - the report to compute the signature of
+ * @returns {String} - the signature of the report
+ */
+RateLimiter.getSignature = function(errorMessage) {
+  var lines = isString(errorMessage.message) ?
+    errorMessage.message.split('\n') : [''];
+  var frame = lodash.find(lines, function(line) {
+    return STACK_FRAME.test(line);
+  });
+  return lines[0] + '\n' + (isString(frame) ? frame.trim() : '');
+};
+
+/**
+ * Takes a token from both the bucket of the report's group and the global
+ * bucket if both have one left. Otherwise the report is counted as suppressed
+ * against its group.
+ * @function take
+ * @param {ErrorMessage} errorMessage - the report to be sent
+ * @returns {Boolean} - true if the report may be sent, false if it was
+ *  suppressed
+ */
+RateLimiter.prototype.take = function(errorMessage) {
+  var now = Date.now();
+  var signature = RateLimiter.getSignature(errorMessage);
+  var group = this._groups[signature];
+  if (!group) {
+    group = this._groups[signature] = {
+      bucket: createBucket(this.maxPerGroup, now),
+      suppressed: 0,
+      sample: null
+    };
+  }
+  refill(group.bucket, this.window, now);
+  refill(this._global, this.window, now);
+  if (group.bucket.tokens < 1 || this._global.tokens < 1) {
+    group.suppressed += 1;
+    group.sample = errorMessage;
+    return false;
+  }
+  group.bucket.tokens -= 1;
+  this._global.tokens -= 1;
+  return true;
+};
+
+/**
+ * Creates the summary report of a group from the last report suppressed in it.
+ * The summary keeps the stack trace and context of the suppressed report so
+ * that it is grouped with the reports it summarizes.
+ * @function _createSummary
+ * @private
+ * @param {ErrorMessage} sample - the last suppressed report of the group
+ * @param {Number} suppressed - the number of suppressed reports
+ * @returns {ErrorMessage} - the summary report
+ */
+RateLimiter.prototype._createSummary = function(sample, suppressed) {
+  var summary = lodash.cloneDeep(sample);
+  var lines = summary.message.split('\n');
+  lines[0] += ' [' + suppressed + ' occurrences suppressed by rate limiting ' +
+    'in the last ' + this.window + 'ms]';
+  summary.setEventTimeToNow();
+  summary.setMessage(lines.join('\n'));
+  return summary;
+};
+
+/**
+ * Hands a summary report to the summary handler for every group which had
+ * reports suppressed since the last summary, then forgets the groups which
+ * have no report to summarize and a full bucket.
+ * @function summarize
+ * @returns {Undefined} - does not return anything
+ */
+RateLimiter.prototype.summarize = function() {
+  var now = Date.now();
+  var signature;
+  var group;
+  for (signature in this._groups) {
+    if (this._groups.hasOwnProperty(signature)) {
+      group = this._groups[signature];
+      if (group.suppressed > 0) {
+        this._summaryHandler(this._createSummary(group.sample,
+          group.suppressed));
+        group.suppressed = 0;
+        group.sample = null;
+      }
+      refill(group.bucket, this.window, now);
+      if (group.bucket.tokens >= group.bucket.capacity) {
+        delete this._groups[signature];
+      }
+    }
+  }
+};
+
+/**
+ * Stops the window timer and hands the summary of the current window to the
+ * summary handler.
+ * @function stop
+ * @returns {Undefined} - does not return anything
+ */
+RateLimiter.prototype.stop = function() {
+  clearInterval(this._timer);
+  this.summarize();
+};
+
+RateLimiter.DEFAULT_RATE_LIMIT_OPTIONS = DEFAULT_RATE_LIMIT_OPTIONS;
+
+module.exports = RateLimiter;
@@ -0,0 +1,246 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+
+/**
+ * The drop policies which may be given to a ReportQueue. When the queue is full
+ * `dropOldest` will discard the report which has been queued the longest to
+ * make room for the new report while `dropNewest` will discard the new report.
+ * @const {Object}
+ */
+var DROP_POLICIES = {
+  dropOldest: 'dropOldest',
+  dropNewest: 'dropNewest'
+};
+
+/**
+ * The default queue options, these are used for any option that is not given
+ * or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_QUEUE_OPTIONS = {
+  maxBatchSize: 10,
+  flushInterval: 1000,
+  maxQueueSize: 100,
+  dropPolicy: DROP_POLICIES.dropOldest
+};
+
+/**
+ * A function which does nothing, used in place of callbacks which were not
+ * given.
+ * @function noOp
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+function noOp() {}
+
+/**
+ * The ReportQueue constructor accepts an optional object of queue options and a
+ * function which will be given each batch of queued reports to deliver.
+ * @class ReportQueue
+ * @classdesc The ReportQueue class buffers error messages in memory and hands
+ *  them to its flush handler in batches. A batch is flushed once the queue
+ *  holds `maxBatchSize` reports or `flushInterval` milliseconds after the first
+ *  report was queued, whichever comes first. Only one batch is handed to the
+ *  flush handler at a time so the number of reports being delivered at once
+ *  never exceeds `maxBatchSize`. The queue never holds more than `maxQueueSize`
+ *  reports; once it is full reports are dropped according to `dropPolicy` and
+ *  the callback of every dropped report is called with an error.
+ * @param {Object} [options] - the queue options
+ * @param {Number} [options.maxBatchSize=10] - the number of queued reports
+ *  which triggers a flush and the maximum size of a batch
+ * @param {Number} [options.flushInterval=1000] - the maximum time in
+ *  milliseconds a report waits in the queue before a flush is triggered
+ * @param {Number} [options.maxQueueSize=100] - the maximum number of reports
+ *  held by the queue
+ * @param {String} [options.dropPolicy='dropOldest'] - one of `dropOldest` or
+ *  `dropNewest`
+ * @param {ReportQueue~flushHandler} flushHandler - the function delivering a
+ *  batch of queued reports
+ */
+function ReportQueue(options, flushHandler) {
+  var given = isObject(options) ? options : {};
+  var key;
+  for (key in DEFAULT_QUEUE_OPTIONS) {
+    if (DEFAULT_QUEUE_OPTIONS.hasOwnProperty(key)) {
+      this[key] = DEFAULT_QUEUE_OPTIONS[key];
+    }
+  }
+  if (isNumber(given.maxBatchSize) && given.maxBatchSize >= 1) {
+    this.maxBatchSize = Math.floor(given.maxBatchSize);
+  }
+  if (isNumber(given.flushInterval) && given.flushInterval >= 0) {
+    this.flushInterval = given.flushInterval;
+  }
+  if (isNumber(given.maxQueueSize) && given.maxQueueSize >= 1) {
+    this.maxQueueSize = Math.floor(given.maxQueueSize);
+  }
+  if (DROP_POLICIES.hasOwnProperty(given.dropPolicy)) {
+    this.dropPolicy = given.dropPolicy;
+  }
+  this._flushHandler = isFunction(flushHandler) ? flushHandler :
+    function(batch, done) { done(); };
+  this._items = [];
+  this._timer = null;
+  this._flushing = false;
+  this._draining = false;
+  this._droppedCount = 0;
+}
+
+/**
+ * Adds a report to the queue, dropping a report if the queue is full, and
+ * triggers or schedules a flush of the queue.
+ * @function add
+ * @chainable
+ * @param {ErrorMessage} errorMessage - the report to queue
+ * @param {Function} [callback] - called once the report has been delivered,
+ *  has failed to be delivered or has been dropped
+ * @returns {this} - returns the instance for chaining
+ */
+ReportQueue.prototype.add = function(errorMessage, callback) {
+  var item = {
+    errorMessage: errorMessage,
+    callback: isFunction(callback) ? callback : noOp
+  };
+  if (this._items.length >= this.maxQueueSize) {
+    if (this.dropPolicy === DROP_POLICIES.dropNewest) {
+      this._drop(item);
+      return this;
+    }
+    this._drop(this._items.shift());
+  }
+  this._items.push(item);
+  if (this._items.length >= this.maxBatchSize) {
+    this.flush();
+  } else {
+    this._scheduleFlush();
+  }
+  return this;
+};
+
+/**
+ * Calls back to the callback of a dropped report with an error indicating that
+ * the report was dropped because the queue was full. The error has its
+ * `dropped` property set to true.
+ * @function _drop
+ * @private
+ * @param {Object} item - the queued item holding the report and its callback
+ * @returns {Undefined} - does not return anything
+ */
+ReportQueue.prototype._drop = function(item) {
+  var err = new Error('Report dropped: the report queue is full (' +
+    this.maxQueueSize + ' reports)');
+  err.dropped = true;
+  this._droppedCount += 1;
+  item.callback(err, null, null);
+};
+
+/**
+ * Schedules a flush of the queue after `flushInterval` milliseconds unless one
+ * has already been scheduled.
+ * @function _scheduleFlush
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+ReportQueue.prototype._scheduleFlush = function() {
+  if (this._timer === null && this._items.length > 0) {
+    this._timer = setTimeout(this.flush.bind(this), this.flushInterval);
+  }
+};
+
+/**
+ * Hands the next batch of queued reports to the flush handler. If a batch is
+ * already being flushed the call has no effect; the remaining reports will be
+ * flushed once the flush handler has completed.
+ * @function flush
+ * @chainable
+ * @returns {this} - returns the instance for chaining
+ */
+ReportQueue.prototype.flush = function() {
+  var that = this;
+  var batch;
+  if (this._timer !== null) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  if (this._items.length === 0) {
+    this._draining = false;
+    return this;
+  } else if (this._flushing) {
+    return this;
+  }
+  this._flushing = true;
+  batch = this._items.splice(0, this.maxBatchSize);
+  this._flushHandler(batch, function() {
+    that._flushing = false;
+    if (that._draining || that._items.length >= that.maxBatchSize) {
+      that.flush();
+    } else {
+      that._scheduleFlush();
+    }
+  });
+  return this;
+};
+
+/**
+ * Flushes batch after batch, without waiting for the flush interval, until the
+ * queue is empty. Reports added while the queue is draining are drained too.
+ * @function drain
+ * @chainable
+ * @returns {this} - returns the instance for chaining
+ */
+ReportQueue.prototype.drain = function() {
+  this._draining = true;
+  return this.flush();
+};
+
+/**
+ * Returns the number of reports currently held by the queue, this does not
+ * include the reports of a batch which is being flushed.
+ * @function size
+ * @returns {Number} - the number of queued reports
+ */
+ReportQueue.prototype.size = function() {
+  return this._items.length;
+};
+
+/**
+ * Returns the number of reports dropped by the queue since it was created.
+ * @function getDroppedCount
+ * @returns {Number} - the number of dropped reports
+ */
+ReportQueue.prototype.getDroppedCount = function() {
+  return this._droppedCount;
+};
+
+/**
+ * The flushHandler function is given a batch of queued items, each holding an
+ * `errorMessage` and a `callback`, and must call the callback of every item
+ * with the outcome of its delivery before calling `done`.
+ * @callback ReportQueue~flushHandler
+ * @param {Array<Object>} batch - the items to deliver
+ * @param {Function} done - called once every item of the batch is settled
+ */
+
+ReportQueue.DROP_POLICIES = DROP_POLICIES;
+ReportQueue.DEFAULT_QUEUE_OPTIONS = DEFAULT_QUEUE_OPTIONS;
+
+module.exports = ReportQueue;
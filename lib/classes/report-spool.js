@@ -0,0 +1,364 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isString = lodash.isString;
+var isFunction = lodash.isFunction;
+var isArray = lodash.isArray;
+var isTransient = require('../transient-errors.js').isTransient;
+
+/* @const {String} the extension of spool files */
+var SPOOL_EXTENSION = '.jsonl';
+
+/* @const {String} the infix of spool files claimed for replay by a process */
+var REPLAY_INFIX = '.replaying-';
+
+/**
+ * The default spool options, these are used for any option that is not given
+ * or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_SPOOL_OPTIONS = {
+  maxSize: 1024 * 1024,
+  maxAge: 24 * 60 * 60 * 1000
+};
+
+/**
+ * A function which does nothing, used in place of callbacks which were not
+ * given.
+ * @function noOp
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+function noOp() {}
+
+/**
+ * Determines whether the process with the given pid is still running.
+ * @function isProcessAlive
+ * @private
+ * @param {Number} pid - the process id
+ * @returns {Boolean} - true if the process is running, false otherwise
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * The ReportSpool constructor accepts an object of spool options, of which only
+ * the directory is required.
+ * @class ReportSpool
+ * @classdesc The ReportSpool class persists reports which could not be
+ *  delivered to a spool directory so that they can be replayed by a later
+ *  process. Each process appends the reports it spools as JSON lines to its
+ *  own spool file. When replaying, a process claims every spool file in the
+ *  directory by renaming it, which ensures that two processes never replay the
+ *  same file, and deletes the file once every report has been handed off.
+ *  Files claimed by a process which died while replaying are claimed again.
+ *  The spool never grows beyond `maxSize` bytes; reports spooled once it is
+ *  full are dropped. Reports which were spooled more than `maxAge`
+ *  milliseconds ago are discarded instead of being replayed. A report may be
+ *  spooled along with the projects it still has to be delivered to, which
+ *  are handed back with it when it is replayed. A replayed report which fails
+ *  to be delivered again is spooled again with the time it was first spooled
+ *  at, so that it still expires `maxAge` milliseconds after its first
+ *  failure.
+ * @param {Object} options - the spool options
+ * @param {String} options.directory - the directory holding the spool files
+ * @param {Number} [options.maxSize=1048576] - the maximum size in bytes of
+ *  all spool files in the directory
+ * @param {Number} [options.maxAge=86400000] - the maximum age in milliseconds
+ *  of a spooled report
+ * @property {String} directory - the directory holding the spool files
+ * @property {Number} maxSize - the maximum size of the spool in bytes
+ * @property {Number} maxAge - the maximum age of a spooled report in ms
+ */
+function ReportSpool(options) {
+  var given = isObject(options) ? options : {};
+  this.directory = path.resolve(isString(given.directory) ?
+    given.directory : '.');
+  this.maxSize = isNumber(given.maxSize) && given.maxSize > 0 ?
+    given.maxSize : DEFAULT_SPOOL_OPTIONS.maxSize;
+  this.maxAge = isNumber(given.maxAge) && given.maxAge > 0 ?
+    given.maxAge : DEFAULT_SPOOL_OPTIONS.maxAge;
+  this._fileName = path.join(this.directory,
+    ['reports', process.pid, Date.now()].join('-') + SPOOL_EXTENSION);
+  this._size = -1;
+  this._droppedCount = 0;
+}
+
+/**
+ * Determines whether a delivery error warrants spooling the report. Only
+ * transient errors, which may resolve themselves, are spooled, see
+ * `isTransient`. Errors produced before a request was made, for example
+ * configuration errors, and other client errors are not spooled since
+ * replaying the report would fail in the same way.
+ * @function isSpoolable
+ * @static
+ * @param {Error|Null} err - the delivery error
+ * @returns {Boolean} - true if the report should be spooled, false otherwise
+ */
+ReportSpool.isSpoolable = function(err) {
+  return isTransient(err);
+};
+
+/**
+ * Lists the spool files in the spool directory which may be replayed: spool
+ * files which have not been claimed yet and files claimed by a process which is
+ * no longer running. The spool file of this instance is never listed.
+ * @function _listReplayableFiles
+ * @private
+ * @returns {Array<String>} - the absolute paths of the replayable files
+ */
+ReportSpool.prototype._listReplayableFiles = function() {
+  var that = this;
+  var names;
+  try {
+    names = fs.readdirSync(this.directory);
+  } catch (e) {
+    return [];
+  }
+  return names.filter(function(name) {
+    var index = name.indexOf(REPLAY_INFIX);
+    if (index !== -1) {
+      return !isProcessAlive(parseInt(name.slice(index + REPLAY_INFIX.length),
+        10));
+    }
+    return path.extname(name) === SPOOL_EXTENSION;
+  }).map(function(name) {
+    return path.join(that.directory, name);
+  }).filter(function(fileName) {
+    return fileName !== that._fileName;
+  });
+};
+
+/**
+ * Computes the size in bytes of every spool file in the spool directory.
+ * @function _computeSize
+ * @private
+ * @returns {Number} - the size of the spool in bytes
+ */
+ReportSpool.prototype._computeSize = function() {
+  var that = this;
+  var names;
+  try {
+    names = fs.readdirSync(this.directory);
+  } catch (e) {
+    return 0;
+  }
+  return names.reduce(function(size, name) {
+    try {
+      return size + fs.statSync(path.join(that.directory, name)).size;
+    } catch (e) {
+      return size;
+    }
+  }, 0);
+};
+
+/**
+ * The details a report is spooled with, as handed back by `replay`.
+ * @typedef {Object} ReportSpool~SpoolDetails
+ * @property {Array<String>|Null} [projects] - the projects the report still
+ *  has to be delivered to, every project if not given
+ * @property {String} [spooledAt] - the ISO 8601 time the report was first
+ *  spooled at, now if not given
+ */
+
+/**
+ * Serializes the given reports into JSON lines, dropping every report which
+ * would grow the spool beyond its maximum size.
+ * @function _serialize
+ * @private
+ * @param {Array<ErrorMessage>} errorMessages - the reports to serialize
+ * @param {ReportSpool~SpoolDetails} [details] - the details of the reports
+ * @returns {String} - the JSON lines of the reports which were not dropped
+ */
+ReportSpool.prototype._serialize = function(errorMessages, details) {
+  var that = this;
+  var given = isObject(details) ? details : {};
+  var projects = given.projects;
+  var spooledAt = isString(given.spooledAt) ? given.spooledAt :
+    (new Date()).toISOString();
+  if (this._size < 0) {
+    this._size = this._computeSize();
+  }
+  return errorMessages.map(function(errorMessage) {
+    var entry = {spooledAt: spooledAt, report: errorMessage};
+    var line;
+    var length;
+    if (isArray(projects)) {
+      entry.projects = projects;
+    }
+    line = JSON.stringify(entry) + '\n';
+    length = Buffer.byteLength(line);
+    if (that._size + length > that.maxSize) {
+      that._droppedCount += 1;
+      return '';
+    }
+    that._size += length;
+    return line;
+  }).join('');
+};
+
+/**
+ * Appends the given report to the spool file of this instance.
+ * @function write
+ * @param {ErrorMessage} errorMessage - the report to spool
+ * @param {ReportSpool~SpoolDetails} [details] - the details of the report,
+ *  given when spooling a replayed report again
+ * @param {Function} [callback] - called with an error if the report could not
+ *  be written or was dropped because the spool is full
+ * @returns {Undefined} - does not return anything
+ */
+ReportSpool.prototype.write = function(errorMessage, details, callback) {
+  var that = this;
+  var cb = lodash.find([details, callback], isFunction) || noOp;
+  var lines = this._serialize([errorMessage],
+    isFunction(details) ? undefined : details);
+  if (lines === '') {
+    cb(new Error('Report dropped: the spool is full (' + this.maxSize +
+      ' bytes)'));
+    return;
+  }
+  fs.mkdir(this.directory, function() {
+    fs.appendFile(that._fileName, lines, cb);
+  });
+};
+
+/**
+ * Synchronously appends the given reports to the spool file of this instance.
+ * This function is meant to be used while the process is exiting, when
+ * asynchronous I/O will not complete. Errors are swallowed since there is no
+ * one left to report them to.
+ * @function writeSync
+ * @param {Array<ErrorMessage>} errorMessages - the reports to spool
+ * @param {ReportSpool~SpoolDetails} [details] - the details of the reports,
+ *  given when spooling a replayed report again
+ * @returns {Undefined} - does not return anything
+ */
+ReportSpool.prototype.writeSync = function(errorMessages, details) {
+  var lines = this._serialize(errorMessages, details);
+  if (lines === '') {
+    return;
+  }
+  try {
+    try {
+      fs.mkdirSync(this.directory);
+    } catch (e) {
+      // the directory already exists
+    }
+    fs.appendFileSync(this._fileName, lines);
+  } catch (e) {
+    // nothing left to report to while exiting
+  }
+};
+
+/**
+ * Reads a claimed spool file and returns every entry in it whose report has
+ * not exceeded the maximum age. Lines which cannot be parsed are skipped.
+ * @function _readEntries
+ * @private
+ * @param {String} fileName - the path of the claimed spool file
+ * @returns {Array<Object>} - the entries of the file, each holding the
+ *  `report` and its `details`
+ */
+ReportSpool.prototype._readEntries = function(fileName) {
+  var that = this;
+  var now = Date.now();
+  var content;
+  try {
+    content = fs.readFileSync(fileName, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  return content.split('\n').reduce(function(entries, line) {
+    var entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      return entries;
+    }
+    if (isObject(entry) && isObject(entry.report) &&
+      now - Date.parse(entry.spooledAt) <= that.maxAge) {
+      entries.push({report: entry.report, details: {
+        projects: isArray(entry.projects) ? entry.projects : null,
+        spooledAt: entry.spooledAt}});
+    }
+    return entries;
+  }, []);
+};
+
+/**
+ * Claims every replayable spool file in the spool directory and hands each of
+ * the reports they contain to the given send function. A claimed file is
+ * deleted once it has been read, so reports which fail to be delivered again
+ * must be spooled again by the send function.
+ * @function replay
+ * @param {Function} send - called with each replayed report and its
+ *  details, whose `projects` are null if it was spooled for every project.
+ *  The details are meant to be given back to `write` if the report is
+ *  spooled again
+ * @returns {Number} - the number of reports handed to the send function
+ */
+ReportSpool.prototype.replay = function(send) {
+  var that = this;
+  var replayed = 0;
+  var claimSuffix = REPLAY_INFIX + process.pid;
+  this._listReplayableFiles().forEach(function(fileName) {
+    var claimed = fileName.replace(/\.replaying-\d+$/, '') + claimSuffix;
+    var entries;
+    try {
+      fs.renameSync(fileName, claimed);
+    } catch (e) {
+      // another process claimed the file first
+      return;
+    }
+    entries = that._readEntries(claimed);
+    try {
+      fs.unlinkSync(claimed);
+    } catch (e) {
+      // the file has already been removed
+    }
+    that._size = -1;
+    entries.forEach(function(entry) {
+      replayed += 1;
+      send(entry.report, entry.details);
+    });
+  });
+  return replayed;
+};
+
+/**
+ * Returns the number of reports dropped by the spool since it was created.
+ * @function getDroppedCount
+ * @returns {Number} - the number of dropped reports
+ */
+ReportSpool.prototype.getDroppedCount = function() {
+  return this._droppedCount;
+};
+
+ReportSpool.DEFAULT_SPOOL_OPTIONS = DEFAULT_SPOOL_OPTIONS;
+
+module.exports = ReportSpool;
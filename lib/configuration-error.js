@@ -0,0 +1,49 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var inherits = require('util').inherits;
+
+/**
+ * The ConfigurationError constructor accepts the problems found while
+ * validating the runtime configuration.
+ * @class ConfigurationError
+ * @classdesc The ConfigurationError class is the error thrown by the `init`
+ *  function of a Configuration instance when the `strictConfiguration` option
+ *  is set and the runtime configuration holds unknown options or options of
+ *  the wrong type. The message lists every problem found so that they can all
+ *  be fixed at once.
+ * @param {Array<Object>} problems - the problems found, each holding the
+ *  `path` of the option, the `kind` of problem, the `suggestion` for an
+ *  unknown option and a descriptive `message`
+ * @property {String} name - always `ConfigurationError`
+ * @property {Array<Object>} problems - the problems found
+ */
+function ConfigurationError(problems) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ConfigurationError);
+  }
+  this.name = 'ConfigurationError';
+  this.message = 'Invalid configuration:\n' + problems.map(function(problem) {
+    return '  ' + problem.message;
+  }).join('\n');
+  this.problems = problems;
+}
+inherits(ConfigurationError, Error);
+
+module.exports = ConfigurationError;
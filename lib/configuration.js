@@ -16,6 +16,9 @@
 
 'use strict';
 var env = process.env;
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
 var inherits = require('util').inherits;
 var EventEmitter = require('events').EventEmitter;
 var commonDiag = require('@google/cloud-diagnostics-common');
@@ -29,7 +32,381 @@ var isBoolean = lodash.isBoolean;
 var isString = lodash.isString;
 var isEmpty = lodash.isEmpty;
 var isNull = lodash.isNull;
+var isNumber = lodash.isNumber;
 var version = require('../package.json').version;
+var RetryPolicy = require('./google-apis/retry-policy.js');
+var CircuitBreaker = require('./google-apis/circuit-breaker.js');
+var ProxyResolver = require('./google-apis/proxy-resolver.js');
+var ReportQueue = require('./classes/report-queue.js');
+var environmentVariables = require('./environment-variables.js');
+var schemaValidator = require('./schema-validator.js');
+var validateSchema = schemaValidator.validateSchema;
+var detectServiceContext =
+  require('./service-context-detectors.js').detectServiceContext;
+var sourceContext = require('./source-context.js');
+var ConfigurationError = require('./configuration-error.js');
+var Logger = require('./logger.js');
+
+/**
+ * The names of the built-in transports which may be selected through the
+ * `transport` property of the runtime configuration. `api` delivers reports to
+ * the Stackdriver Error Reporting API and `stdout` writes them to stdout as
+ * structured log entries.
+ * @const {Array<String>}
+ */
+var BUILT_IN_TRANSPORTS = ['api', 'stdout'];
+
+/**
+ * The report modes which may be selected through the `reportMode` property of
+ * the runtime configuration or the `CLOUD_ERRORS_REPORT_MODE` environmental
+ * variable. `api` delivers reports through the transport, `console` renders
+ * them on stderr for developers, `disabled` reports nothing and `auto`
+ * delivers reports through the transport only if `NODE_ENV` is `production`.
+ * @const {Array<String>}
+ */
+var REPORT_MODES = ['auto', 'api', 'console', 'disabled'];
+
+/**
+ * The modes of handling uncaught exceptions which may be selected through the
+ * `onUncaughtException` property of the runtime configuration. `ignore` does
+ * not listen for uncaught exceptions, `report` reports them and keeps the
+ * process running and `reportAndExit` reports them and then exits the
+ * process.
+ * @const {Array<String>}
+ */
+var UNCAUGHT_EXCEPTION_MODES = ['ignore', 'report', 'reportAndExit'];
+
+/**
+ * The default uncaught exception options, these are used for any option that
+ * is not given or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_UNCAUGHT_EXCEPTION_OPTIONS = {
+  mode: 'reportAndExit',
+  exitCode: 1,
+  timeout: 10000,
+  callback: null
+};
+
+/**
+ * The sources the version of the service may be derived from through the
+ * `autoVersion` property of the runtime configuration. `packageJson` reads
+ * the version of the package.json in the working directory and `git` reads
+ * the commit checked out in the working directory.
+ * @const {Array<String>}
+ */
+var AUTO_VERSION_SOURCES = ['packageJson', 'git'];
+
+/**
+ * The default timeouts, in milliseconds, of a request against the Error
+ * Reporting API.
+ * @const {Object}
+ */
+var DEFAULT_TIMEOUT_OPTIONS = {
+  socket: 10000,
+  total: 30000
+};
+
+/* @const {String} the default base URL of the Error Reporting API */
+var DEFAULT_API_ENDPOINT =
+  'https://clouderrorreporting.googleapis.com/v1beta1/projects';
+
+/**
+ * The names of the configuration files looked up in the working directory of
+ * the process, in order of precedence. Only the first file found is read.
+ * @const {Array<String>}
+ */
+var CONFIGURATION_FILES = ['cloud-errors.config.js', '.cloud-errors.json'];
+
+/* @const {String} the key of package.json holding configuration */
+var PACKAGE_JSON_KEY = 'cloudErrors';
+
+/* @type {Boolean} whether the missing project has been warned about */
+var warnedOfMissingProject = false;
+
+/**
+ * The namespaced environmental variables and the options they set. Every
+ * option may be given through a variable, the variables taking precedence over
+ * the runtime configuration. Sub-options are listed before the option they
+ * belong to so that, for example, `CLOUD_ERRORS_BATCHING=false` disables
+ * batching whatever `CLOUD_ERRORS_BATCHING_MAX_BATCH_SIZE` holds. The older
+ * `GCLOUD_ERRORS_` variables are deprecated aliases of the variable named by
+ * their `replacedBy` property: they are parsed in the same way and listed
+ * first so that the variable replacing them takes precedence.
+ * @const {Array<Object>}
+ */
+var ENVIRONMENT_VARIABLES = (function(types) {
+  var variables = [
+    ['PROJECT_ID', 'projectId', types.STRING],
+    ['KEY', 'key', types.STRING],
+    ['KEY_FILENAME', 'keyFilename', types.STRING],
+    ['API_ENDPOINT', 'apiEndpoint', types.STRING],
+    ['SERVICE', 'serviceContext.service', types.STRING],
+    ['VERSION', 'serviceContext.version', types.STRING],
+    ['AUTO_VERSION', 'autoVersion',
+      types.oneOf(['true', 'false'].concat(AUTO_VERSION_SOURCES)),
+      function(source) {
+        return source === 'true' || source === 'false' ?
+          source === 'true' : source;
+      }],
+    ['REPORT_MODE', 'reportMode', types.oneOf(REPORT_MODES)],
+    ['LOG_LEVEL', 'logLevel', types.oneOf(Logger.LOG_LEVELS)],
+    ['REPORT_UNCAUGHT', 'onUncaughtException.mode', types.BOOLEAN,
+      function(report) {
+        return report ? 'reportAndExit' : 'ignore';
+      }],
+    ['ON_UNCAUGHT_EXCEPTION', 'onUncaughtException.mode',
+      types.oneOf(UNCAUGHT_EXCEPTION_MODES)],
+    ['UNCAUGHT_EXIT_CODE', 'onUncaughtException.exitCode', types.INTEGER],
+    ['UNCAUGHT_TIMEOUT', 'onUncaughtException.timeout', types.NUMBER],
+    ['TRANSPORT', 'transport', types.oneOf(BUILT_IN_TRANSPORTS)],
+    ['PROXY', 'proxy', types.STRING],
+    ['NO_PROXY', 'noProxy', types.STRING],
+    ['DESTINATIONS', 'destinations', types.JSON],
+    ['RETRY_MAX_RETRIES', 'retry.maxRetries', types.INTEGER],
+    ['RETRY_INITIAL_DELAY', 'retry.initialDelay', types.NUMBER],
+    ['RETRY_MAX_DELAY', 'retry.maxDelay', types.NUMBER],
+    ['TIMEOUT_SOCKET', 'timeout.socket', types.NUMBER],
+    ['TIMEOUT_TOTAL', 'timeout.total', types.NUMBER],
+    ['BATCHING_MAX_BATCH_SIZE', 'batching.maxBatchSize', types.INTEGER],
+    ['BATCHING_FLUSH_INTERVAL', 'batching.flushInterval', types.NUMBER],
+    ['BATCHING_MAX_QUEUE_SIZE', 'batching.maxQueueSize', types.INTEGER],
+    ['BATCHING_DROP_POLICY', 'batching.dropPolicy',
+      types.oneOf(Object.keys(ReportQueue.DROP_POLICIES))],
+    ['BATCHING', 'batching', types.BOOLEAN],
+    ['RATE_LIMIT_MAX_PER_GROUP', 'rateLimit.maxPerGroup', types.INTEGER],
+    ['RATE_LIMIT_MAX_GLOBAL', 'rateLimit.maxGlobal', types.INTEGER],
+    ['RATE_LIMIT_WINDOW', 'rateLimit.window', types.NUMBER],
+    ['RATE_LIMIT', 'rateLimit', types.BOOLEAN],
+    ['CIRCUIT_BREAKER_FAILURE_THRESHOLD', 'circuitBreaker.failureThreshold',
+      types.INTEGER],
+    ['CIRCUIT_BREAKER_RESET_TIMEOUT', 'circuitBreaker.resetTimeout',
+      types.NUMBER],
+    ['CIRCUIT_BREAKER', 'circuitBreaker', types.BOOLEAN],
+    ['SPOOL_DIRECTORY', 'spool.directory', types.STRING],
+    ['SPOOL_MAX_SIZE', 'spool.maxSize', types.INTEGER],
+    ['SPOOL_MAX_AGE', 'spool.maxAge', types.NUMBER],
+    ['STRICT_CONFIGURATION', 'strictConfiguration', types.BOOLEAN]
+  ].map(function(entry) {
+    return {variable: 'CLOUD_ERRORS_' + entry[0], option: entry[1],
+      type: entry[2], transform: entry[3]};
+  });
+  return [
+    ['GCLOUD_ERRORS_API_ENDPOINT', 'CLOUD_ERRORS_API_ENDPOINT'],
+    ['GCLOUD_ERRORS_REPORT_MODE', 'CLOUD_ERRORS_REPORT_MODE']
+  ].map(function(alias) {
+    return lodash.assign({}, lodash.find(variables, {variable: alias[1]}),
+      {variable: alias[0], replacedBy: alias[1]});
+  }).concat(variables);
+}(environmentVariables));
+
+/**
+ * The schema of the runtime configuration, see the schema-validator module for
+ * the format. The runtime configuration is validated against it during init:
+ * unknown options and options of the wrong type are warned about or, if the
+ * `strictConfiguration` option is set, make init throw.
+ * @const {Object}
+ */
+var CONFIGURATION_SCHEMA = (function() {
+  var string = {type: ['string']};
+  var transport = {type: ['string', 'transport'], values: BUILT_IN_TRANSPORTS};
+  function count(minimum) {
+    return {type: ['integer'], minimum: minimum};
+  }
+  function duration(minimum) {
+    return {type: ['number'], minimum: minimum};
+  }
+  function size(minimum) {
+    return {type: ['integer'], minimum: minimum};
+  }
+  return {
+    projectId: {type: ['string', 'number']},
+    key: string,
+    keyFilename: string,
+    apiEndpoint: string,
+    serviceContext: {type: ['object'], properties: {
+      service: string,
+      version: string
+    }},
+    autoVersion: {type: ['boolean', 'string'], values: AUTO_VERSION_SOURCES},
+    reportMode: {type: ['string'], values: REPORT_MODES},
+    logLevel: {type: ['string', 'integer'], values: Logger.LOG_LEVELS,
+      minimum: 0},
+    logger: {type: ['logger']},
+    onUncaughtException: {type: ['string', 'object'],
+      values: UNCAUGHT_EXCEPTION_MODES, properties: {
+        mode: {type: ['string'], values: UNCAUGHT_EXCEPTION_MODES},
+        exitCode: count(0),
+        timeout: duration(0),
+        callback: {type: ['function']}
+      }},
+    reportUncaughtExceptions: {type: ['boolean']},
+    transport: transport,
+    proxy: string,
+    noProxy: string,
+    filter: {type: ['function']},
+    destinations: {type: ['array'], items: {type: ['object'], properties: {
+      projectId: {type: ['string', 'number'], required: true},
+      key: string,
+      keyFilename: string,
+      transport: transport,
+      filter: {type: ['function']}
+    }}},
+    retry: {type: ['object'], properties: {
+      maxRetries: count(0),
+      initialDelay: duration(0),
+      maxDelay: duration(0)
+    }},
+    timeout: {type: ['object'], properties: {
+      socket: duration(1),
+      total: duration(1)
+    }},
+    batching: {type: ['boolean', 'object'], properties: {
+      maxBatchSize: count(1),
+      flushInterval: duration(0),
+      maxQueueSize: count(1),
+      dropPolicy: {type: ['string'],
+        values: Object.keys(ReportQueue.DROP_POLICIES)}
+    }},
+    rateLimit: {type: ['boolean', 'object'], properties: {
+      maxPerGroup: count(1),
+      maxGlobal: count(1),
+      window: duration(1)
+    }},
+    circuitBreaker: {type: ['boolean', 'object'], properties: {
+      failureThreshold: count(1),
+      resetTimeout: duration(0)
+    }},
+    spool: {type: ['object'], properties: {
+      directory: {type: ['string'], required: true},
+      maxSize: size(1),
+      maxAge: duration(1)
+    }},
+    strictConfiguration: {type: ['boolean']}
+  };
+}());
+
+/**
+ * The options of the runtime configuration which may be changed once the
+ * configuration has been initialized, see `Configuration#configure`. The other
+ * options shape the components created at init, such as the transport or the
+ * report queue, and are frozen once init has started.
+ * @const {Array<String>}
+ */
+var RECONFIGURABLE_OPTIONS = ['serviceContext', 'reportMode', 'filter',
+  'onUncaughtException', 'logLevel'];
+
+/**
+ * Merges configuration sources, later sources taking precedence over earlier
+ * ones. Nested option objects, such as `retry`, are merged key by key while
+ * arrays, functions, transport objects and loggers are replaced as a whole.
+ * An option given as true, such as `batching`, keeps the sub-options given by
+ * an earlier source.
+ * @function mergeConfigurations
+ * @private
+ * @param {Array<Object>} sources - the configuration objects, lowest
+ *  precedence first
+ * @returns {Object} - the merged configuration
+ */
+function mergeConfigurations(sources) {
+  return lodash.mergeWith.apply(lodash, [{}].concat(sources, [
+    function(objValue, srcValue) {
+      if (Array.isArray(srcValue) ||
+        (isObject(srcValue) && isFunction(srcValue.sendError)) ||
+        Logger.isLogger(srcValue)) {
+        return srcValue;
+      } else if (srcValue === true && isPlainObject(objValue)) {
+        return lodash.clone(objValue);
+      }
+    }]));
+}
+
+/**
+ * Copies the sub-options of an option of the runtime configuration, for
+ * example `retry`, which CONFIGURATION_SCHEMA accepts. Sub-options which are
+ * unknown or given as an invalid value are left out; they are warned about by
+ * `_checkConfigurationSchema`.
+ * @function pickValidOptions
+ * @private
+ * @param {Object} given - the sub-options given in the runtime configuration
+ * @param {String} option - the name of the option in CONFIGURATION_SCHEMA
+ * @returns {Object} - the valid sub-options
+ */
+function pickValidOptions(given, option) {
+  var properties = CONFIGURATION_SCHEMA[option].properties;
+  return lodash.pickBy(given, function(value, key) {
+    return properties.hasOwnProperty(key) &&
+      schemaValidator.isValid(value, properties[key]);
+  });
+}
+
+/**
+ * Merges the given `onUncaughtException` option, either a mode or an object of
+ * options, into the given uncaught exception options. Options which are given
+ * as an invalid value are left unchanged.
+ * @function mergeUncaughtExceptionOptions
+ * @private
+ * @param {Object} options - the uncaught exception options to merge into
+ * @param {String|Object} given - the `onUncaughtException` option
+ * @returns {Boolean} - true if a valid mode was given, false otherwise
+ */
+function mergeUncaughtExceptionOptions(options, given) {
+  if (isString(given)) {
+    given = {mode: given};
+  } else if (!isPlainObject(given)) {
+    given = {};
+  }
+  if (isNumber(given.exitCode) && given.exitCode >= 0 &&
+    given.exitCode % 1 === 0) {
+    options.exitCode = given.exitCode;
+  }
+  if (isNumber(given.timeout) && given.timeout >= 0) {
+    options.timeout = given.timeout;
+  }
+  if (isFunction(given.callback)) {
+    options.callback = given.callback;
+  }
+  if (UNCAUGHT_EXCEPTION_MODES.indexOf(given.mode) !== -1) {
+    options.mode = given.mode;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Reads the service account key file at the given path.
+ * @function loadCredentials
+ * @private
+ * @param {String} keyFilename - the path of the key file
+ * @returns {Object|Null} - the parsed key file or null if it could not be read
+ *  or does not hold the email and private key of a service account
+ */
+function loadCredentials(keyFilename) {
+  var credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(keyFilename, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+  return isPlainObject(credentials) && isString(credentials.client_email) &&
+    isString(credentials.private_key) ? credentials : null;
+}
+
+/**
+ * Determines whether the given value names a built-in transport or implements
+ * the transport contract by exposing a `sendError` function.
+ * @function isTransport
+ * @private
+ * @param {Any} transport - the given transport
+ * @returns {Boolean} - true if the value may be used as a transport
+ */
+function isTransport(transport) {
+  return (isObject(transport) && isFunction(transport.sendError)) ||
+    BUILT_IN_TRANSPORTS.indexOf(transport) !== -1;
+}
+
+/* @const {Array<String>} the hostnames which denote the local machine */
+var LOCAL_HOSTNAMES = ProxyResolver.LOCAL_HOSTNAMES;
 
 /**
  * The Configuration constructor function initializes several internal
@@ -54,7 +431,9 @@ var version = require('../package.json').version;
  * @param {ConfigurationOptions} givenConfig - The config given by the
  *  hosting application at runtime. Configuration values will only be observed
  *  if they are given as a plain JS object; all other values will be ignored.
- * @param {commonDiag.logger} logger - an inited logger instance
+ * @param {Logger|Object} [logger] - the logger to log diagnostics to, either
+ *  an instance of the internal Logger class or any object accepted by it such
+ *  as console or a winston or bunyan logger
  */
 var Configuration = function(givenConfig, logger) {
   /**
@@ -93,23 +472,44 @@ var Configuration = function(givenConfig, logger) {
    */
   this._initError = null;
   /**
-   * The _reportUncaughtExceptions property is meant to contain the optional
-   * runtime configuration property reportUncaughtExceptions. This property will
-   * default to true if not given false through the runtime configuration
-   * meaning that the default behavior is to catch uncaught exceptions, report
-   * them to the Stackdriver Errors API and then exit. If given false uncaught
-   * exceptions will not be listened for and not be caught or reported.
+   * The _uncaughtExceptionOptions property is meant to contain how uncaught
+   * exceptions are handled. The `mode` may be given through the
+   * `onUncaughtException` property of the runtime configuration, either as
+   * one of `ignore`, `report` or `reportAndExit` or as an object holding the
+   * `mode` along with the `exitCode` the process exits with, the `timeout` in
+   * milliseconds to wait for pending reports to be sent and a `callback`
+   * called before exiting. The legacy `reportUncaughtExceptions` boolean
+   * property selects `ignore` when false and `reportAndExit` when true. The
+   * default behavior is to catch uncaught exceptions, report them to the
+   * Stackdriver Errors API and then exit.
    * @memberof Configuration
    * @private
-   * @type {Boolean}
-   * @defaultvalue true
+   * @type {Object}
+   * @defaultvalue {mode: 'reportAndExit', exitCode: 1, timeout: 10000,
+   *  callback: null}
+   */
+  this._uncaughtExceptionOptions =
+    lodash.clone(DEFAULT_UNCAUGHT_EXCEPTION_OPTIONS);
+  /**
+   * The _reportMode property is meant to contain the report mode, given
+   * through the `CLOUD_ERRORS_REPORT_MODE` environmental variable, or its
+   * deprecated `GCLOUD_ERRORS_REPORT_MODE` alias, or the `reportMode` property
+   * of the runtime configuration, the environmental variables taking
+   * precedence. It is one
+   * of `auto`, `api`, `console` or `disabled`.
+   * @memberof Configuration
+   * @private
+   * @type {String}
+   * @defaultvalue 'auto'
    */
-  this._reportUncaughtExceptions = true;
+  this._reportMode = 'auto';
   /**
    * The _shouldReportErrorsToAPI property is meant to denote whether or not
    * the Stackdriver error reporting library will actually try to report Errors
    * to the Stackdriver Error API. The value of this property is derived from
-   * the `NODE_ENV` environmental variable. If the `NODE_ENV` variable is set to
+   * the report mode: it is true in the `api` mode and false in every other
+   * mode except `auto`, in which it is derived from the `NODE_ENV`
+   * environmental variable. If the `NODE_ENV` variable is set to
    * 'production' then the _shouldReportErrorToAPI property will be set to true
    * and error reporting library will attempt to send errors to the Error API.
    * Otherwise the value will remain false and errors will not be reported to
@@ -170,6 +570,35 @@ var Configuration = function(givenConfig, logger) {
    * @defaultvalue null
    */
   this._key = null;
+  /**
+   * The _credentials property is meant to contain the parsed contents of the
+   * service account key file given through the `keyFilename` property of the
+   * runtime configuration. If given, access tokens are minted from these
+   * credentials in place of the default application credentials. The property
+   * will remain null if a key file is not given or if the file could not be
+   * read, could not be parsed or does not contain a `client_email` and a
+   * `private_key`.
+   * {@link https://cloud.google.com/iam/docs/creating-managing-service-account-keys}
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._credentials = null;
+  /**
+   * The _proxyOptions property is meant to contain the proxies requests are
+   * made through. The `proxy` property of the runtime configuration sets the
+   * proxy of both https and http requests, otherwise the `HTTPS_PROXY` and
+   * `HTTP_PROXY` environmental variables are used. Hostnames exempted from the
+   * proxy are given through the `noProxy` property of the runtime
+   * configuration or the `NO_PROXY` environmental variable. The property will
+   * remain null if no proxy is given.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._proxyOptions = null;
   /**
    * The _serviceContext property is meant to contain the optional service
    * context information which may be given in the runtime configuration. If
@@ -181,6 +610,188 @@ var Configuration = function(givenConfig, logger) {
    * @default
    */
   this._serviceContext = {service: '', version: ''};
+  /**
+   * The _serviceContextSource property records where each value of the
+   * _serviceContext property came from, for debugging: `environment` for the
+   * `CLOUD_ERRORS_SERVICE` and `CLOUD_ERRORS_VERSION` environmental variables,
+   * `configuration` for the runtime configuration and configuration files,
+   * the name of the detector which recognized the platform, for example
+   * `cloudRun`, `packageJson` or `git` for a version derived through the
+   * `autoVersion` property, or `default` if the value was not found anywhere.
+   * @memberof Configuration
+   * @private
+   * @type {Object}
+   * @defaultvalue {service: 'default', version: 'default'}
+   */
+  this._serviceContextSource = {service: 'default', version: 'default'};
+  /**
+   * The _autoVersion property is meant to contain the version of the service
+   * derived from the application, along with the `source` it was derived
+   * from, if the `autoVersion` property of the runtime configuration asks for
+   * it. It is given as true to try `packageJson` and then `git`, or as one of
+   * them. The property will remain null if no version could be derived.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._autoVersion = null;
+  /**
+   * The _sourceReferences property is meant to contain the source references
+   * attached to every report: the commit checked out in the working directory
+   * and the URL of its `origin` remote. It is only read if the `autoVersion`
+   * property of the runtime configuration is set and will remain null if the
+   * working directory is not inside of a git repository.
+   * @memberof Configuration
+   * @private
+   * @type {Array<Object>|Null}
+   * @defaultvalue null
+   */
+  this._sourceReferences = null;
+  /**
+   * The _retryOptions property is meant to contain the options governing how
+   * requests against the Stackdriver Error API are retried when they fail with
+   * a transient error. Each option may be given through the `retry` object of
+   * the runtime configuration, options which are not given or given as an
+   * invalid value remain at their default values.
+   * @memberof Configuration
+   * @private
+   * @type {Object}
+   * @property {Number} maxRetries - the maximum number of retries
+   * @property {Number} initialDelay - the delay in ms before the first retry
+   * @property {Number} maxDelay - the maximum delay in ms between two attempts
+   */
+  this._retryOptions = lodash.clone(RetryPolicy.DEFAULT_RETRY_OPTIONS);
+  /**
+   * The _timeoutOptions property is meant to contain the timeouts bounding
+   * the delivery of each report to the Stackdriver Error API. The `socket`
+   * timeout bounds both establishing the connection of a request and the
+   * time its connection may stay idle waiting for data, while the `total`
+   * timeout bounds the delivery as a whole, retries included, after which the
+   * request in flight is aborted. Each timeout may be overridden through the
+   * `timeout` object of the runtime configuration.
+   * @memberof Configuration
+   * @private
+   * @type {Object}
+   * @defaultvalue {socket: 10000, total: 30000}
+   */
+  this._timeoutOptions = lodash.clone(DEFAULT_TIMEOUT_OPTIONS);
+  /**
+   * The _batchingOptions property is meant to contain the options of the queue
+   * which buffers reports before they are sent to the Stackdriver Error API.
+   * Batching is disabled unless the runtime configuration gives the `batching`
+   * property as true, in which case the default queue options are used, or as
+   * an object of queue options. If batching is disabled the property will
+   * remain null.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._batchingOptions = null;
+  /**
+   * The _circuitBreakerOptions property is meant to contain the options of the
+   * circuit breaker which stops requests against the Stackdriver Error API
+   * once it fails consistently. The circuit breaker is enabled by default with
+   * its default options; the runtime configuration may give the
+   * `circuitBreaker` property as an object of options or as false, in which
+   * case the property is set to null and the circuit breaker is disabled.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue {failureThreshold: 5, resetTimeout: 30000}
+   */
+  this._circuitBreakerOptions =
+    lodash.clone(CircuitBreaker.DEFAULT_CIRCUIT_BREAKER_OPTIONS);
+  /**
+   * The _rateLimitOptions property is meant to contain the options of the rate
+   * limiter which suppresses reports of an error reported in a hot loop. Rate
+   * limiting is disabled unless the runtime configuration gives the
+   * `rateLimit` property as true, in which case the default rate limiting
+   * options are used, or as an object of rate limiting options. If rate
+   * limiting is disabled the property will remain null.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._rateLimitOptions = null;
+  /**
+   * The _spoolOptions property is meant to contain the options of the spool
+   * which persists reports that could not be delivered to the Stackdriver
+   * Error API. The spool is disabled unless the runtime configuration gives
+   * the `spool` property as an object with a string `directory` property. If
+   * the spool is disabled the property will remain null.
+   * @memberof Configuration
+   * @private
+   * @type {Object|Null}
+   * @defaultvalue null
+   */
+  this._spoolOptions = null;
+  /**
+   * The _transport property is meant to contain the optional transport, given
+   * through the `transport` property of the runtime configuration, which will
+   * deliver reports in place of the default Stackdriver Error API client. The
+   * transport may either be given as the name of a built-in transport, `api`
+   * or `stdout`, or as an object implementing the transport contract, that is
+   * an object with a `sendError` function. The property will remain null if a
+   * transport is not given or if the given value is neither.
+   * @memberof Configuration
+   * @private
+   * @type {Transport|String|Null}
+   * @defaultvalue null
+   */
+  this._transport = null;
+  /**
+   * The _destinations property is meant to contain the additional
+   * destinations, given through the `destinations` array of the runtime
+   * configuration, every report is delivered to besides the project of the
+   * configuration. Each destination holds its `projectId`, `key`,
+   * `credentials`, `transport` and `filter`, the last four being null when
+   * not given. The property will remain null if no valid destination is given.
+   * @memberof Configuration
+   * @private
+   * @type {Array<Object>|Null}
+   * @defaultvalue null
+   */
+  this._destinations = null;
+  /**
+   * The _filter property is meant to contain the function, given through the
+   * `filter` property of the runtime configuration, deciding whether each
+   * report is delivered at all. Reports it returns a falsy value for are
+   * dropped before reaching the transport. The property will remain null if
+   * no function is given.
+   * @memberof Configuration
+   * @private
+   * @type {Function|Null}
+   * @defaultvalue null
+   */
+  this._filter = null;
+  /**
+   * The _apiEndpoint property is meant to contain the base URL against which
+   * the Error Reporting API is requested. It may be given through the
+   * `CLOUD_ERRORS_API_ENDPOINT` environmental variable, or its deprecated
+   * `GCLOUD_ERRORS_API_ENDPOINT` alias, or the `apiEndpoint` property of the
+   * runtime configuration, the environmental variables taking precedence.
+   * Only https URLs are accepted with the exception of plain http URLs
+   * pointing at the local machine, which are meant for emulators.
+   * @memberof Configuration
+   * @private
+   * @type {String}
+   * @defaultvalue 'https://clouderrorreporting.googleapis.com/v1beta1/projects'
+   */
+  this._apiEndpoint = DEFAULT_API_ENDPOINT;
+  /**
+   * The _apiEndpointIsLocal property denotes whether the _apiEndpoint property
+   * points at the local machine. Requests against a local endpoint, such as an
+   * emulator, are not authorized since the endpoint has no way of verifying
+   * the credentials.
+   * @memberof Configuration
+   * @private
+   * @type {Boolean}
+   * @defaultvalue false
+   */
+  this._apiEndpointIsLocal = false;
   /**
    * The _version of the Error reporting library that is currently being run.
    * This information will be logged in errors communicated to the Stackdriver
@@ -202,14 +813,35 @@ var Configuration = function(givenConfig, logger) {
    */
   this._givenConfiguration = isPlainObject(givenConfig) ? givenConfig : null;
   /**
-   * The _logger property holds a logger instance which, if valid, will be used
-   * to log any debug or error information generated by the instance.
+   * The _environmentConfiguration property holds the options given through
+   * the namespaced `CLOUD_ERRORS_` environmental variables. These options are
+   * merged on top of the _givenConfiguration property but are also kept apart
+   * so that the project id, API endpoint and report mode they give can take
+   * precedence over the legacy `GCLOUD_` variables.
    * @memberof Configuration
    * @private
-   * @type {Object|Null}
-   * @defaultvalue null
+   * @type {Object}
+   * @defaultvalue {}
+   */
+  this._environmentConfiguration = {};
+  /**
+   * The _logger property holds the internal logger used to log any debug or
+   * error information generated by the instance and by the components it is
+   * given to. A logger given to the constructor is wrapped, or used as is if
+   * it is already an internal logger; otherwise messages are written to
+   * stderr, at the level of the `CLOUD_ERRORS_LOG_LEVEL` environmental
+   * variable from the start so that it also applies to the messages logged
+   * before the configuration files are read. The level and
+   * target are updated from the `logLevel` and `logger` properties of the
+   * runtime configuration during init.
+   * @memberof Configuration
+   * @private
+   * @type {Logger}
+   * @defaultvalue new Logger()
    */
-  this._logger = isObject(logger) ? logger : null;
+  this._logger = logger instanceof Logger ? logger :
+    new Logger(Logger.isLogger(logger) ? Logger.DEFAULT_LOG_LEVEL :
+      env.CLOUD_ERRORS_LOG_LEVEL, logger);
 }
 // Extend the Configuration constructor by augmenting it with EventEmitter
 inherits(Configuration, EventEmitter);
@@ -217,7 +849,9 @@ inherits(Configuration, EventEmitter);
  * The callback for `utils.getProjectNumber` this function is responsible for
  * determining whether or not an error occured in the metadata transaction and,
  * if one did not, assigning the value of the transaction (the project number)
- * to the instance property `_projectNumber`.
+ * to the instance property `_projectNumber`. A failed transaction is logged as
+ * debug information, a missing project being warned about once by
+ * `_checkConfigurationIntegrity`.
  * @memberof Configuration
  * @private
  * @function _assimilateProjectNumber
@@ -228,18 +862,18 @@ inherits(Configuration, EventEmitter);
  * @returns {Undefined} - does not return anything
  */
 Configuration.prototype._assimilateProjectNumber = function(err, projectNum) {
-  if (isNull(err) && isString(projectNum)) {
+  var retrieved = isNull(err) && isString(projectNum);
+  if (retrieved) {
     this._projectNumber = projectNum;
-  } else {
-    if (this._logger) {
-      this._logger.warn(
-        'Unable to retrieve project number\n',
-        '\t', 'Project Number:', projectNum, '\n',
-        '\t', 'Error:', err
-      );
-    }
   }
   this._gatherLocalConfiguration();
+  if (!retrieved) {
+    this._logger.debug(
+      'Unable to retrieve project number\n',
+      '\t', 'Project Number:', projectNum, '\n',
+      '\t', 'Error:', err
+    );
+  }
   this._checkConfigurationIntegrity();
 };
 /**
@@ -253,7 +887,8 @@ Configuration.prototype._assimilateProjectNumber = function(err, projectNum) {
  * `_projectId` and `_projectNumber` properties are set at thier default values
  * of null and this is the first time the function is run then the
  * initialization process is deemed to be a failure and the `error` event will
- * be emitted.
+ * be emitted. The failure is warned about once per process since outside of
+ * Google Cloud Platform every instance fails in the same way.
  * @memberof Configuration
  * @private
  * @function _checkConfigurationIntegrity
@@ -266,6 +901,13 @@ Configuration.prototype._checkConfigurationIntegrity = function() {
   if (isNull(this._projectId) && isNull(this._projectNumber)) {
     // Irrecoverable configuration error, emit error event
     this._initError = new Error("Unable to gather project id or number");
+    if (!warnedOfMissingProject) {
+      warnedOfMissingProject = true;
+      this._logger.warn('Unable to initialize the configuration -',
+        this._initError.message, '- errors will not be reported, set the',
+        'projectId option or the CLOUD_ERRORS_PROJECT_ID environmental',
+        'variable');
+    }
     /**
      * The error event is emitted when a configuration error has occurred or
      * a configuration is incomplete. If the error event is fired on the
@@ -291,16 +933,22 @@ Configuration.prototype._checkConfigurationIntegrity = function() {
      * @event Configuration#ready
      * @type {this} - the Configuration instance ready to be addressed
      */
+    this._logger.info('Configuration ready - project:',
+      this._projectId || this._projectNumber, '- service context:',
+      JSON.stringify(this._serviceContext), 'from',
+      JSON.stringify(this._serviceContextSource), '- report mode:',
+      this._reportMode);
     this.emit('ready', this);
   }
 };
 /**
  * The _gatherLocalConfiguration function is responsible for determining
- * directly determing whether the properties `reportUncaughtExceptions` and
- * `key`, which can be optionally supplied in the runtime configuration, should
- * be merged into the instance. This function also calls several specialized
- * environmental variable checkers which not only check for the optional runtime
- * configuration supplied values but also the processes environmental values.
+ * directly determing whether the properties `key`, `retry`, `timeout` and
+ * `apiEndpoint`, which can be optionally supplied in the runtime
+ * configuration, should be merged into the instance. This function also calls several
+ * specialized environmental variable checkers which not only check for the
+ * optional runtime configuration supplied values but also the processes
+ * environmental values.
  * @memberof Configuration
  * @private
  * @function _gatherLocalConfiguration
@@ -310,13 +958,92 @@ Configuration.prototype._gatherLocalConfiguration = function() {
   this._checkLocalProjectId();
   this._checkLocalProjectNumber();
   if (isPlainObject(this._givenConfiguration)) {
-    if (isBoolean(this._givenConfiguration.reportUncaughtExceptions)) {
-      this._reportUncaughtExceptions = this._givenConfiguration
-        .reportUncaughtExceptions;
-    }
     if (isString(this._givenConfiguration.key)) {
       this._key = this._givenConfiguration.key;
     }
+    this._checkLocalRetryOptions();
+    this._checkLocalTimeoutOptions();
+  }
+  this._checkLocalApiEndpoint();
+};
+/**
+ * The _checkLocalRetryOptions function is responsible for merging the options
+ * given in the `retry` object of the runtime configuration into the
+ * `_retryOptions` property. Each option is only merged if CONFIGURATION_SCHEMA
+ * accepts it, for example `maxRetries` must be a non-negative integer,
+ * otherwise the default value of the option is kept.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalRetryOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalRetryOptions = function() {
+  var given = this._givenConfiguration.retry;
+  if (isPlainObject(given)) {
+    lodash.assign(this._retryOptions, pickValidOptions(given, 'retry'));
+  }
+};
+/**
+ * The _checkLocalTimeoutOptions function is responsible for merging the
+ * timeouts given in the `timeout` object of the runtime configuration into the
+ * `_timeoutOptions` property. Each timeout is only merged if
+ * CONFIGURATION_SCHEMA accepts it, a number of at least one millisecond,
+ * otherwise the default value of the timeout is kept.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalTimeoutOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalTimeoutOptions = function() {
+  var given = this._givenConfiguration.timeout;
+  if (isPlainObject(given)) {
+    lodash.assign(this._timeoutOptions, pickValidOptions(given, 'timeout'));
+  }
+};
+/**
+ * The _checkLocalApiEndpoint function is responsible for determining whether
+ * a base URL for the Error Reporting API was given through the `apiEndpoint`
+ * property of the runtime configuration, once merged with the environmental
+ * variables, see `_checkLocalEnvironmentVariables`. As with the project id
+ * the environmental variables take precedence. The URL is only assigned to the
+ * `_apiEndpoint` property if it uses https, or plain http against a hostname
+ * denoting the local machine; any other value is ignored, with a warning, and
+ * the default endpoint is kept. Trailing slashes are
+ * removed so that the URL can be joined with the project path.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalApiEndpoint
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalApiEndpoint = function() {
+  var given = null;
+  var parsed;
+  var hostname;
+  if (isString(this._environmentConfiguration.apiEndpoint)) {
+    given = this._environmentConfiguration.apiEndpoint;
+  } else if (isPlainObject(this._givenConfiguration) &&
+    isString(this._givenConfiguration.apiEndpoint) &&
+    !isEmpty(this._givenConfiguration.apiEndpoint)) {
+    given = this._givenConfiguration.apiEndpoint;
+  }
+  if (isNull(given)) {
+    return;
+  }
+  parsed = url.parse(given);
+  hostname = isString(parsed.hostname) ?
+    parsed.hostname.replace(/^\[|\]$/g, '') : '';
+  if (parsed.protocol === 'https:' && !isEmpty(hostname)) {
+    this._apiEndpoint = given.replace(/\/+$/, '');
+    this._apiEndpointIsLocal = LOCAL_HOSTNAMES.indexOf(hostname) !== -1;
+  } else if (parsed.protocol === 'http:' &&
+    LOCAL_HOSTNAMES.indexOf(hostname) !== -1) {
+    this._apiEndpoint = given.replace(/\/+$/, '');
+    this._apiEndpointIsLocal = true;
+  } else {
+    this._logger.warn(
+      'Ignoring the API endpoint', given, '- only https URLs and http URLs',
+      'pointing at the local machine are accepted'
+    );
   }
 };
 /**
@@ -329,18 +1056,26 @@ Configuration.prototype._gatherLocalConfiguration = function() {
  * The metadata value for the project id always take precedence over any other
  * locally configured project id value. Given that the metadata service did not
  * set the project id this function will defer next to the value set in the
- * environment named `GCLOUD_PROJECT` if it is set and of type string. If this
- * environmental variable is not set the function will defer to the
+ * environment named `CLOUD_ERRORS_PROJECT_ID`, then to the one named
+ * `GCLOUD_PROJECT` if it is set and of type string. If neither
+ * environmental variable is set the function will defer to the
  * _givenConfiguration property if it is of type object and has a string
- * property named projectId. If none of these conditions are met then the
- * _projectId property will be left at its default value.
+ * property named projectId. Failing that the `project_id` of the service
+ * account key file given through `keyFilename`, if any, is used. If none of
+ * these conditions are met then the _projectId property will be left at its
+ * default value.
  * @memberof Configuration
  * @private
  * @function _checkLocalProjectId
  * @returns {Undefined} - does not return anything
  */
 Configuration.prototype._checkLocalProjectId = function() {
-  if (isString(env.GCLOUD_PROJECT) && !isEmpty(env.GCLOUD_PROJECT)
+  var given = this._environmentConfiguration.projectId;
+  if (isString(given) && isNaN(given)) {
+    // CLOUD_ERRORS_PROJECT_ID is set and it is not the project number
+    this._projectId = given;
+    return;
+  } else if (isString(env.GCLOUD_PROJECT) && !isEmpty(env.GCLOUD_PROJECT)
     && isNaN(env.GCLOUD_PROJECT)) {
     // GCLOUD_PROJECT is set and it is not the project number, set on instance
     this._projectId = env.GCLOUD_PROJECT;
@@ -353,6 +1088,12 @@ Configuration.prototype._checkLocalProjectId = function() {
       // project number, set on instance
       this._projectId = this._givenConfiguration.projectId;
       return;
+  } else if (isPlainObject(this._credentials) &&
+    isString(this._credentials.project_id) &&
+    !isEmpty(this._credentials.project_id)) {
+      // the service account key file names the project it belongs to
+      this._projectId = this._credentials.project_id;
+      return;
   }
 };
 /**
@@ -366,8 +1107,9 @@ Configuration.prototype._checkLocalProjectId = function() {
  * always take precedence over any other locally configured project number
  * value. Given that the metadata service did not set the project number this
  * function will defer next to the value set in the environment named
- * `GCLOUD_PROJECT` if it is set and of type string and this string represents a
- * number (e.g. '123'). If this environmental variable is not set the function
+ * `CLOUD_ERRORS_PROJECT_ID`, then to the one named `GCLOUD_PROJECT`, if it is
+ * set and of type string and this string represents a number (e.g. '123'). If
+ * neither environmental variable is set the function
  * will defer to the _givenConfiguration property if it is of type object and
  * has a string property named projectId. If none of these conditions are met
  * then the _projectNumber property will be left at its default value.
@@ -380,6 +1122,11 @@ Configuration.prototype._checkLocalProjectNumber = function() {
   if (isString(this._projectNumber)) {
     // already has been set by the metadata service
     return;
+  } else if (isString(this._environmentConfiguration.projectId) &&
+    !isNaN(this._environmentConfiguration.projectId)) {
+      // CLOUD_ERRORS_PROJECT_ID is set and it is the project number
+      this._projectNumber = this._environmentConfiguration.projectId;
+      return;
   } else if (isString(env.GCLOUD_PROJECT) && !isEmpty(env.GCLOUD_PROJECT)
     && !isNaN(env.GCLOUD_PROJECT)) {
       // GCLOUD_PROJECT is set and it is the project number, set on instance
@@ -397,44 +1144,598 @@ Configuration.prototype._checkLocalProjectNumber = function() {
 /**
  * The _checkLocalServiceContext function is responsible for attempting to
  * source the _serviceContext objects values from runtime configuration and the
- * environment. First the function will check the env for known service context
- * names, if these are not set then it will defer to the _givenConfiguration
- * property if it is set on the instance. The function will check env variables
- * `GAE_MODULE_NAME` and `GAE_MODULE_VERSION` for `_serviceContext.service` and
- * `_serviceContext.version` respectively. If these are not set the 
- * `_serviceContext` properties will be left at default unless the given runtime
- * configuration supplies any values as substitutes.
+ * environment. First the platform the process runs on is detected, see the
+ * service-context-detectors module, which covers App Engine, Cloud Functions,
+ * Cloud Run and Kubernetes. Values supplied by the _givenConfiguration
+ * property, which includes the `CLOUD_ERRORS_SERVICE` and
+ * `CLOUD_ERRORS_VERSION` environmental variables, take precedence over the
+ * detected ones, as does the version derived by _checkLocalAutoVersion for
+ * the version. If none are set the `_serviceContext` properties will be left
+ * at default. Where each value came from is recorded on the
+ * `_serviceContextSource` property.
  * @memberof Configuration
  * @private
  * @function _checkLocalServiceContext
  * @returns {Undefined} - does not return anything
  */
 Configuration.prototype._checkLocalServiceContext = function() {
-  var gaeModuleName = env.GAE_MODULE_NAME;
-  var gaeModuleVer = env.GAE_MODULE_VERSION;
-  this._serviceContext.service = isString(gaeModuleName) ? gaeModuleName : '';
-  this._serviceContext.version = isString(gaeModuleVer) ? gaeModuleVer : '';
-  if (isPlainObject(this._givenConfiguration)
-    && isPlainObject(this._givenConfiguration.serviceContext)) {
-    if (isString(this._givenConfiguration.serviceContext.service)) {
-      this._serviceContext.service = 
-        this._givenConfiguration.serviceContext.service;
+  var that = this;
+  var detected = detectServiceContext(env);
+  var given = isPlainObject(this._givenConfiguration) &&
+    isPlainObject(this._givenConfiguration.serviceContext) ?
+      this._givenConfiguration.serviceContext : {};
+  var fromEnvironment = isPlainObject(
+    this._environmentConfiguration.serviceContext) ?
+      this._environmentConfiguration.serviceContext : {};
+  ['service', 'version'].forEach(function(key) {
+    if (isString(given[key])) {
+      that._serviceContext[key] = given[key];
+      that._serviceContextSource[key] = isString(fromEnvironment[key]) ?
+        'environment' : 'configuration';
+    } else if (key === 'version' && that._autoVersion !== null) {
+      that._serviceContext.version = that._autoVersion.version;
+      that._serviceContextSource.version = that._autoVersion.source;
+    } else if (detected !== null) {
+      that._serviceContext[key] = detected[key];
+      that._serviceContextSource[key] = detected.source;
+    }
+  });
+};
+/**
+ * The _checkLocalAutoVersion function is responsible for deriving the version
+ * of the service from the application if the `autoVersion` property of the
+ * runtime configuration asks for it. The working directory is looked up for a
+ * package.json version and for the commit checked out, which is read from
+ * the git directory without running git. The first source giving a version,
+ * in the order of AUTO_VERSION_SOURCES or as named by `autoVersion`, is
+ * assigned to the `_autoVersion` property. The commit, along with the URL of
+ * the `origin` remote, is assigned to the `_sourceReferences` property
+ * whichever source gave the version.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalAutoVersion
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalAutoVersion = function() {
+  var cwd = process.cwd();
+  var given = isPlainObject(this._givenConfiguration) ?
+    this._givenConfiguration.autoVersion : null;
+  var sources;
+  var revision;
+  var versions;
+  if (given === true) {
+    sources = AUTO_VERSION_SOURCES;
+  } else if (AUTO_VERSION_SOURCES.indexOf(given) !== -1) {
+    sources = [given];
+  } else {
+    return;
+  }
+  revision = sourceContext.readGitRevision(cwd);
+  if (revision !== null) {
+    this._sourceReferences = [isString(revision.repository) ? revision :
+      {revisionId: revision.revisionId}];
+  }
+  versions = {
+    packageJson: sourceContext.readPackageVersion(cwd),
+    git: revision !== null ? revision.revisionId : null
+  };
+  this._autoVersion = lodash.find(sources.map(function(source) {
+    return {version: versions[source], source: source};
+  }), function(candidate) {
+    return isString(candidate.version);
+  }) || null;
+};
+/**
+ * The _checkLocalBatchingOptions function is responsible for determining
+ * whether batching was enabled in the runtime configuration. If the `batching`
+ * property is given as true the `_batchingOptions` property will be set to an
+ * empty object so that the queue uses its default options, if given as a plain
+ * object the options CONFIGURATION_SCHEMA accepts will be copied onto the
+ * `_batchingOptions` property, the ReportQueue using its default for the
+ * others.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalBatchingOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalBatchingOptions = function() {
+  var batching;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  batching = this._givenConfiguration.batching;
+  if (batching === true) {
+    this._batchingOptions = {};
+  } else if (isPlainObject(batching)) {
+    this._batchingOptions = pickValidOptions(batching, 'batching');
+  }
+};
+/**
+ * The _checkLocalCircuitBreakerOptions function is responsible for determining
+ * whether the circuit breaker was configured in the runtime configuration. If
+ * the `circuitBreaker` property is given as false the `_circuitBreakerOptions`
+ * property will be set to null, disabling the circuit breaker, if given as a
+ * plain object the options CONFIGURATION_SCHEMA accepts will be copied onto
+ * the `_circuitBreakerOptions` property, the CircuitBreaker using its default
+ * for the others.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalCircuitBreakerOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalCircuitBreakerOptions = function() {
+  var circuitBreaker;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  circuitBreaker = this._givenConfiguration.circuitBreaker;
+  if (circuitBreaker === false) {
+    this._circuitBreakerOptions = null;
+  } else if (isPlainObject(circuitBreaker)) {
+    this._circuitBreakerOptions = pickValidOptions(circuitBreaker,
+      'circuitBreaker');
+  }
+};
+/**
+ * The _checkLocalRateLimitOptions function is responsible for determining
+ * whether rate limiting was enabled in the runtime configuration. If the
+ * `rateLimit` property is given as true the `_rateLimitOptions` property will
+ * be set to an empty object so that the rate limiter uses its default options,
+ * if given as a plain object the options CONFIGURATION_SCHEMA accepts will be
+ * copied onto the `_rateLimitOptions` property, the RateLimiter using its
+ * default for the others.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalRateLimitOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalRateLimitOptions = function() {
+  var rateLimit;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  rateLimit = this._givenConfiguration.rateLimit;
+  if (rateLimit === true) {
+    this._rateLimitOptions = {};
+  } else if (isPlainObject(rateLimit)) {
+    this._rateLimitOptions = pickValidOptions(rateLimit, 'rateLimit');
+  }
+};
+/**
+ * The _checkLocalSpoolOptions function is responsible for determining whether
+ * a spool directory was given in the runtime configuration. If the `spool`
+ * property is given as a plain object with a non-empty string `directory`
+ * property, the options CONFIGURATION_SCHEMA accepts will be copied onto the
+ * `_spoolOptions` property, the ReportSpool using its default for the
+ * others.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalSpoolOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalSpoolOptions = function() {
+  var spool;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  spool = this._givenConfiguration.spool;
+  if (isPlainObject(spool) && isString(spool.directory) &&
+    !isEmpty(spool.directory)) {
+    this._spoolOptions = pickValidOptions(spool, 'spool');
+  }
+};
+/**
+ * The _checkLocalKeyFilename function is responsible for loading the service
+ * account key file given through the `keyFilename` property of the runtime
+ * configuration. The file is read synchronously so that the credentials are
+ * available to the API client as soon as the instance has been inited. The
+ * parsed file is only assigned to the `_credentials` property if it contains
+ * the `client_email` and `private_key` needed to mint access tokens; otherwise
+ * a warning is logged and the default application credentials will be used.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalKeyFilename
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalKeyFilename = function() {
+  var keyFilename;
+  var credentials;
+  if (!isPlainObject(this._givenConfiguration) ||
+    !isString(this._givenConfiguration.keyFilename) ||
+    isEmpty(this._givenConfiguration.keyFilename)) {
+    return;
+  }
+  keyFilename = this._givenConfiguration.keyFilename;
+  credentials = loadCredentials(keyFilename);
+  if (credentials) {
+    this._credentials = credentials;
+  } else {
+    this._logger.warn(
+      'Unable to load the service account key file', keyFilename,
+      '- the default application credentials will be used'
+    );
+  }
+};
+/**
+ * The _checkLocalProxyOptions function is responsible for determining the
+ * proxies requests are made through. A `proxy` given in the runtime
+ * configuration takes precedence over the `HTTPS_PROXY` and `HTTP_PROXY`
+ * environmental variables, and a `noProxy` given in the runtime configuration
+ * takes precedence over the `NO_PROXY` environmental variable; the lowercase
+ * variants of the environmental variables are honored as well. Credentials of
+ * an authenticated proxy are given as part of the proxy URL. The
+ * `_proxyOptions` property is only assigned if a proxy was found.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalProxyOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalProxyOptions = function() {
+  var given = isPlainObject(this._givenConfiguration) ?
+    this._givenConfiguration : {};
+  var httpsProxy = env.HTTPS_PROXY || env.https_proxy || null;
+  var httpProxy = env.HTTP_PROXY || env.http_proxy || null;
+  var noProxy = env.NO_PROXY || env.no_proxy || null;
+  if (isString(given.proxy) && !isEmpty(given.proxy)) {
+    httpsProxy = httpProxy = given.proxy;
+  }
+  if (isString(given.noProxy)) {
+    noProxy = given.noProxy;
+  }
+  if (httpsProxy || httpProxy) {
+    this._proxyOptions = {
+      httpsProxy: httpsProxy,
+      httpProxy: httpProxy,
+      noProxy: noProxy
+    };
+  }
+};
+/**
+ * The _checkLocalTransport function is responsible for determining whether a
+ * transport was given in the runtime configuration. The given transport is
+ * only assigned to the `_transport` property if it is the name of a built-in
+ * transport or if it implements the transport contract by exposing a
+ * `sendError` function.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalTransport
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalTransport = function() {
+  var transport;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  transport = this._givenConfiguration.transport;
+  if (isTransport(transport)) {
+    this._transport = transport;
+  }
+};
+/**
+ * The _checkLocalConfigurationFiles function is responsible for merging the
+ * configuration kept outside of the application code into the runtime
+ * configuration. Two sources are read from the working directory of the
+ * process: the first of the `cloud-errors.config.js` and `.cloud-errors.json`
+ * files which exists, and the `cloudErrors` key of `package.json`. From the
+ * highest to the lowest precedence the configuration is taken from the object
+ * given to the library, the configuration file and then `package.json`;
+ * environmental variables still take precedence over all of them. Sources
+ * which cannot be read or are not plain objects are ignored, with a warning
+ * except for a missing or unreadable `package.json`.
+ * The `_givenConfiguration` property is only replaced if a source was found.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalConfigurationFiles
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalConfigurationFiles = function() {
+  var cwd = process.cwd();
+  var sources = [];
+  var packageJson;
+  var fileName;
+  var fileConfig;
+  try {
+    packageJson = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'),
+      'utf8'));
+  } catch (e) {
+    packageJson = null;
+  }
+  if (isPlainObject(packageJson) &&
+    !isUndefined(packageJson[PACKAGE_JSON_KEY])) {
+    if (isPlainObject(packageJson[PACKAGE_JSON_KEY])) {
+      sources.push(packageJson[PACKAGE_JSON_KEY]);
+    } else {
+      this._logger.warn('Ignoring the', PACKAGE_JSON_KEY,
+        'key of package.json - it must be an object');
+    }
+  }
+  fileName = lodash.find(CONFIGURATION_FILES.map(function(name) {
+    return path.join(cwd, name);
+  }), function(candidate) {
+    return fs.existsSync(candidate);
+  });
+  if (isString(fileName)) {
+    try {
+      fileConfig = path.extname(fileName) === '.js' ? require(fileName) :
+        JSON.parse(fs.readFileSync(fileName, 'utf8'));
+    } catch (e) {
+      fileConfig = e;
+    }
+    if (isPlainObject(fileConfig)) {
+      sources.push(fileConfig);
+    } else {
+      this._logger.warn('Ignoring the configuration file', fileName, '-',
+        fileConfig instanceof Error ? fileConfig.message :
+          'it must export an object');
+    }
+  }
+  if (sources.length > 0) {
+    this._givenConfiguration = mergeConfigurations(sources.concat(
+      isPlainObject(this._givenConfiguration) ? [this._givenConfiguration] :
+        []));
+  }
+};
+/**
+ * The _checkLocalEnvironmentVariables function is responsible for reading the
+ * namespaced `CLOUD_ERRORS_` environmental variables, see
+ * ENVIRONMENT_VARIABLES, into the `_environmentConfiguration` property and
+ * merging them on top of the `_givenConfiguration` property so that they take
+ * precedence over the runtime configuration and configuration files. Values
+ * which are not valid for the type of their variable are ignored, with a
+ * warning, and the deprecated aliases which are set are warned about.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalEnvironmentVariables
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalEnvironmentVariables = function() {
+  var that = this;
+  ENVIRONMENT_VARIABLES.forEach(function(entry) {
+    if (entry.replacedBy && isString(env[entry.variable]) &&
+      !isEmpty(env[entry.variable].trim())) {
+      that._logger.warn('The environmental variable', entry.variable,
+        'is deprecated, use', entry.replacedBy, 'instead');
     }
-    if (isString(this._givenConfiguration.serviceContext.version)) {
-      this._serviceContext.version =
-        this._givenConfiguration.serviceContext.version;
+  });
+  this._environmentConfiguration =
+    environmentVariables.readEnvironmentVariables(ENVIRONMENT_VARIABLES, env,
+      function(variable, value, expected) {
+        that._logger.warn('Ignoring the environmental variable', variable,
+          'set to', JSON.stringify(value), '- expected', expected);
+      });
+  if (!isEmpty(this._environmentConfiguration)) {
+    this._givenConfiguration = mergeConfigurations(
+      (isPlainObject(this._givenConfiguration) ?
+        [this._givenConfiguration] : []).concat(
+          [this._environmentConfiguration]));
+  }
+};
+/**
+ * The _checkLocalLogger function is responsible for applying the `logLevel`
+ * and `logger` properties of the runtime configuration, once merged with the
+ * configuration files and environmental variables, to the internal logger. It
+ * is called before the configuration is validated so that the problems found
+ * are logged at the configured level and to the configured logger. Values
+ * which are not log levels or loggers are ignored here and warned about by the
+ * validation.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalLogger
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalLogger = function() {
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  if (Logger.isLogger(this._givenConfiguration.logger)) {
+    this._logger.setTarget(this._givenConfiguration.logger);
+  }
+  this._logger.setLevel(this._givenConfiguration.logLevel);
+};
+/**
+ * The _checkConfigurationSchema function is responsible for validating the
+ * runtime configuration, once merged with the configuration files and
+ * environmental variables, against CONFIGURATION_SCHEMA. Unknown options,
+ * along with the option they most likely are a misspelling of, and options
+ * given as a value of the wrong type are warned about; the options of the
+ * wrong type are then ignored by the other checkers. If the
+ * `strictConfiguration` option is set a ConfigurationError listing every
+ * problem is thrown instead.
+ * @memberof Configuration
+ * @private
+ * @function _checkConfigurationSchema
+ * @throws {ConfigurationError} - if the configuration is invalid in strict
+ *  mode
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkConfigurationSchema = function() {
+  var that = this;
+  var problems;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  problems = validateSchema(this._givenConfiguration, CONFIGURATION_SCHEMA);
+  if (problems.length === 0) {
+    return;
+  } else if (this._givenConfiguration.strictConfiguration === true) {
+    throw new ConfigurationError(problems);
+  } else {
+    problems.forEach(function(problem) {
+      that._logger.warn(problem.message);
+    });
+  }
+};
+/**
+ * The _checkLocalReportMode function is responsible for determining the
+ * report mode. As with the API endpoint the `CLOUD_ERRORS_REPORT_MODE`
+ * environmental variable, or its deprecated `GCLOUD_ERRORS_REPORT_MODE`
+ * alias, takes precedence over the `reportMode` property of the runtime
+ * configuration. Unknown modes are ignored, with a warning. The
+ * `_shouldReportErrorsToAPI` property is derived from the resulting mode, see
+ * `_setReportMode`.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalReportMode
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalReportMode = function() {
+  var that = this;
+  var given = [this._environmentConfiguration.reportMode, isPlainObject(
+    this._givenConfiguration) ? this._givenConfiguration.reportMode : null];
+  lodash.find(given, function(mode) {
+    if (REPORT_MODES.indexOf(mode) !== -1) {
+      that._setReportMode(mode);
+      return true;
+    } else if (isString(mode) && !isEmpty(mode)) {
+      that._logger.warn('Ignoring the unknown report mode', mode,
+        '- expected one of', REPORT_MODES.join(', '));
     }
+    return false;
+  });
+};
+/**
+ * The _setReportMode function assigns the given report mode to the
+ * `_reportMode` property and derives the `_shouldReportErrorsToAPI` property
+ * from it, the `auto` mode deriving it from the `NODE_ENV` environmental
+ * variable.
+ * @memberof Configuration
+ * @private
+ * @function _setReportMode
+ * @param {String} mode - one of REPORT_MODES
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._setReportMode = function(mode) {
+  this._reportMode = mode;
+  this._shouldReportErrorsToAPI = mode === 'auto' ?
+    env.NODE_ENV === 'production' : mode === 'api';
+};
+/**
+ * The _checkLocalFilter function is responsible for assigning the `filter`
+ * property of the runtime configuration to the `_filter` property if it is a
+ * function.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalFilter
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalFilter = function() {
+  if (isPlainObject(this._givenConfiguration) &&
+    isFunction(this._givenConfiguration.filter)) {
+    this._filter = this._givenConfiguration.filter;
+  }
+};
+/**
+ * The _checkLocalUncaughtExceptionOptions function is responsible for
+ * determining how uncaught exceptions are handled. The `onUncaughtException`
+ * property of the runtime configuration takes precedence over the legacy
+ * `reportUncaughtExceptions` property. Options which are given as an invalid
+ * value remain at their default values. This function is called at the start
+ * of the init process since the uncaught exception handler is attached before
+ * the configuration is ready.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalUncaughtExceptionOptions
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalUncaughtExceptionOptions = function() {
+  var options = this._uncaughtExceptionOptions;
+  if (!isPlainObject(this._givenConfiguration)) {
+    return;
+  }
+  if (!mergeUncaughtExceptionOptions(options,
+    this._givenConfiguration.onUncaughtException) &&
+    isBoolean(this._givenConfiguration.reportUncaughtExceptions)) {
+    options.mode = this._givenConfiguration.reportUncaughtExceptions ?
+      'reportAndExit' : 'ignore';
+  }
+};
+/**
+ * The _checkLocalDestinations function is responsible for determining the
+ * additional destinations, given through the `destinations` array of the
+ * runtime configuration, every report is delivered to besides the project of
+ * the configuration. A destination must have a non-empty `projectId`, which
+ * like the `projectId` option may be a project id or a project number given
+ * as a string or a number, and may have its own `key`, `keyFilename`,
+ * `transport` and `filter` function. The project of a destination is kept as
+ * a string.
+ * Destinations without a project id or with an unusable key file are skipped
+ * with a warning, invalid optional properties are ignored. The
+ * `_destinations` property is only assigned if at least one destination is
+ * valid.
+ * @memberof Configuration
+ * @private
+ * @function _checkLocalDestinations
+ * @returns {Undefined} - does not return anything
+ */
+Configuration.prototype._checkLocalDestinations = function() {
+  var that = this;
+  var destinations;
+  if (!isPlainObject(this._givenConfiguration) ||
+    !Array.isArray(this._givenConfiguration.destinations)) {
+    return;
+  }
+  destinations = this._givenConfiguration.destinations.reduce(
+    function(valid, given) {
+      var destination;
+      if (!isPlainObject(given) || !((isString(given.projectId) &&
+        !isEmpty(given.projectId)) || (isNumber(given.projectId) &&
+        isFinite(given.projectId)))) {
+        that._logger.warn('Skipping a destination without a projectId');
+        return valid;
+      }
+      destination = {
+        projectId: String(given.projectId),
+        key: isString(given.key) && !isEmpty(given.key) ? given.key : null,
+        credentials: null,
+        transport: isTransport(given.transport) ? given.transport : null,
+        filter: isFunction(given.filter) ? given.filter : null
+      };
+      if (isString(given.keyFilename) && !isEmpty(given.keyFilename)) {
+        destination.credentials = loadCredentials(given.keyFilename);
+        if (!destination.credentials) {
+          that._logger.warn('Skipping the destination', given.projectId,
+            '- unable to load the service account key file',
+            given.keyFilename);
+          return valid;
+        }
+      }
+      valid.push(destination);
+      return valid;
+    }, []);
+  if (destinations.length > 0) {
+    this._destinations = destinations;
   }
 };
 /**
- * Returns the _reportUncaughtExceptions property on the instance.
+ * Returns whether uncaught exceptions are reported, that is whether the mode
+ * of the _uncaughtExceptionOptions property is not `ignore`.
  * @memberof Configuration
  * @public
  * @function getReportUncaughtExceptions
- * @returns {Boolean} - returns the _reportUncaughtExceptions property
+ * @returns {Boolean} - returns true if uncaught exceptions are reported
  */
 Configuration.prototype.getReportUncaughtExceptions = function() {
-  return this._reportUncaughtExceptions;
+  return this._uncaughtExceptionOptions.mode !== 'ignore';
+};
+/**
+ * Returns the _reportMode property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getReportMode
+ * @returns {String} - returns the _reportMode property
+ */
+Configuration.prototype.getReportMode = function() {
+  return this._reportMode;
+};
+/**
+ * Returns the _uncaughtExceptionOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getUncaughtExceptionOptions
+ * @returns {Object} - returns the _uncaughtExceptionOptions property
+ */
+Configuration.prototype.getUncaughtExceptionOptions = function() {
+  return this._uncaughtExceptionOptions;
 };
 /**
  * Returns the _shouldReportErrorsToAPI property on the instance.
@@ -476,6 +1777,26 @@ Configuration.prototype.getProjectNumber = function() {
 Configuration.prototype.getKey = function() {
   return this._key;
 };
+/**
+ * Returns the _credentials property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getCredentials
+ * @returns {Object|Null} - returns the _credentials property
+ */
+Configuration.prototype.getCredentials = function() {
+  return this._credentials;
+};
+/**
+ * Returns the _proxyOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getProxyOptions
+ * @returns {Object|Null} - returns the _proxyOptions property
+ */
+Configuration.prototype.getProxyOptions = function() {
+  return this._proxyOptions;
+};
 /**
  * Returns the _serviceContext property on the instance.
  * @memberof Configuration
@@ -486,6 +1807,175 @@ Configuration.prototype.getKey = function() {
 Configuration.prototype.getServiceContext = function() {
   return this._serviceContext;
 };
+/**
+ * Returns the _sourceReferences property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getSourceReferences
+ * @returns {Array<Object>|Null} - returns the _sourceReferences property
+ */
+Configuration.prototype.getSourceReferences = function() {
+  return this._sourceReferences;
+};
+/**
+ * Returns the _serviceContextSource property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getServiceContextSource
+ * @returns {Object} - returns the _serviceContextSource property
+ */
+Configuration.prototype.getServiceContextSource = function() {
+  return this._serviceContextSource;
+};
+/**
+ * Returns the _retryOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getRetryOptions
+ * @returns {Object} - returns the _retryOptions property
+ */
+Configuration.prototype.getRetryOptions = function() {
+  return this._retryOptions;
+};
+/**
+ * Returns the _circuitBreakerOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getCircuitBreakerOptions
+ * @returns {Object|Null} - returns the _circuitBreakerOptions property
+ */
+Configuration.prototype.getCircuitBreakerOptions = function() {
+  return this._circuitBreakerOptions;
+};
+/**
+ * Returns the _rateLimitOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getRateLimitOptions
+ * @returns {Object|Null} - returns the _rateLimitOptions property
+ */
+Configuration.prototype.getRateLimitOptions = function() {
+  return this._rateLimitOptions;
+};
+/**
+ * Returns the _timeoutOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getTimeoutOptions
+ * @returns {Object} - returns the _timeoutOptions property
+ */
+Configuration.prototype.getTimeoutOptions = function() {
+  return this._timeoutOptions;
+};
+/**
+ * Returns the _batchingOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getBatchingOptions
+ * @returns {Object|Null} - returns the _batchingOptions property
+ */
+Configuration.prototype.getBatchingOptions = function() {
+  return this._batchingOptions;
+};
+/**
+ * Returns the _spoolOptions property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getSpoolOptions
+ * @returns {Object|Null} - returns the _spoolOptions property
+ */
+Configuration.prototype.getSpoolOptions = function() {
+  return this._spoolOptions;
+};
+/**
+ * Returns the _apiEndpoint property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getApiEndpoint
+ * @returns {String} - returns the _apiEndpoint property
+ */
+Configuration.prototype.getApiEndpoint = function() {
+  return this._apiEndpoint;
+};
+/**
+ * Returns the _apiEndpointIsLocal property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function isApiEndpointLocal
+ * @returns {Boolean} - returns the _apiEndpointIsLocal property
+ */
+Configuration.prototype.isApiEndpointLocal = function() {
+  return this._apiEndpointIsLocal;
+};
+/**
+ * Returns the _transport property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getTransport
+ * @returns {Transport|String|Null} - returns the _transport property
+ */
+Configuration.prototype.getTransport = function() {
+  return this._transport;
+};
+/**
+ * Returns the _filter property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getFilter
+ * @returns {Function|Null} - returns the _filter property
+ */
+Configuration.prototype.getFilter = function() {
+  return this._filter;
+};
+/**
+ * Returns the _destinations property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getDestinations
+ * @returns {Array<Object>|Null} - returns the _destinations property
+ */
+Configuration.prototype.getDestinations = function() {
+  return this._destinations;
+};
+/**
+ * Creates a view of the instance for one of its destinations: the view
+ * delegates to the instance for everything but the project, the credentials
+ * and the transport, which are those of the destination, so that a transport
+ * given the view delivers reports to the destination. The project of the
+ * destination is the project number of the view if it represents a number and
+ * its project id otherwise, like the `projectId` option. The view does not
+ * have further destinations.
+ * @memberof Configuration
+ * @public
+ * @function forDestination
+ * @param {Object} destination - one of the destinations of the instance
+ * @returns {Configuration} - the view of the instance for the destination
+ */
+Configuration.prototype.forDestination = function(destination) {
+  var that = this;
+  var view = Object.create(this);
+  var isProjectNumber = !isNaN(destination.projectId);
+  view.getProjectId = function() {
+    return isProjectNumber ? null : destination.projectId;
+  };
+  view.getProjectNumber = function() {
+    return isProjectNumber ? destination.projectId : null;
+  };
+  view.getKey = function() { return destination.key; };
+  view.getCredentials = function() { return destination.credentials; };
+  view.getTransport = function() { return destination.transport; };
+  view.getDestinations = function() { return null; };
+  // Listen on the instance itself, which is the one emitting the events
+  view.addReadyListener = function(callback) {
+    that.addReadyListener(function() { callback(view); });
+    return view;
+  };
+  view.addErrorListener = function(callback) {
+    that.addErrorListener(callback);
+    return view;
+  };
+  return view;
+};
 /**
  * Returns the _version property on the instance.
  * @memberof Configuration
@@ -506,6 +1996,16 @@ Configuration.prototype.getVersion = function() {
 Configuration.prototype.getError = function() {
   return this._initError;
 };
+/**
+ * Returns the _logger property on the instance.
+ * @memberof Configuration
+ * @public
+ * @function getLogger
+ * @returns {Logger} - returns the _logger property
+ */
+Configuration.prototype.getLogger = function() {
+  return this._logger;
+};
 /**
  * Returns a Boolean based upon whethe the Configuration instance communicated
  * with the metadata service and has a sufficient configuration.
@@ -541,6 +2041,8 @@ Configuration.prototype.hasErrored = function() {
  * @public
  * @function init
  * @chainable
+ * @throws {ConfigurationError} - if the `strictConfiguration` option is set
+ *  and the runtime configuration is invalid
  * @returns {this} - returns the instance for chaining
  */
 Configuration.prototype.init = function () {
@@ -555,7 +2057,23 @@ Configuration.prototype.init = function () {
      * @example
      * utils.getProjectId(this._assimilateProjectId.bind(this));
      */
+    this._checkLocalConfigurationFiles();
+    this._checkLocalEnvironmentVariables();
+    this._checkLocalLogger();
+    this._checkConfigurationSchema();
+    this._checkLocalAutoVersion();
     this._checkLocalServiceContext();
+    this._checkLocalReportMode();
+    this._checkLocalFilter();
+    this._checkLocalUncaughtExceptionOptions();
+    this._checkLocalKeyFilename();
+    this._checkLocalProxyOptions();
+    this._checkLocalBatchingOptions();
+    this._checkLocalRateLimitOptions();
+    this._checkLocalCircuitBreakerOptions();
+    this._checkLocalSpoolOptions();
+    this._checkLocalTransport();
+    this._checkLocalDestinations();
     utils.getProjectNumber(this._assimilateProjectNumber.bind(this));
     this._startedInit = true;
   }
@@ -617,6 +2135,103 @@ Configuration.prototype.addErrorListener = function(callback) {
   }
   return this;
 };
+/**
+ * The configure function changes the options of the runtime configuration
+ * which may be changed once the instance has been initialized, see
+ * RECONFIGURABLE_OPTIONS, for example to disable reporting through a feature
+ * flag or to name the service after the tenant being served. The options are
+ * validated like the runtime configuration given at init: unknown options,
+ * options which cannot be changed and options of the wrong type are warned
+ * about and ignored or, if the `strictConfiguration` option was set at init,
+ * make configure throw without changing anything. The given options take
+ * precedence over the environmental variables and the previously given
+ * options. The service and version of a given `serviceContext` are changed
+ * individually, the `onUncaughtException` options are merged into the current
+ * ones and a `filter` of null removes the current filter. If any option
+ * changed the `change` event is emitted.
+ * @memberof Configuration
+ * @public
+ * @function configure
+ * @chainable
+ * @fires Configuration#change
+ * @throws {ConfigurationError} - if the `strictConfiguration` option is set
+ *  and the given options are invalid
+ * @param {Object} options - the options to change
+ * @returns {this} - returns the instance for chaining
+ */
+Configuration.prototype.configure = function(options) {
+  var that = this;
+  var given = isPlainObject(options) ? options : {};
+  var frozen = Object.keys(given).filter(function(option) {
+    return CONFIGURATION_SCHEMA.hasOwnProperty(option) &&
+      RECONFIGURABLE_OPTIONS.indexOf(option) === -1;
+  });
+  var problems = frozen.map(function(option) {
+    return {path: option, kind: 'invalid', suggestion: null,
+      message: 'Invalid option ' + option + ': it cannot be changed once ' +
+        'the configuration is initialized'};
+  }).concat(validateSchema(lodash.omit(given, frozen),
+    lodash.pick(CONFIGURATION_SCHEMA, RECONFIGURABLE_OPTIONS)));
+  var changes = {};
+  var current;
+  function record(option, previous, value) {
+    if (!lodash.isEqual(previous, value)) {
+      changes[option] = {previous: previous, current: value};
+    }
+  }
+  if (problems.length > 0) {
+    if (isPlainObject(this._givenConfiguration) &&
+      this._givenConfiguration.strictConfiguration === true) {
+      throw new ConfigurationError(problems);
+    }
+    problems.forEach(function(problem) {
+      that._logger.warn(problem.message);
+    });
+  }
+  if (isPlainObject(given.serviceContext)) {
+    current = lodash.clone(this._serviceContext);
+    ['service', 'version'].forEach(function(key) {
+      if (isString(given.serviceContext[key])) {
+        current[key] = given.serviceContext[key];
+        that._serviceContextSource[key] = 'configuration';
+      }
+    });
+    record('serviceContext', this._serviceContext, current);
+    this._serviceContext = current;
+  }
+  if (REPORT_MODES.indexOf(given.reportMode) !== -1) {
+    record('reportMode', this._reportMode, given.reportMode);
+    this._setReportMode(given.reportMode);
+  }
+  if (isFunction(given.filter) || isNull(given.filter)) {
+    record('filter', this._filter, given.filter);
+    this._filter = given.filter;
+  }
+  if (!isUndefined(given.onUncaughtException)) {
+    current = lodash.clone(this._uncaughtExceptionOptions);
+    mergeUncaughtExceptionOptions(current, given.onUncaughtException);
+    record('onUncaughtException', this._uncaughtExceptionOptions, current);
+    this._uncaughtExceptionOptions = current;
+  }
+  if (!isUndefined(given.logLevel)) {
+    current = this._logger.getLevel();
+    record('logLevel', current,
+      this._logger.setLevel(given.logLevel).getLevel());
+  }
+  if (!isEmpty(changes)) {
+    this._logger.debug('Changed the options', Object.keys(changes).join(', '));
+    /**
+     * The change event is emitted when `configure` has changed at least one
+     * option of the instance. Components caching values of the configuration
+     * should listen to it to pick up the new values.
+     * @event Configuration#change
+     * @type {Object} - the changed options, each holding its `previous` and
+     *  its `current` value
+     */
+    this.emit('change', changes);
+  }
+  return this;
+};
 /**
  * The error event callback is called when a Configuration instance has
  * unsuccessfully initialized and is unable to be addressed by concerned 
@@ -0,0 +1,149 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isString = lodash.isString;
+var isObject = lodash.isObject;
+
+/* @const {Object} the strings accepted as booleans and their values */
+var BOOLEANS = {
+  'true': true, '1': true, 'yes': true, 'on': true,
+  'false': false, '0': false, 'no': false, 'off': false
+};
+
+/**
+ * The parsers of the types an environmental variable may hold. Each parser is
+ * given the raw value and its type definition and returns the typed value or
+ * undefined if the raw value is not valid for the type.
+ * @const {Object}
+ */
+var PARSERS = {
+  string: function(raw) {
+    return raw;
+  },
+  integer: function(raw) {
+    return /^\d+$/.test(raw) ? parseInt(raw, 10) : undefined;
+  },
+  number: function(raw) {
+    return /^\d+(\.\d+)?$/.test(raw) ? parseFloat(raw) : undefined;
+  },
+  boolean: function(raw) {
+    return BOOLEANS[raw.toLowerCase()];
+  },
+  oneOf: function(raw, type) {
+    return type.values.indexOf(raw) !== -1 ? raw : undefined;
+  },
+  json: function(raw) {
+    var value;
+    try {
+      value = JSON.parse(raw);
+    } catch (e) {
+      return undefined;
+    }
+    return isObject(value) ? value : undefined;
+  }
+};
+
+/**
+ * Describes the values a type accepts, for warnings about invalid values.
+ * @function describeType
+ * @private
+ * @param {Object} type - the type definition
+ * @returns {String} - the description of the type
+ */
+function describeType(type) {
+  if (type.name === 'oneOf') {
+    return 'one of ' + type.values.join(', ');
+  } else if (type.name === 'boolean') {
+    return 'a boolean (true, false, 1, 0, yes, no, on or off)';
+  } else if (type.name === 'integer') {
+    return 'a non-negative integer';
+  } else if (type.name === 'number') {
+    return 'a non-negative number';
+  }
+  return type.name === 'json' ? 'a JSON object or array' : 'a string';
+}
+
+/**
+ * Reads the environmental variables of the given mapping and assembles the
+ * runtime configuration they describe. Each entry of the mapping names a
+ * variable, the path of the option it sets and the type of its value.
+ * Variables which are unset or empty are skipped and variables whose value is
+ * not valid for their type are skipped and reported through `onInvalid`. A
+ * boolean variable given as false for an option whose sub-options are also
+ * mapped, for example `batching`, disables the option whatever its
+ * sub-options; given as true it keeps the sub-options which were given.
+ * @function readEnvironmentVariables
+ * @param {Array<Object>} mapping - the entries of the mapping, sub-options
+ *  before the option they belong to
+ * @param {String} mapping[].variable - the name of the variable
+ * @param {String} mapping[].option - the dot separated path of the option
+ * @param {Object} mapping[].type - the type of the value, holding the `name`
+ *  of one of the parsers and, for `oneOf`, the accepted `values`
+ * @param {Function} [mapping[].transform] - given the typed value, returns
+ *  the value of the option
+ * @param {Object} environment - the environmental variables, process.env
+ * @param {Function} [onInvalid] - called with the name of the variable, its
+ *  value and the description of the expected type for every invalid variable
+ * @returns {Object} - the runtime configuration given by the variables
+ */
+function readEnvironmentVariables(mapping, environment, onInvalid) {
+  var configuration = {};
+  mapping.forEach(function(entry) {
+    var raw = environment[entry.variable];
+    var value;
+    if (!isString(raw) || raw.trim().length === 0) {
+      return;
+    }
+    value = PARSERS[entry.type.name](raw.trim(), entry.type);
+    if (value === undefined) {
+      if (lodash.isFunction(onInvalid)) {
+        onInvalid(entry.variable, raw, describeType(entry.type));
+      }
+      return;
+    }
+    if (lodash.isFunction(entry.transform)) {
+      value = entry.transform(value);
+    } else if (value === true && lodash.isPlainObject(
+      lodash.get(configuration, entry.option))) {
+      return;
+    }
+    lodash.set(configuration, entry.option, value);
+  });
+  return configuration;
+}
+
+/**
+ * Creates the type definition of a variable accepting only the given values.
+ * @function oneOf
+ * @param {Array<String>} values - the accepted values
+ * @returns {Object} - the type definition
+ */
+function oneOf(values) {
+  return {name: 'oneOf', values: values};
+}
+
+module.exports = {
+  readEnvironmentVariables: readEnvironmentVariables,
+  oneOf: oneOf,
+  STRING: {name: 'string'},
+  INTEGER: {name: 'integer'},
+  NUMBER: {name: 'number'},
+  BOOLEAN: {name: 'boolean'},
+  JSON: {name: 'json'}
+};
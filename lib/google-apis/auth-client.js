@@ -15,16 +15,182 @@
  */
 
 'use strict';
-var commonDiag = require('@google/cloud-diagnostics-common');
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+var GoogleAuth = require('google-auth-library');
+var DefaultTransporter = require('google-auth-library/lib/transporters.js');
+var request = require('request');
 var lodash = require('lodash');
 var isFunction = lodash.isFunction;
 var isString = lodash.isString;
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var RetryPolicy = require('./retry-policy.js');
+var ServiceAccountToken = require('./service-account-token.js');
+var CircuitBreaker = require('./circuit-breaker.js');
+var RequestTimeoutError = require('./request-timeout-error.js');
+var ProxyResolver = require('./proxy-resolver.js');
 
 /* @const {Array<String>} list of scopes needed to work with the errors api. */
 var SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
 
-/* @const {String} Base Error Reporting API */
-var API = 'https://clouderrorreporting.googleapis.com/v1beta1/projects'
+/**
+ * Creates a google-auth-library transporter which sends every request it makes
+ * through the proxy the given ProxyResolver resolves for the URL requested and
+ * bounds it by the given connect and read timeout. The clients of the
+ * application default credentials make their token requests, and their
+ * requests to the metadata server, through their transporter.
+ * @function createProxyTransporter
+ * @private
+ * @param {ProxyResolver} proxyResolver - decides which proxy, if any, each
+ *  request goes through
+ * @param {Number} timeout - the connect and read timeout in milliseconds
+ * @returns {DefaultTransporter} - the transporter
+ */
+function createProxyTransporter(proxyResolver, timeout) {
+  var transporter = new DefaultTransporter();
+  var send = transporter.request;
+  transporter.request = function(opts, callback) {
+    var target = opts.uri || opts.url;
+    if (isString(target)) {
+      opts.proxy = proxyResolver.resolve(target);
+    }
+    if (!isNumber(opts.timeout)) {
+      opts.timeout = timeout;
+    }
+    return send.call(transporter, opts, callback);
+  };
+  return transporter;
+}
+
+/**
+ * Creates a npm.im/request style function which authorizes every request it
+ * makes with the application default credentials, scoped to the given scopes.
+ * The returned function does not retry failed requests on its own, retrying is
+ * left entirely to the RequestHandler so that a single RetryPolicy governs how
+ * many attempts are made. Each call returns a handle whose `abort` function
+ * cancels the request, or keeps it from being made if the credentials or the
+ * access token are still being resolved; the request is only made once the
+ * access token is known so that it is always the request being aborted.
+ * Failures to resolve the credentials are logged as warnings since they keep
+ * any report from being delivered. The credentials are resolved, and their
+ * tokens requested, through the proxy of the given ProxyResolver; since
+ * google-auth-library requests the tokens of a service account key file
+ * without a transporter those tokens are minted by a ServiceAccountToken
+ * instead.
+ * @function authorizedRequestFactory
+ * @private
+ * @param {Array<String>} scopes - the scopes to request the credentials for
+ * @param {Logger} logger - the logger to log the failures to
+ * @param {ProxyResolver} proxyResolver - decides which proxy, if any, the
+ *  credentials are resolved and the tokens are requested through
+ * @param {Number} timeout - the connect and read timeout in milliseconds of
+ *  the requests resolving the credentials and the tokens
+ * @returns {Function} - a request function accepting (options, callback)
+ */
+function authorizedRequestFactory(scopes, logger, proxyResolver, timeout) {
+  var googleAuth = new GoogleAuth();
+  var authorize = null;
+  googleAuth.transporter = createProxyTransporter(proxyResolver, timeout);
+
+  function getAuthorizer(callback) {
+    if (authorize) {
+      callback(null, authorize);
+      return;
+    }
+    googleAuth.getApplicationDefault(function(err, client) {
+      var token;
+      if (err) {
+        logger.warn('Unable to obtain the application default credentials -',
+          err.message);
+        callback(err);
+        return;
+      }
+      if (client instanceof googleAuth.JWT && isString(client.email) &&
+        isString(client.key)) {
+        token = new ServiceAccountToken({
+          client_email: client.email,
+          private_key: client.key
+        }, scopes, proxyResolver, timeout);
+        authorize = function(cb) {
+          token.getAccessToken(function(err, accessToken) {
+            cb(err, err ? null : 'Bearer ' + accessToken);
+          });
+        };
+      } else {
+        if (client.createScopedRequired && client.createScopedRequired()) {
+          client = client.createScoped(scopes);
+        }
+        client.transporter = googleAuth.transporter;
+        authorize = function(cb) {
+          client.getRequestMetadata(null, function(err, headers) {
+            cb(err || null, err ? null : headers.Authorization);
+          });
+        };
+      }
+      callback(null, authorize);
+    });
+  }
+
+  return function(options, callback) {
+    var aborted = false;
+    var req = null;
+    getAuthorizer(function(err, authorizer) {
+      if (aborted) {
+        return;
+      } else if (err) {
+        callback(err, null, null);
+        return;
+      }
+      authorizer(function(err, authorization) {
+        if (aborted) {
+          return;
+        } else if (err) {
+          callback(err, null, null);
+          return;
+        }
+        req = request(lodash.assign({}, options, {
+          headers: lodash.assign({}, options.headers,
+            {Authorization: authorization})
+        }), callback);
+      });
+    });
+    return {
+      abort: function() {
+        aborted = true;
+        if (req) {
+          req.abort();
+        }
+      }
+    };
+  };
+}
+
+/**
+ * Ensures that a completed transaction which did not succeed is represented by
+ * an error. The request transport only produces errors for some unsuccessful
+ * responses, for example a 429 response without a JSON body is not considered
+ * an error by it, so any non-2xx response without an error is given one here.
+ * @function getTransactionError
+ * @private
+ * @param {Error|Null} err - the error, if any, generated during the transaction
+ * @param {Object|Null|Undefined} response - the response, if any, received
+ *  during the transaction
+ * @returns {Error|Null} - the error of the transaction or null if it succeeded
+ */
+function getTransactionError(err, response) {
+  var statusError;
+  if (err) {
+    return err;
+  } else if (isObject(response) && isNumber(response.statusCode) &&
+    (response.statusCode < 200 || response.statusCode > 299)) {
+    statusError = new Error('Error Reporting API responded with status code ' +
+      response.statusCode);
+    statusError.code = response.statusCode;
+    return statusError;
+  }
+  return null;
+}
 
 /**
  * The RequestHandler constructor initializes several properties on the
@@ -34,45 +200,170 @@ var API = 'https://clouderrorreporting.googleapis.com/v1beta1/projects'
  * @param {String|Null} [key] - the API key used to authenticate against the
  *  service in place of default application credentials
  * @class RequestHandler
+ * @extends EventEmitter
  * @classdesc The RequestHandler class provides a centralized way of managing a
  * pool of ongoing requests and routing there callback execution to the right
  * handlers. The RequestHandler relies on the diag-common request factory
  * and therefore only manages the routing of execution to the proper callback
- * and does not do any queueing/batching. The RequestHandler instance has
+ * and does not do any queueing/batching. Requests which fail with a transient
+ * error are retried according to a RetryPolicy created from the retry options
+ * of the configuration. The RequestHandler instance has
  * several properties: the projectId property is used to create a correct url
  * for interacting with the API and key property can be optionally provided a
- * value which can be used in place of default application authentication. The
- * shouldReportErrors property will dictate whether or not the handler instance
- * will attempt to send payloads to the API. If it is false the handler will
- * immediately call back to the completion callback with a constant error value.
+ * value which can be used in place of default application authentication.
+ * Whether reports are delivered at all, as decided by the report mode, is left
+ * to the ReportingClient handing reports to the handler.
+ * Requests are made against the API endpoint of the configuration; if the
+ * endpoint points at the local machine, as an emulator does, requests are made
+ * without authorization.
+ * Requests are authorized with the application default credentials unless the
+ * configuration holds the credentials of a service account key file, in which
+ * case access tokens are minted from those credentials. Unless disabled in the
+ * configuration, a CircuitBreaker stops requests once the API has failed
+ * consistently; reports given while it is open are called back with an error
+ * having the code `ECIRCUITOPEN` and its `dropped` property set without a
+ * request being made. Requests, and
+ * the requests made to obtain their access tokens, go through the proxy of the
+ * configuration, if any; the token requests are bounded by the socket timeout
+ * of the configuration. The `retry` event is emitted before every retry.
  * @property {Function} _request - a npm.im/request style request function that
  *  provides the transport layer for requesting against the Error Reporting API.
- *  It includes retry and authorization logic.
- * @property {String} _projectId - the project id used to uniquely identify and
- *  address the correct project in the Error Reporting API
+ *  It includes authorization logic but does not retry on its own.
+ * @property {CircuitBreaker|Null} _circuitBreaker - the breaker rejecting
+ *  requests while the API fails consistently, null if disabled
+ * @property {ProxyResolver} _proxyResolver - decides which proxy, if any, each
+ *  request goes through
+ * @property {Function} _localRequest - a npm.im/request style request function
+ *  without authorization used against local endpoints
+ * @property {Configuration} _config - the configuration instance
+ * @property {Logger} _logger - the logger of the configuration, to which
+ *  retries, failed deliveries and rejections of the circuit breaker are logged
  */
 function RequestHandler(config) {
-  this._request = commonDiag.utils.authorizedRequestFactory(SCOPES);
+  EventEmitter.call(this);
+  var credentials = config.getCredentials();
+  var circuitBreakerOptions = config.getCircuitBreakerOptions();
+  var socketTimeout = config.getTimeoutOptions().socket;
+  this._logger = config.getLogger();
+  this._proxyResolver = new ProxyResolver(config.getProxyOptions());
+  this._request = credentials ? new ServiceAccountToken(credentials, SCOPES,
+    this._proxyResolver, socketTimeout).createRequest() :
+    authorizedRequestFactory(SCOPES, this._logger, this._proxyResolver,
+      socketTimeout);
+  this._localRequest = request;
+  this._circuitBreaker = circuitBreakerOptions ?
+    new CircuitBreaker(circuitBreakerOptions) : null;
   this._config = config;
 }
+// Extend the RequestHandler constructor by augmenting it with EventEmitter
+inherits(RequestHandler, EventEmitter);
 
 /**
- * Compute the URL that errors should be reported to given the projectId and
- * optional key.
+ * Compute the URL that errors should be reported to given the API endpoint,
+ * the projectId and optional key.
+ * @param {String} endpoint - the base URL of the Error Reporting API.
  * @param {String} projectId - the project id of the application.
  * @param {String|Null} [key] - the API key used to authenticate against the
  *  service in place of application default credentials.
  * @returns {String} computed URL that the errors should be reported to.
  * @private
  */
-function getErrorReportURL(projectId, key) {
-  var url = [ API, projectId, 'events:report'].join('/');
+function getErrorReportURL(endpoint, projectId, key) {
+  var url = [ endpoint, projectId, 'events:report'].join('/');
   if (isString(key)) {
     url += '?key=' + key;
   }
   return url;
 }
 
+/**
+ * Performs the given request and, if it fails with an error which is safe to
+ * retry, performs it again after the delay given by the retry policy until it
+ * either succeeds, fails with an error which is not retryable or the policy
+ * gives up. Only the outcome of the final attempt is given to the callback.
+ * Every attempt goes through the proxy given by the proxy resolver and is
+ * bounded by the timeouts of the configuration. The socket timeout is handed
+ * to the request function, which uses it both as the connect timeout and as
+ * the read timeout of the attempt; attempts timing out this way fail with a
+ * RequestTimeoutError, which is retryable. The total timeout is a deadline
+ * for all attempts together: once it passes the attempt in flight is aborted,
+ * anything it produces afterwards is ignored, and the delivery fails with a
+ * RequestTimeoutError. A retry whose delay would end past the deadline is not
+ * made either, the error of the last attempt is given to the callback
+ * instead.
+ * @function _requestWithRetry
+ * @private
+ * @fires RequestHandler#retry
+ * @param {Object} options - the npm.im/request style options of the request
+ * @param {RetryPolicy} policy - the policy deciding whether to retry
+ * @param {RequestHandler~requestCallback} callback - called with the outcome of
+ *  the final attempt
+ * @returns {Undefined} - does not return anything
+ */
+RequestHandler.prototype._requestWithRetry = function(options, policy,
+  callback) {
+  var requestFn = this._config.isApiEndpointLocal() ? this._localRequest :
+    this._request;
+  var timeouts = this._config.getTimeoutOptions();
+  var deadline = Date.now() + timeouts.total;
+  var attemptOptions = lodash.assign({}, options, {
+    timeout: timeouts.socket,
+    proxy: this._proxyResolver.resolve(options.url)
+  });
+
+  var that = this;
+
+  function complete(attemptNumber, err, response, body) {
+    var error = getTransactionError(
+      RequestTimeoutError.fromTransportError(err, timeouts.socket), response);
+    var delay = error ? policy.getRetryDelay(attemptNumber, error, response) :
+      -1;
+    if (delay < 0 || Date.now() + delay >= deadline) {
+      callback(error, response, body);
+      return;
+    }
+    that._logger.debug('Retrying the delivery of a report in', delay,
+      'ms after attempt', attemptNumber, 'failed -', error.message);
+    /**
+     * The retry event is emitted whenever a failed attempt is about to be
+     * retried.
+     * @event RequestHandler#retry
+     * @type {ErrorMessage} - the report being delivered, followed by the error
+     *  of the failed attempt, the 1-indexed number of the failed attempt and
+     *  the delay in milliseconds before the next attempt
+     */
+    that.emit('retry', options.json, error, attemptNumber, delay);
+    setTimeout(attempt.bind(null, attemptNumber + 1), delay);
+  }
+
+  function attempt(attemptNumber) {
+    var settled = false;
+    var handle = null;
+    var remaining = Math.max(deadline - Date.now(), 0);
+    var timer = setTimeout(function() {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (isObject(handle) && isFunction(handle.abort)) {
+        handle.abort();
+      }
+      complete(attemptNumber,
+        new RequestTimeoutError('total', timeouts.total), null, null);
+    }, remaining);
+    handle = requestFn(attemptOptions, function(err, response, body) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      complete(attemptNumber, err, response, body);
+    });
+  }
+
+  attempt(1);
+};
+
 /**
  * Creates a request options object given the value of the error message and
  * will callback to the user supplied callback if given one. If a callback is
@@ -91,22 +382,38 @@ RequestHandler.prototype.sendError = function(errorMessage, userCb) {
   function doRequest() {
     var projectIdentifier = (that._config.getProjectId()) ? 
       that._config.getProjectId() : that._config.getProjectNumber();
-    that._request({
-      url: getErrorReportURL(projectIdentifier, that._config.getKey()),
+    var breaker = that._circuitBreaker;
+    var options = {
+      url: getErrorReportURL(that._config.getApiEndpoint(), projectIdentifier,
+        that._config.getKey()),
       method: 'POST',
       json: errorMessage
-    }, cb);
+    };
+    var policy = new RetryPolicy(that._config.getRetryOptions());
+    var generation;
+    if (breaker && !breaker.allowRequest()) {
+      that._logger.debug('The circuit breaker is open, not delivering a',
+        'report');
+      cb(breaker.createRejectionError(), null, null);
+      return;
+    }
+    generation = breaker ? breaker.generation : null;
+    that._requestWithRetry(options, policy, function(err, response, body) {
+      if (breaker) {
+        breaker.record(err, generation);
+      }
+      if (err) {
+        that._logger.error('Unable to deliver a report to the Error',
+          'Reporting API -', err.message);
+      } else {
+        that._logger.debug('Delivered a report to the Error Reporting API');
+      }
+      cb(err, response, body);
+    });
   }
 
   if (that._config.isReady()) {
-    if (that._config.getShouldReportErrorsToAPI()) {
-      doRequest();
-    } else {
-      cb(new Error([
-        'Client has not been configured to send errors, please check the',
-        'NODE_ENV enviorment variable and make sure it is set to production'
-      ].join(' ')), null, null);
-    }
+    doRequest();
   } else if (that._config.hasErrored()) {
     cb(that._config.getError(), null, null);
   } else {
@@ -117,6 +424,17 @@ RequestHandler.prototype.sendError = function(errorMessage, userCb) {
   }
 };
 
+/**
+ * Returns the state of the circuit breaker so that it can be surfaced by health
+ * checks.
+ * @function getCircuitBreakerState
+ * @returns {Object|Null} - the state of the circuit breaker as returned by
+ *  `CircuitBreaker#getState` or null if the circuit breaker is disabled
+ */
+RequestHandler.prototype.getCircuitBreakerState = function() {
+  return this._circuitBreaker ? this._circuitBreaker.getState() : null;
+};
+
 /**
  * The requestCallback callback function is called on completion of an API
  * request whether that completion is success or failure. The request can either
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isTransient = require('../transient-errors.js').isTransient;
+
+/**
+ * The states of a CircuitBreaker. While `closed` every request is let through,
+ * while `open` every request is rejected and while `halfOpen` a single probe
+ * request is let through to determine whether the API has recovered.
+ * @const {Object}
+ */
+var STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'halfOpen'
+};
+
+/**
+ * The default circuit breaker options, these are used for any option that is
+ * not given or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeout: 30000
+};
+
+/* @const {Array<Number>} status codes denoting that requests are not
+ * authorized, which count as failures despite not being transient */
+var UNAUTHORIZED_STATUS_CODES = [401, 403];
+
+/**
+ * The CircuitBreaker constructor accepts an optional object of circuit breaker
+ * options.
+ * @class CircuitBreaker
+ * @classdesc The CircuitBreaker class keeps the RequestHandler from requesting
+ *  against an API which rejects every request, for example because the API
+ *  key was revoked or the API was disabled. The breaker opens once
+ *  `failureThreshold` consecutive requests have failed. While open every
+ *  request is rejected without being made and counted. Once `resetTimeout`
+ *  milliseconds have passed the breaker becomes half open and lets the next
+ *  request through as a probe: if the probe succeeds the breaker closes, if it
+ *  fails the breaker opens again for another `resetTimeout` milliseconds.
+ *  Every time the breaker opens its `generation` is incremented; the outcome
+ *  of a request made before the breaker last opened, which may still have
+ *  been in flight, is ignored so that only the probe decides whether the
+ *  breaker closes.
+ * @param {Object} [options] - the circuit breaker options
+ * @param {Number} [options.failureThreshold=5] - the number of consecutive
+ *  failures which opens the breaker
+ * @param {Number} [options.resetTimeout=30000] - the time in milliseconds the
+ *  breaker stays open before probing the API
+ * @property {Number} generation - the number of times the breaker has opened
+ */
+function CircuitBreaker(options) {
+  var given = isObject(options) ? options : {};
+  this.failureThreshold = isNumber(given.failureThreshold) &&
+    given.failureThreshold >= 1 ? Math.floor(given.failureThreshold) :
+    DEFAULT_CIRCUIT_BREAKER_OPTIONS.failureThreshold;
+  this.resetTimeout = isNumber(given.resetTimeout) &&
+    isFinite(given.resetTimeout) && given.resetTimeout >= 0 ?
+    given.resetTimeout : DEFAULT_CIRCUIT_BREAKER_OPTIONS.resetTimeout;
+  this.generation = 0;
+  this._state = STATES.closed;
+  this._consecutiveFailures = 0;
+  this._openedAt = null;
+  this._probing = false;
+  this._rejectedCount = 0;
+  this._lastError = null;
+}
+
+/**
+ * Determines whether the outcome of a request counts as a failure of the API.
+ * Transient failures, see `isTransient`, and the status codes denoting that
+ * requests are not authorized count as failures. Other client errors, such as
+ * a malformed report, are specific to a single request and do not count.
+ * @function isFailure
+ * @static
+ * @param {Error|Null} err - the error, if any, of the request
+ * @returns {Boolean} - true if the outcome counts as a failure
+ */
+CircuitBreaker.isFailure = function(err) {
+  return isTransient(err) || (isObject(err) &&
+    UNAUTHORIZED_STATUS_CODES.indexOf(err.code) !== -1);
+};
+
+/**
+ * Determines whether a request may be made. While the breaker is open the
+ * request is rejected and counted unless `resetTimeout` has passed, in which
+ * case the breaker becomes half open and the request is let through as the
+ * probe.
+ * @function allowRequest
+ * @returns {Boolean} - true if the request may be made, false otherwise
+ */
+CircuitBreaker.prototype.allowRequest = function() {
+  if (this._state === STATES.open &&
+    Date.now() - this._openedAt >= this.resetTimeout) {
+    this._state = STATES.halfOpen;
+  }
+  if (this._state === STATES.closed) {
+    return true;
+  } else if (this._state === STATES.halfOpen && !this._probing) {
+    this._probing = true;
+    return true;
+  }
+  this._rejectedCount += 1;
+  return false;
+};
+
+/**
+ * Records the outcome of a request which was allowed through, closing the
+ * breaker on success and opening it once the failure threshold is reached or
+ * the probe fails. The outcome is ignored if the breaker has opened since the
+ * request was allowed through.
+ * @function record
+ * @param {Error|Null} err - the error, if any, of the request
+ * @param {Number} [generation] - the `generation` of the breaker when the
+ *  request was allowed through, the current generation if not given
+ * @returns {Undefined} - does not return anything
+ */
+CircuitBreaker.prototype.record = function(err, generation) {
+  var wasProbe;
+  if (isNumber(generation) && generation !== this.generation) {
+    return;
+  }
+  wasProbe = this._state === STATES.halfOpen;
+  if (wasProbe) {
+    this._probing = false;
+  }
+  if (!CircuitBreaker.isFailure(err)) {
+    this._state = STATES.closed;
+    this._consecutiveFailures = 0;
+    this._openedAt = null;
+    return;
+  }
+  this._consecutiveFailures += 1;
+  this._lastError = err;
+  if (wasProbe || this._consecutiveFailures >= this.failureThreshold) {
+    this._state = STATES.open;
+    this._openedAt = Date.now();
+    this.generation += 1;
+  }
+};
+
+/**
+ * Creates the error given to the callback of a request rejected by the open
+ * breaker. The error has the string code `ECIRCUITOPEN` so that, like a socket
+ * error, it is treated as transient and the report is spooled if a spool is
+ * configured. Its `dropped` property is set since the report was never sent,
+ * which has the ReportingClient emit `dropped` rather than `failed` for it.
+ * @function createRejectionError
+ * @returns {Error} - the rejection error
+ */
+CircuitBreaker.prototype.createRejectionError = function() {
+  var err = new Error('Report not sent: the circuit breaker is open after ' +
+    this._consecutiveFailures + ' consecutive failures of the Error ' +
+    'Reporting API');
+  err.code = 'ECIRCUITOPEN';
+  err.dropped = true;
+  err.cause = this._lastError;
+  return err;
+};
+
+/**
+ * Returns a snapshot of the state of the breaker, meant to be surfaced by
+ * health checks.
+ * @function getState
+ * @returns {Object} - the `state`, one of `closed`, `open` or `halfOpen`, the
+ *  number of `consecutiveFailures`, the time the breaker was last opened as
+ *  `openedAt`, or null if closed, the number of requests rejected since the
+ *  breaker was created as `rejectedCount` and the message of the last failure
+ *  as `lastError`, or null if none occurred
+ */
+CircuitBreaker.prototype.getState = function() {
+  return {
+    state: this._state,
+    consecutiveFailures: this._consecutiveFailures,
+    openedAt: this._openedAt === null ? null :
+      (new Date(this._openedAt)).toISOString(),
+    rejectedCount: this._rejectedCount,
+    lastError: this._lastError ? this._lastError.message : null
+  };
+};
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.DEFAULT_CIRCUIT_BREAKER_OPTIONS =
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,135 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var url = require('url');
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isString = lodash.isString;
+var isEmpty = lodash.isEmpty;
+
+/* @const {Object} the default port of each protocol */
+var DEFAULT_PORTS = {'http:': '80', 'https:': '443'};
+
+/* @const {Array<String>} the hostnames which denote the local machine */
+var LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Parses the comma-separated entries of a `NO_PROXY` style list. Each entry is
+ * either `*`, a hostname, a domain suffix starting with `.` or `*.`, or an IP
+ * address, each optionally followed by a port.
+ * @function parseNoProxy
+ * @private
+ * @param {String} noProxy - the comma-separated list
+ * @returns {Array<Object>} - the entries as objects with a `hostname` and an
+ *  optional `port`
+ */
+function parseNoProxy(noProxy) {
+  return noProxy.split(',').map(function(entry) {
+    var trimmed = entry.trim().toLowerCase();
+    var match = /^(.*?)(?::(\d+))?$/.exec(trimmed);
+    return {
+      hostname: match[1].replace(/^\*\./, '.').replace(/^\[|\]$/g, ''),
+      port: match[2] || null
+    };
+  }).filter(function(entry) {
+    return !isEmpty(entry.hostname);
+  });
+}
+
+/**
+ * The ProxyResolver constructor accepts the proxy options of the
+ * configuration.
+ * @class ProxyResolver
+ * @classdesc The ProxyResolver class decides which proxy, if any, a request
+ *  to a given URL goes through. Requests to https URLs go through the
+ *  `httpsProxy` and requests to http URLs through the `httpProxy` unless the
+ *  hostname of the URL is exempted by the `noProxy` list, which
+ *  follows the `NO_PROXY` conventions: an entry matches its hostname exactly,
+ *  an entry starting with `.` or `*.` matches every subdomain and `*` matches
+ *  every hostname. Hostnames denoting the local machine, such as the one of
+ *  an emulator, are always exempted. Credentials of an authenticated proxy are given as part of
+ *  the proxy URL.
+ * @param {Object|Null} [options] - the proxy options, no request goes through
+ *  a proxy if not given
+ * @param {String} [options.httpsProxy] - the URL of the proxy for https URLs
+ * @param {String} [options.httpProxy] - the URL of the proxy for http URLs
+ * @param {String} [options.noProxy] - the hostnames exempted from the proxy
+ * @property {Object} proxies - the URL of the proxy, or null, keyed by the
+ *  protocol it is used for
+ */
+function ProxyResolver(options) {
+  var given = isObject(options) ? options : {};
+  this.proxies = {
+    'https:': isString(given.httpsProxy) && !isEmpty(given.httpsProxy) ?
+      given.httpsProxy : null,
+    'http:': isString(given.httpProxy) && !isEmpty(given.httpProxy) ?
+      given.httpProxy : null
+  };
+  this._noProxy = isString(given.noProxy) ? parseNoProxy(given.noProxy) : [];
+}
+
+/**
+ * Determines whether the hostname and port of the given URL are exempted from
+ * the proxy, either by the `noProxy` list or because they denote the local
+ * machine.
+ * @function isExempted
+ * @param {String} requestUrl - the URL of the request
+ * @returns {Boolean} - true if the request should not go through the proxy
+ */
+ProxyResolver.prototype.isExempted = function(requestUrl) {
+  var parsed = url.parse(requestUrl);
+  var hostname = (parsed.hostname || '').toLowerCase()
+    .replace(/^\[|\]$/g, '');
+  var port = parsed.port || DEFAULT_PORTS[parsed.protocol] || null;
+  if (LOCAL_HOSTNAMES.indexOf(hostname) !== -1) {
+    return true;
+  }
+  return this._noProxy.some(function(entry) {
+    if (entry.port !== null && entry.port !== port) {
+      return false;
+    } else if (entry.hostname === '*') {
+      return true;
+    } else if (entry.hostname.charAt(0) === '.') {
+      return hostname === entry.hostname.slice(1) ||
+        hostname.slice(-entry.hostname.length) === entry.hostname;
+    }
+    return hostname === entry.hostname;
+  });
+};
+
+/**
+ * Returns the proxy a request to the given URL should go through. The result
+ * is meant to be given as the `proxy` option of npm.im/request, where null
+ * makes the request bypass the proxy environmental variables so that the
+ * decision made here is authoritative.
+ * @function resolve
+ * @param {String} requestUrl - the URL of the request
+ * @returns {String|Null} - the URL of the proxy or null if the request should
+ *  not go through a proxy
+ */
+ProxyResolver.prototype.resolve = function(requestUrl) {
+  var proxy = this.proxies[url.parse(requestUrl).protocol] || null;
+  if (proxy === null || this.isExempted(requestUrl)) {
+    return null;
+  }
+  return proxy;
+};
+
+ProxyResolver.LOCAL_HOSTNAMES = LOCAL_HOSTNAMES;
+
+module.exports = ProxyResolver;
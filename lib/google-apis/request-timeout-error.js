@@ -0,0 +1,81 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var inherits = require('util').inherits;
+
+/**
+ * The RequestTimeoutError constructor accepts the phase of the request which
+ * timed out, the timeout which expired and, optionally, the error of the
+ * underlying transport.
+ * @class RequestTimeoutError
+ * @classdesc The RequestTimeoutError class is the error given to the callback
+ *  of a report whose request against the Error Reporting API timed out, which
+ *  lets callers tell timeouts apart from other failures with `instanceof`.
+ *  The `phase` property tells which timeout expired: `connect` if the
+ *  connection could not be established, `socket` if the connection went idle
+ *  and `total` if the delivery as a whole, retries included, took too long and
+ *  the request in flight was aborted. Like
+ *  the socket timeout errors of Node the error has the code `ETIMEDOUT` so
+ *  that it is considered transient: it is retried, spooled and counted by the
+ *  circuit breaker as any other socket error would be.
+ * @param {String} phase - one of `connect`, `socket` or `total`
+ * @param {Number} timeout - the timeout in milliseconds which expired
+ * @param {Error} [cause] - the error of the underlying transport, if any
+ * @property {String} name - always `RequestTimeoutError`
+ * @property {String} code - always `ETIMEDOUT`
+ * @property {String} phase - the phase of the request which timed out
+ * @property {Number} timeout - the timeout in milliseconds which expired
+ * @property {Error|Null} cause - the error of the underlying transport
+ */
+function RequestTimeoutError(phase, timeout, cause) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, RequestTimeoutError);
+  }
+  this.name = 'RequestTimeoutError';
+  this.message = 'Request to the Error Reporting API timed out after ' +
+    timeout + 'ms (' + phase + ' timeout)';
+  this.code = 'ETIMEDOUT';
+  this.phase = phase;
+  this.timeout = timeout;
+  this.cause = cause || null;
+}
+inherits(RequestTimeoutError, Error);
+
+/**
+ * Converts the timeout errors of the npm.im/request module into a
+ * RequestTimeoutError. Any other error is returned as is.
+ * @function fromTransportError
+ * @static
+ * @param {Error|Null} err - the error of the transport
+ * @param {Number} timeout - the socket timeout given to the transport
+ * @returns {Error|Null} - the converted error
+ */
+RequestTimeoutError.fromTransportError = function(err, timeout) {
+  if (!err || err instanceof RequestTimeoutError) {
+    return err;
+  } else if (err.code === 'ETIMEDOUT' && err.connect === true) {
+    return new RequestTimeoutError('connect', timeout, err);
+  } else if (err.code === 'ESOCKETTIMEDOUT' ||
+    (err.code === 'ETIMEDOUT' && err.connect === false)) {
+    return new RequestTimeoutError('socket', timeout, err);
+  }
+  return err;
+};
+
+module.exports = RequestTimeoutError;
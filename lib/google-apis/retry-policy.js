@@ -0,0 +1,152 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isString = lodash.isString;
+var random = lodash.random;
+var isTransient = require('../transient-errors.js').isTransient;
+
+/**
+ * The default retry options, these are used for any option that is not given
+ * or given as an invalid value.
+ * @const {Object}
+ */
+var DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,
+  initialDelay: 1000,
+  maxDelay: 32000
+};
+
+/**
+ * Parses the value of a `Retry-After` response header into a number of
+ * milliseconds. The header may either be given as a number of seconds or as an
+ * HTTP-date.
+ * {@link https://tools.ietf.org/html/rfc7231#section-7.1.3}
+ * @function parseRetryAfter
+ * @private
+ * @param {Object|Null|Undefined} response - the response of the transaction
+ * @returns {Number} - the delay in milliseconds or -1 if the header was not
+ *  present or could not be parsed
+ */
+function parseRetryAfter(response) {
+  var header;
+  var date;
+  if (!isObject(response) || !isObject(response.headers) ||
+    !isString(response.headers['retry-after'])) {
+    return -1;
+  }
+  header = response.headers['retry-after'].trim();
+  if (/^\d+$/.test(header)) {
+    return parseInt(header, 10) * 1000;
+  }
+  date = Date.parse(header);
+  if (isNaN(date)) {
+    return -1;
+  }
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * The RetryPolicy constructor accepts an optional object of retry options and
+ * assigns each valid option onto the instance, substituting the default value
+ * for any option which was not given or given as an invalid value.
+ * @class RetryPolicy
+ * @classdesc The RetryPolicy class decides whether a failed request against
+ *  the Error Reporting API should be attempted again and how long to wait
+ *  before doing so. Only transient failures are retried, see `isTransient`:
+ *  the status codes 408, 429 and 500 and above and socket errors. The
+ *  delay between attempts grows exponentially with a random jitter applied so
+ *  that many processes failing at once do not retry in lockstep. If the API
+ *  responds with a `Retry-After` header the delay will never be shorter than
+ *  the delay asked for by the API, unless the API asks for a delay longer than
+ *  the maximum delay, in which case the maximum delay is waited instead.
+ * @param {Object} [options] - the retry options
+ * @param {Number} [options.maxRetries=4] - the maximum number of retries to
+ *  perform after the initial attempt
+ * @param {Number} [options.initialDelay=1000] - the delay, in milliseconds,
+ *  before the first retry
+ * @param {Number} [options.maxDelay=32000] - the maximum delay, in
+ *  milliseconds, between two attempts
+ * @property {Number} maxRetries - the maximum number of retries
+ * @property {Number} initialDelay - the delay before the first retry
+ * @property {Number} maxDelay - the maximum delay between two attempts
+ */
+function RetryPolicy(options) {
+  var given = isObject(options) ? options : {};
+  var key;
+  for (key in DEFAULT_RETRY_OPTIONS) {
+    if (DEFAULT_RETRY_OPTIONS.hasOwnProperty(key)) {
+      this[key] = isNumber(given[key]) && isFinite(given[key]) &&
+        given[key] >= 0 ? given[key] : DEFAULT_RETRY_OPTIONS[key];
+    }
+  }
+}
+
+/**
+ * Determines whether the outcome of a request-response transaction is a
+ * transient failure, and so may be retried.
+ * @function isRetryable
+ * @param {Error|Null} err - the error, if any, generated during the transaction
+ * @param {Object|Null|Undefined} response - the response, if any, received
+ *  during the transaction
+ * @returns {Boolean} - true if the transaction may be retried, false otherwise
+ */
+RetryPolicy.prototype.isRetryable = function(err, response) {
+  return isTransient(err, response);
+};
+
+/**
+ * Computes the exponential backoff delay for the given attempt with a random
+ * jitter of up to half of the delay applied.
+ * @function getBackoffDelay
+ * @param {Number} attempt - the 1-indexed number of the attempt which failed
+ * @returns {Number} - the delay in milliseconds
+ */
+RetryPolicy.prototype.getBackoffDelay = function(attempt) {
+  var delay = Math.min(this.maxDelay,
+    this.initialDelay * Math.pow(2, attempt - 1));
+  return Math.floor(delay / 2 + random(0, delay / 2));
+};
+
+/**
+ * Computes how long to wait before attempting the request again given the
+ * outcome of the attempt which just completed. Returns -1 if the request should
+ * not be attempted again, either because the failure is not retryable or the
+ * maximum number of retries has been reached. A delay asked for by the API
+ * through `Retry-After` is clamped to the maximum delay.
+ * @function getRetryDelay
+ * @param {Number} attempt - the 1-indexed number of the attempt which failed
+ * @param {Error|Null} err - the error, if any, generated during the transaction
+ * @param {Object|Null|Undefined} response - the response, if any, received
+ *  during the transaction
+ * @returns {Number} - the delay in milliseconds or -1 if the request should not
+ *  be retried
+ */
+RetryPolicy.prototype.getRetryDelay = function(attempt, err, response) {
+  var retryAfter;
+  if (attempt > this.maxRetries || !this.isRetryable(err, response)) {
+    return -1;
+  }
+  retryAfter = Math.min(parseRetryAfter(response), this.maxDelay);
+  return Math.max(retryAfter, this.getBackoffDelay(attempt));
+};
+
+RetryPolicy.DEFAULT_RETRY_OPTIONS = DEFAULT_RETRY_OPTIONS;
+
+module.exports = RetryPolicy;
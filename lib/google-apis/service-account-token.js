@@ -0,0 +1,241 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var crypto = require('crypto');
+var request = require('request');
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isString = lodash.isString;
+var RequestTimeoutError = require('./request-timeout-error.js');
+
+/* @const {String} the token endpoint used if the key file does not name one */
+var DEFAULT_TOKEN_URI = 'https://accounts.google.com/o/oauth2/token';
+
+/* @const {String} the grant type of the JWT bearer token flow */
+var GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+/* @const {Number} the lifetime in seconds of a signed assertion */
+var ASSERTION_LIFETIME = 3600;
+
+/* @const {Number} how long in ms before its expiry a token is minted again */
+var EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Encodes the given string or buffer in the url-safe base64 alphabet without
+ * padding as required by JSON Web Tokens.
+ * @function base64Url
+ * @private
+ * @param {String|Buffer} value - the value to encode
+ * @returns {String} - the encoded value
+ */
+function base64Url(value) {
+  var buffer = Buffer.isBuffer(value) ? value : new Buffer(value, 'utf8');
+  return buffer.toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * The ServiceAccountToken constructor accepts the parsed contents of a service
+ * account key file and the scopes the access tokens should be minted for.
+ * @class ServiceAccountToken
+ * @classdesc The ServiceAccountToken class mints OAuth access tokens from the
+ *  credentials of a service account key file using the JWT bearer token flow:
+ *  an assertion signed with the private key of the service account is
+ *  exchanged for an access token at the token endpoint named by the key
+ *  file's `token_uri`. A minted token is cached and handed out until shortly
+ *  before it expires. Callers asking for a token while one is being minted
+ *  wait for that token instead of minting another. The token request is
+ *  bounded by the given timeout; if it fails, times out or is aborted every
+ *  waiting caller is given the error and the next caller mints anew.
+ * {@link https://developers.google.com/identity/protocols/OAuth2ServiceAccount}
+ * @param {Object} credentials - the parsed service account key file
+ * @param {String} credentials.client_email - the email of the service account
+ * @param {String} credentials.private_key - the PEM encoded private key
+ * @param {String} [credentials.token_uri] - the token endpoint
+ * @param {Array<String>} scopes - the scopes to request the tokens for
+ * @param {ProxyResolver} [proxyResolver] - decides which proxy the token
+ *  endpoint is requested through, if not given the proxy environmental
+ *  variables are left to npm.im/request
+ * @param {Number} [timeout] - the connect and read timeout in milliseconds of
+ *  the token request, the token request is not bounded if not given
+ * @property {String} tokenUri - the token endpoint
+ */
+function ServiceAccountToken(credentials, scopes, proxyResolver, timeout) {
+  this._clientEmail = credentials.client_email;
+  this._privateKey = credentials.private_key;
+  this._scopes = scopes;
+  this._proxyResolver = proxyResolver || null;
+  this._timeout = isNumber(timeout) ? timeout : null;
+  this.tokenUri = isString(credentials.token_uri) ? credentials.token_uri :
+    DEFAULT_TOKEN_URI;
+  this._accessToken = null;
+  this._expiresAt = 0;
+  this._waiting = null;
+}
+
+/**
+ * Creates the signed JWT assertion exchanged for an access token.
+ * @function _createAssertion
+ * @private
+ * @returns {String} - the signed assertion
+ */
+ServiceAccountToken.prototype._createAssertion = function() {
+  var now = Math.floor(Date.now() / 1000);
+  var unsigned = [
+    base64Url(JSON.stringify({alg: 'RS256', typ: 'JWT'})),
+    base64Url(JSON.stringify({
+      iss: this._clientEmail,
+      scope: this._scopes.join(' '),
+      aud: this.tokenUri,
+      iat: now,
+      exp: now + ASSERTION_LIFETIME
+    }))
+  ].join('.');
+  var signature = crypto.createSign('RSA-SHA256').update(unsigned)
+    .sign(this._privateKey);
+  return unsigned + '.' + base64Url(signature);
+};
+
+/**
+ * Calls back with a valid access token, minting a new one if no token has been
+ * minted yet or if the cached token is about to expire. The token request is
+ * given the timeout of the instance; once it settles, whether it succeeded,
+ * failed, timed out or was aborted, every caller waiting for it is called back
+ * and the next caller mints a new token if none was minted.
+ * @function getAccessToken
+ * @param {Function} callback - called with an error or null and the token
+ * @returns {Undefined} - does not return anything
+ */
+ServiceAccountToken.prototype.getAccessToken = function(callback) {
+  var that = this;
+  var assertion;
+  var options;
+  var waiting;
+  var settled = false;
+  var req;
+  if (this._accessToken && Date.now() < this._expiresAt - EXPIRY_MARGIN) {
+    callback(null, this._accessToken);
+    return;
+  } else if (this._waiting) {
+    this._waiting.push(callback);
+    return;
+  }
+  try {
+    assertion = this._createAssertion();
+  } catch (e) {
+    callback(e, null);
+    return;
+  }
+  waiting = [callback];
+  this._waiting = waiting;
+  options = {
+    url: this.tokenUri,
+    method: 'POST',
+    form: {grant_type: GRANT_TYPE, assertion: assertion},
+    json: true
+  };
+  if (this._timeout !== null) {
+    options.timeout = this._timeout;
+  }
+  if (this._proxyResolver) {
+    options.proxy = this._proxyResolver.resolve(this.tokenUri);
+  }
+
+  function settle(error) {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    if (that._waiting === waiting) {
+      that._waiting = null;
+    }
+    waiting.forEach(function(cb) {
+      cb(error, error ? null : that._accessToken);
+    });
+  }
+
+  req = request(options, function(err, response, body) {
+    var error = RequestTimeoutError.fromTransportError(err || null,
+      that._timeout);
+    if (!error && (response.statusCode !== 200 || !isObject(body) ||
+      !isString(body.access_token))) {
+      error = new Error('Unable to mint an access token: the token endpoint ' +
+        'responded with status code ' + response.statusCode);
+      error.code = response.statusCode;
+    }
+    if (!error) {
+      that._accessToken = body.access_token;
+      that._expiresAt = Date.now() + (isNumber(body.expires_in) ?
+        body.expires_in : ASSERTION_LIFETIME) * 1000;
+    }
+    settle(error);
+  });
+  req.on('abort', function() {
+    var error = new Error('Unable to mint an access token: the token ' +
+      'request was aborted');
+    error.code = 'ECONNABORTED';
+    // a timing out request is aborted before its error is called back
+    setImmediate(settle, error);
+  });
+};
+
+/**
+ * Creates a npm.im/request style function which authorizes every request it
+ * makes with an access token minted by this instance. As with the application
+ * default credentials the returned function does not retry on its own. Each
+ * call returns a handle whose `abort` function cancels the request, or keeps
+ * it from being made if the access token is still being minted.
+ * @function createRequest
+ * @returns {Function} - a request function accepting (options, callback)
+ */
+ServiceAccountToken.prototype.createRequest = function() {
+  var that = this;
+  return function(options, callback) {
+    var cb = isFunction(callback) ? callback : function() {};
+    var aborted = false;
+    var req = null;
+    that.getAccessToken(function(err, token) {
+      var authorized;
+      if (aborted) {
+        return;
+      } else if (err) {
+        cb(err, null, null);
+        return;
+      }
+      authorized = lodash.assign({}, options, {
+        headers: lodash.assign({}, options.headers,
+          {Authorization: 'Bearer ' + token})
+      });
+      req = request(authorized, cb);
+    });
+    return {
+      abort: function() {
+        aborted = true;
+        if (req) {
+          req.abort();
+        }
+      }
+    };
+  };
+};
+
+ServiceAccountToken.DEFAULT_TOKEN_URI = DEFAULT_TOKEN_URI;
+
+module.exports = ServiceAccountToken;
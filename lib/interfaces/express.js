@@ -21,6 +21,7 @@ var isObject = lodash.isObject;
 var isFunction = lodash.isFunction;
 var isPlainObject = lodash.isPlainObject;
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 var expressRequestInformationExtractor =
     require('../request-extractors/express.js');
 var errorHandlerRouter = require('../error-router.js');
@@ -46,19 +47,24 @@ var errorHandlerRouter = require('../error-router.js');
 function expressErrorHandler(client, config, err, req, res, next) {
   var ctxService = '';
   var ctxVersion = '';
+  var ctxSourceReferences = null;
 
   if (isObject(config) && isFunction(config.getServiceContext)) {
 
     ctxService = config.getServiceContext().service;
     ctxVersion = config.getServiceContext().version;
+    ctxSourceReferences = config.getSourceReferences();
   }
 
   var em = new ErrorMessage()
                .consumeRequestInformation(
                    expressRequestInformationExtractor(req, res))
-               .setServiceContext(ctxService, ctxVersion);
+               .setServiceContext(ctxService, ctxVersion)
+               .setSourceReferences(ctxSourceReferences);
 
   errorHandlerRouter(err, em);
+  Logger.fromConfiguration(config).debug(
+    'Reporting an error caught by the express error handler');
 
   if (isObject(client) && isFunction(client.sendError)) {
     client.sendError(em);
@@ -21,6 +21,7 @@ var isObject = lodash.isObject;
 var isFunction = lodash.isFunction;
 var isFunction = lodash.isFunction;
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 var hapiRequestInformationExtractor = require('../request-extractors/hapi.js');
 var errorHandlerRouter = require('../error-router.js');
 
@@ -37,17 +38,22 @@ var errorHandlerRouter = require('../error-router.js');
 function hapiErrorHandler(req, err, config) {
   var service = '';
   var version = '';
+  var sourceReferences = null;
 
   if (isObject(config) && isFunction(config.getServiceContext)) {
     service = config.getServiceContext().service;
     version = config.getServiceContext().version;
+    sourceReferences = config.getSourceReferences();
   }
 
   var em = new ErrorMessage()
                .consumeRequestInformation(hapiRequestInformationExtractor(req))
-               .setServiceContext(service, version);
+               .setServiceContext(service, version)
+               .setSourceReferences(sourceReferences);
 
   errorHandlerRouter(err, em);
+  Logger.fromConfiguration(config).debug(
+    'Reporting an error caught by the hapi plugin');
 
   return em;
 }
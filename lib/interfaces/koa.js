@@ -16,6 +16,7 @@
 
 'use strict';
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 var koaRequestInformationExtractor = require('../request-extractors/koa.js');
 var errorHandlerRouter = require('../error-router.js');
 
@@ -53,9 +54,12 @@ function koaErrorHandler(client, config) {
                .consumeRequestInformation(
                    koaRequestInformationExtractor(this.request, this.response))
                .setServiceContext(svc.service,
-                                  svc.version);
+                                  svc.version)
+               .setSourceReferences(config.getSourceReferences());
 
       errorHandlerRouter(err, em);
+      Logger.fromConfiguration(config).debug(
+        'Reporting an error caught by the koa error handler');
 
       client.sendError(em);
     }
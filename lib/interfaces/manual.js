@@ -22,6 +22,7 @@ var isFunction = lodash.isFunction;
 var slice = lodash.slice;
 var find = lodash.find;
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 var manualRequestInformationExtractor =
     require('../request-extractors/manual.js');
 var errorHandlerRouter = require('../error-router.js');
@@ -69,7 +70,8 @@ function reportManualError(client, config, err, request, additionalMessage,
   var svc = config.getServiceContext();
   var req =
       find(optArgs, function(o) { return isObject(o) && !isFunction(o); });
-  em.setServiceContext(svc.service, svc.version);
+  em.setServiceContext(svc.service, svc.version)
+    .setSourceReferences(config.getSourceReferences());
   errorHandlerRouter(err, em);
 
   if (isObject(req)) {
@@ -82,6 +84,8 @@ function reportManualError(client, config, err, request, additionalMessage,
     em.setMessage(am);
   }
 
+  Logger.fromConfiguration(config).debug(
+    'Reporting an error given to the report function');
   client.sendError(em, cb);
 
   return em;
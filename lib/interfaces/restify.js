@@ -19,6 +19,7 @@ var lodash = require('lodash');
 var isObject = lodash.isObject;
 var isFunction = lodash.isFunction;
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 var expressRequestInformationExtractor =
     require('../request-extractors/express.js');
 var errorHandlerRouter = require('../error-router.js');
@@ -39,9 +40,12 @@ var errorHandlerRouter = require('../error-router.js');
  */
 function restifyErrorHandler(client, config, err, em) {
   var svc = config.getServiceContext();
-  em.setServiceContext(svc.service, svc.version);
+  em.setServiceContext(svc.service, svc.version)
+    .setSourceReferences(config.getSourceReferences());
 
   errorHandlerRouter(err, em);
+  Logger.fromConfiguration(config).debug(
+    'Reporting an error caught by the restify error handler');
 
   client.sendError(em);
 }
@@ -15,58 +15,111 @@
  */
 
 'use strict';
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
 var errorHandlerRouter = require('../error-router.js');
 var ErrorMessage = require('../classes/error-message.js');
+var Logger = require('../logger.js');
 
 /**
- * Exits the process with exit code `1` which indicates that an unhandled error
- * occurred. !! Invocation of this function will terminate the process !!
- * @function handleProcessExit
- * @return {Undefined} - does not return a value
+ * Calls the callback of the uncaught exception options, if one was given,
+ * with the uncaught error and the outcome of waiting for pending reports.
+ * Errors thrown by the callback are swallowed: rethrowing them would raise
+ * another uncaught exception and the process is about to exit regardless.
+ * @function callUserCallback
+ * @private
+ * @param {Object} options - the uncaught exception options
+ * @param {Error} err - the uncaught error
+ * @param {Error|Null} flushErr - the error given by the flush if pending
+ *  reports were still pending once the timeout expired, null otherwise
+ * @returns {Undefined} - does not return a value
  */
-function handleProcessExit() { process.exit(1); }
+function callUserCallback(options, err, flushErr) {
+  if (!isFunction(options.callback)) {
+    return;
+  }
+  try {
+    options.callback(err, flushErr);
+  } catch (e) {
+    // nothing left to report to
+  }
+}
 
 /**
  * The actual exception handler creates a new instance of `ErrorMessage`,
- * extracts infomation from the propagated `Error` and marshals it into the
+ * extracts infomation from the propagated `Error` and marshals it, along with
+ * the service context and source references of the configuration, into the
  * `ErrorMessage` instance, attempts to send this `ErrorMessage` instance to the
- * Stackdriver Error Reporting API and, if given `reportAndExit` as the uncaught
- * exception handling procedure, will attempt to exit the process by calling the
- * function `handleProcessExit`.
+ * Stackdriver Error Reporting API and then flushes the client so that every
+ * pending report, not only this one, has the chance to be sent. Once the flush
+ * completes, or once the `timeout` of the options has expired, the optional
+ * `callback` of the options is called and, if the mode is `reportAndExit`,
+ * the process exits with the `exitCode` of the options. The uncaught error is
+ * logged as an error since listening for uncaught exceptions keeps node from
+ * printing it.
  * @function uncaughtExceptionHandler
  * @listens module:process~event:uncaughtException
- * @param {AuthClient} client - the API client for communicating with the
+ * @param {ReportingClient} client - the client for communicating with the
  *  Stackdriver Error API
+ * @param {Configuration} config - the init configuration
+ * @param {Object} options - the uncaught exception options of the
+ *  configuration
  * @param {Error} err - The error that has been uncaught to this point
  * @returns {Undefined} - does not return a value
  */
-function uncaughtExceptionHandler(client, err) {
+function uncaughtExceptionHandler(client, config, options, err) {
   var em = new ErrorMessage();
+  var logger = Logger.fromConfiguration(config);
+  var svc;
+
+  if (isObject(config) && isFunction(config.getServiceContext)) {
+    svc = config.getServiceContext();
+    em.setServiceContext(svc.service, svc.version)
+      .setSourceReferences(config.getSourceReferences());
+  }
 
   errorHandlerRouter(err, em);
+  logger.error('Reporting an uncaught exception -',
+    err instanceof Error ? err.stack : err);
 
-  client.sendError(em, handleProcessExit);
+  client.sendError(em);
+  client.flush(options.timeout, function(flushErr) {
+    if (flushErr) {
+      logger.warn('Pending reports were not sent before the timeout',
+        'expired -', flushErr.message);
+    }
+    callUserCallback(options, err, flushErr);
+    if (options.mode === 'reportAndExit') {
+      process.exit(options.exitCode);
+    }
+  });
 }
 
 /**
  * This function serves only to attach the `uncaughtExceptionHandler` function
  * to the `uncaughtException` event on the process and should only be called if
  * the configuration does not specify `ignore` as the uncaught exception
- * handling procedure. This function will bind the `client` and `config`
- * arguments to the exception handler so that the handler can determine if it
- * should exit after receiving an uncaught exception. See the uncaughtException
- * event for [more information.]
+ * handling procedure. This function will bind the `client`, the `config` and
+ * the uncaught exception `options` to the exception handler so that the
+ * handler can
+ * determine if it should exit after receiving an uncaught exception. See the
+ * uncaughtException event for [more information.]
  * {@link https://nodejs.org/api/process.html#process_event_uncaughtexception}
  * @function attachUncaughtExceptionHandler
- * @param {AuthClient} client - the API client for communicating with the
+ * @param {ReportingClient} client - the client for communicating with the
  *  Stackdriver Error API
- * @param {NormalizedConfigurationVariables} config - the init configuration
- * @returns {process} - returns the process instance
+ * @param {Configuration} config - the init configuration
+ * @param {Object} options - the uncaught exception options of the
+ *  configuration
+ * @returns {Function} - returns the attached listener so that it can be
+ *  detached
  */
-function attachUncaughtExceptionHandler(client, config) {
+function attachUncaughtExceptionHandler(client, config, options) {
+  var listener = uncaughtExceptionHandler.bind(null, client, config, options);
 
-  return process.on('uncaughtException',
-                    uncaughtExceptionHandler.bind(null, client, config));
+  process.on('uncaughtException', listener);
+  return listener;
 }
 
 /**
@@ -76,23 +129,49 @@ function attachUncaughtExceptionHandler(client, config) {
  * exceptions then the handler will return early with a value of Null. If the
  * configuration indicates either `report` or `reportAndExit` as its handling
  * values then the handler will attach the `uncaughtExceptionHandler` function
- * as a callback to the `uncaughtException` event on the process.
+ * as a callback to the `uncaughtException` event on the process. Whenever the
+ * uncaught exception options are changed through `Configuration#configure`
+ * the listener is detached and, unless the new mode is `ignore`, attached
+ * again with the new options.
  * @function handlerSetup
- * @param {AuthClient} client - the API client for communication with the
+ * @param {ReportingClient} client - the client for communication with the
  *  Stackdriver Error API
- * @param {NormalizedConfigurationVariables} config - the init configuration
+ * @param {Configuration} config - the init configuration
  * @returns {Null|process} - Returns null if the config demands ignoring
- * uncaught
- *  exceptions, otherwise return the process instance
+ *  uncaught exceptions, otherwise return the process instance
  */
 function handlerSetup(client, config) {
+  var logger = Logger.fromConfiguration(config);
+  var listener = null;
 
-  if (config.reportUncaughtExceptions === false) {
-    // Do not attach a listener to the process
-    return null;
+  function attach(options) {
+    if (listener !== null) {
+      process.removeListener('uncaughtException', listener);
+      listener = null;
+    }
+
+    if (options.mode === 'ignore') {
+      // Do not attach a listener to the process
+      logger.debug('Not listening for uncaught exceptions');
+      return;
+    }
+
+    logger.debug('Listening for uncaught exceptions in the', options.mode,
+      'mode');
+    listener = attachUncaughtExceptionHandler(client, config, options);
   }
 
-  return attachUncaughtExceptionHandler(client, config);
+  if (isFunction(config.on)) {
+    config.on('change', function(changes) {
+      if (isObject(changes.onUncaughtException)) {
+        attach(changes.onUncaughtException.current);
+      }
+    });
+  }
+
+  attach(config.getUncaughtExceptionOptions());
+
+  return listener === null ? null : process;
 }
 
 module.exports = handlerSetup;
@@ -0,0 +1,214 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isFunction = lodash.isFunction;
+var isString = lodash.isString;
+var isNumber = lodash.isNumber;
+
+/**
+ * The names of the log levels, indexed by their number. The numbers match the
+ * levels of the cloud-diagnostics-common logger, so `GCLOUD_DEBUG_LOGLEVEL`
+ * style numbers may be given in place of the names.
+ * @const {Array<String>}
+ */
+var LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/* @const {String} the log level used when none is given */
+var DEFAULT_LOG_LEVEL = 'warn';
+
+/* @const {String} the prefix of the messages of the default logger */
+var PREFIX = '@google/cloud-errors';
+
+/**
+ * The logger messages are forwarded to when no logger is given. Messages are
+ * written to stderr, prefixed with their level as the cloud-diagnostics-common
+ * logger does, so that they never mix with the output of the hosting
+ * application or with the structured log entries of the stdout transport.
+ * @const {Object}
+ */
+var STDERR_LOGGER = LOG_LEVELS.slice(1).reduce(function(target, level) {
+  var prefix = lodash.padEnd(level.toUpperCase(), 5) + ':' + PREFIX + ':';
+  target[level] = function() {
+    console.error.apply(console,
+      [prefix].concat(Array.prototype.slice.call(arguments)));
+  };
+  return target;
+}, {});
+
+/**
+ * Converts a log level, given either as its name or its number, into its
+ * number.
+ * @function parseLevel
+ * @private
+ * @param {String|Number} level - the log level
+ * @returns {Number} - the number of the level or -1 if it is not a level
+ */
+function parseLevel(level) {
+  if (isString(level)) {
+    return LOG_LEVELS.indexOf(level.toLowerCase());
+  } else if (isNumber(level) && level % 1 === 0 && level >= 0) {
+    return Math.min(level, LOG_LEVELS.length - 1);
+  }
+  return -1;
+}
+
+/**
+ * Determines whether the given value may be logged to, that is whether it has
+ * a function for at least one of the log levels or a `log` function, as
+ * console, winston and bunyan loggers do.
+ * @function isLogger
+ * @static
+ * @param {Any} target - the given logger
+ * @returns {Boolean} - true if the value may be used as a logger
+ */
+function isLogger(target) {
+  return isObject(target) && (isFunction(target.log) ||
+    LOG_LEVELS.slice(1).some(function(name) {
+      return isFunction(target[name]);
+    }));
+}
+
+/**
+ * The Logger constructor accepts an optional log level and an optional logger
+ * to forward messages to.
+ * @class Logger
+ * @classdesc The Logger class is the internal logger of the library. Messages
+ *  above the log level are discarded and the others are forwarded to the
+ *  target logger: either a logger given by the hosting application, such as
+ *  console, a winston logger or a bunyan logger, or a logger writing to
+ *  stderr. A message is forwarded to the function of the
+ *  target named after its level or, if the target has none, to its `log`
+ *  function; targets having neither do not receive the message. Both the level
+ *  and the target may be changed once the configuration is known.
+ * @param {String|Number} [level='warn'] - one of `silent`, `error`, `warn`,
+ *  `info` or `debug`, or the number of the level
+ * @param {Object} [target] - the logger to forward messages to
+ */
+function Logger(level, target) {
+  this._level = parseLevel(DEFAULT_LOG_LEVEL);
+  this._target = null;
+  this.setLevel(level);
+  this.setTarget(target);
+}
+
+/**
+ * Sets the log level, ignoring values which are not log levels.
+ * @function setLevel
+ * @chainable
+ * @param {String|Number} level - the name or number of the log level
+ * @returns {this} - returns the instance for chaining
+ */
+Logger.prototype.setLevel = function(level) {
+  var parsed = parseLevel(level);
+  if (parsed !== -1) {
+    this._level = parsed;
+  }
+  return this;
+};
+
+/**
+ * Returns the name of the log level.
+ * @function getLevel
+ * @returns {String} - the name of the log level
+ */
+Logger.prototype.getLevel = function() {
+  return LOG_LEVELS[this._level];
+};
+
+/**
+ * Sets the logger messages are forwarded to. Values which cannot be logged to
+ * select the default logger writing to stderr.
+ * @function setTarget
+ * @chainable
+ * @param {Object} target - the logger to forward messages to
+ * @returns {this} - returns the instance for chaining
+ */
+Logger.prototype.setTarget = function(target) {
+  this._target = isLogger(target) ? target :
+    STDERR_LOGGER;
+  return this;
+};
+
+/**
+ * Determines whether messages of the given level are forwarded, which lets
+ * callers skip computing expensive messages.
+ * @function isEnabled
+ * @param {String} level - the name of the log level
+ * @returns {Boolean} - true if messages of the level are forwarded
+ */
+Logger.prototype.isEnabled = function(level) {
+  var parsed = parseLevel(level);
+  return parsed > 0 && parsed <= this._level;
+};
+
+/**
+ * Forwards a message to the target logger if its level is enabled.
+ * @function _log
+ * @private
+ * @param {String} level - the name of the log level
+ * @param {Array<Any>} args - the parts of the message
+ * @returns {Undefined} - does not return anything
+ */
+Logger.prototype._log = function(level, args) {
+  var fn;
+  if (!this.isEnabled(level)) {
+    return;
+  }
+  fn = isFunction(this._target[level]) ? this._target[level] :
+    this._target.log;
+  if (isFunction(fn)) {
+    fn.apply(this._target, args);
+  }
+};
+
+LOG_LEVELS.slice(1).forEach(function(level) {
+  /**
+   * Logs the given message parts at the level the function is named after.
+   * @function error|warn|info|debug
+   * @param {...Any} args - the parts of the message
+   * @returns {Undefined} - does not return anything
+   */
+  Logger.prototype[level] = function() {
+    this._log(level, Array.prototype.slice.call(arguments));
+  };
+});
+
+/* @const {Logger} the logger of configurations which do not have one */
+var SILENT_LOGGER = new Logger('silent');
+
+/**
+ * Returns the logger of the given configuration or, if it does not have one as
+ * is the case for the partial configurations the interfaces may be given, a
+ * logger which discards every message.
+ * @function fromConfiguration
+ * @static
+ * @param {Configuration|Any} config - the configuration
+ * @returns {Logger} - the logger of the configuration
+ */
+Logger.fromConfiguration = function(config) {
+  return isObject(config) && isFunction(config.getLogger) ?
+    config.getLogger() : SILENT_LOGGER;
+};
+
+Logger.LOG_LEVELS = LOG_LEVELS;
+Logger.DEFAULT_LOG_LEVEL = DEFAULT_LOG_LEVEL;
+Logger.isLogger = isLogger;
+
+module.exports = Logger;
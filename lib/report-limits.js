@@ -0,0 +1,60 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+/**
+ * The maximum size, in bytes of UTF-8, of the fields of a report accepted by
+ * the Error Reporting API, keyed by the path of the field within the report.
+ * Reports with a field exceeding its limit are rejected as a whole.
+ * {@link https://cloud.google.com/error-reporting/reference/rest/v1beta1/projects.events/report}
+ * @const {Object}
+ */
+var FIELD_LIMITS = {
+  'message': 1024 * 1024,
+  'serviceContext.service': 1024,
+  'serviceContext.version': 1024,
+  'context.user': 1024,
+  'context.httpRequest.method': 1024,
+  'context.httpRequest.url': 1024,
+  'context.httpRequest.userAgent': 1024,
+  'context.httpRequest.referrer': 1024,
+  'context.httpRequest.remoteIp': 1024,
+  'context.reportLocation.filePath': 1024,
+  'context.reportLocation.functionName': 1024
+};
+
+/**
+ * The limits applied to the stack trace within the message of a report: the
+ * maximum number of frames kept and the maximum size, in bytes of UTF-8, of a
+ * single frame. Together they keep the stack trace well below the size limit
+ * of the message, leaving the rest of the message for its header.
+ * @const {Object}
+ */
+var STACK_LIMITS = {
+  maxFrames: 256,
+  maxFrameBytes: 1024
+};
+
+/* @const {RegExp} matches the stack frame lines of a JavaScript stack trace */
+var STACK_FRAME = /^\s*at\s/m;
+
+module.exports = {
+  FIELD_LIMITS: FIELD_LIMITS,
+  STACK_LIMITS: STACK_LIMITS,
+  STACK_FRAME: STACK_FRAME
+};
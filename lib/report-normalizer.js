@@ -0,0 +1,160 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isString = lodash.isString;
+var reportLimits = require('./report-limits.js');
+var FIELD_LIMITS = reportLimits.FIELD_LIMITS;
+var STACK_LIMITS = reportLimits.STACK_LIMITS;
+var STACK_FRAME = reportLimits.STACK_FRAME;
+
+/**
+ * Cuts the given string down to at most the given number of bytes of UTF-8
+ * without splitting a multi-byte character.
+ * @function truncateUtf8
+ * @param {String} value - the string to cut
+ * @param {Number} maxBytes - the maximum size of the result in bytes
+ * @returns {String} - the string itself if it fits, its longest prefix which
+ *  fits otherwise
+ */
+function truncateUtf8(value, maxBytes) {
+  var buffer = new Buffer(value, 'utf8');
+  var end = Math.max(0, maxBytes);
+  if (buffer.length <= end) {
+    return value;
+  }
+  // Back off past continuation bytes, 0x80 to 0xBF, to the first byte of the
+  // character the limit falls within
+  while (end > 0 && buffer[end] >= 0x80 && buffer[end] < 0xC0) {
+    end -= 1;
+  }
+  return buffer.toString('utf8', 0, end);
+}
+
+/**
+ * Cuts the given string down to at most the given number of bytes of UTF-8,
+ * ending it with a marker stating how many bytes were cut.
+ * @function truncateWithMarker
+ * @private
+ * @param {String} value - the string to cut
+ * @param {Number} maxBytes - the maximum size of the result in bytes
+ * @returns {String} - the string itself if it fits, its marked prefix
+ *  otherwise
+ */
+function truncateWithMarker(value, maxBytes) {
+  var size = Buffer.byteLength(value);
+  var marker;
+  var kept;
+  if (size <= maxBytes) {
+    return value;
+  }
+  // The marker is sized for the largest possible cut so that the result fits
+  marker = '... [' + size + ' bytes truncated]';
+  kept = truncateUtf8(value, maxBytes - marker.length);
+  return kept + '... [' + (size - Buffer.byteLength(kept)) +
+    ' bytes truncated]';
+}
+
+/**
+ * Limits the frames of a stack trace: every frame is cut down to the maximum
+ * frame size and, if there are more frames than the maximum, the frames at the
+ * head and the tail of the stack are kept while those in the middle are
+ * replaced by a line stating how many were omitted.
+ * @function normalizeFrames
+ * @private
+ * @param {Array<String>} frames - the lines of the stack trace
+ * @returns {Array<String>} - the limited lines of the stack trace
+ */
+function normalizeFrames(frames) {
+  var head = Math.ceil(STACK_LIMITS.maxFrames / 2);
+  var tail = STACK_LIMITS.maxFrames - head;
+  var limited = frames.map(function(frame) {
+    return truncateWithMarker(frame, STACK_LIMITS.maxFrameBytes);
+  });
+  if (limited.length <= STACK_LIMITS.maxFrames) {
+    return limited;
+  }
+  return limited.slice(0, head).concat(
+    ['    ... ' + (limited.length - head - tail) + ' frames omitted ...'],
+    limited.slice(limited.length - tail));
+}
+
+/**
+ * Limits the message of a report. The stack trace within the message is
+ * limited first, then the header preceding it, which holds the error name,
+ * its message and anything embedded in it, is cut down to the room the stack
+ * trace leaves within the size limit of the message.
+ * @function normalizeMessage
+ * @private
+ * @param {String} message - the message of the report
+ * @returns {String} - the message within the limits
+ */
+function normalizeMessage(message) {
+  var lines = message.split('\n');
+  var firstFrame = lodash.findIndex(lines, function(line) {
+    return STACK_FRAME.test(line);
+  });
+  var header = firstFrame === -1 ? message :
+    lines.slice(0, firstFrame).join('\n');
+  var stack = firstFrame === -1 ? '' :
+    '\n' + normalizeFrames(lines.slice(firstFrame)).join('\n');
+  var room = FIELD_LIMITS.message - Buffer.byteLength(stack);
+  return truncateWithMarker(truncateWithMarker(header, room) + stack,
+    FIELD_LIMITS.message);
+}
+
+/**
+ * Brings the given report within the payload limits of the Error Reporting
+ * API so that it is not rejected as a whole: its message and stack trace are
+ * limited as described by `normalizeMessage` and every other field with a size
+ * limit is cut down to it. Every cut is marked within the cut field itself so
+ * that it can be told from the report that data was cut. The report is
+ * modified in place.
+ * @function normalizeReport
+ * @param {ErrorMessage} errorMessage - the report to limit
+ * @returns {Array<String>} - the paths of the fields which were cut, empty if
+ *  the report was within the limits
+ */
+function normalizeReport(errorMessage) {
+  var truncated = [];
+  Object.keys(FIELD_LIMITS).forEach(function(fieldPath) {
+    var keys = fieldPath.split('.');
+    var key = keys.pop();
+    var parent = keys.reduce(function(value, k) {
+      return isObject(value) ? value[k] : undefined;
+    }, errorMessage);
+    var value = isObject(parent) ? parent[key] : undefined;
+    var limited;
+    if (!isString(value)) {
+      return;
+    }
+    limited = fieldPath === 'message' ? normalizeMessage(value) :
+      truncateWithMarker(value, FIELD_LIMITS[fieldPath]);
+    if (limited !== value) {
+      parent[key] = limited;
+      truncated.push(fieldPath);
+    }
+  });
+  return truncated;
+}
+
+module.exports = {
+  normalizeReport: normalizeReport,
+  truncateUtf8: truncateUtf8
+};
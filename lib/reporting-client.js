@@ -0,0 +1,579 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isNumber = lodash.isNumber;
+var isArray = lodash.isArray;
+var isObject = lodash.isObject;
+var ReportQueue = require('./classes/report-queue.js');
+var ReportSpool = require('./classes/report-spool.js');
+var RateLimiter = require('./classes/rate-limiter.js');
+var normalizeReport = require('./report-normalizer.js').normalizeReport;
+
+/**
+ * The ReportingClient constructor accepts the configuration instance and the
+ * transport which will deliver reports, by default the API client delivering
+ * reports to the Stackdriver Error API. If the
+ * configuration has batching enabled a ReportQueue is created which will hold
+ * reports until they are flushed. If the configuration has a spool directory a
+ * ReportSpool is created and the reports spooled by previous processes are
+ * replayed once the configuration is ready, provided that its report mode
+ * delivers reports to the API; in any other mode the transport would fail the
+ * replayed reports with errors which are not spooled again and they would be
+ * lost. If
+ * the configuration has rate limiting enabled a RateLimiter is created which
+ * suppresses reports beyond the configured limits.
+ * @class ReportingClient
+ * @extends EventEmitter
+ * @classdesc The ReportingClient is the client handed to every error reporting
+ *  interface. It exposes the same `sendError` function as a transport so that
+ *  interfaces need not know whether reports are delivered immediately or
+ *  buffered. When batching is enabled reports are buffered in a bounded
+ *  ReportQueue and delivered in batches, otherwise each report is handed to
+ *  the transport as soon as it is given. Transports which depend on the
+ *  configuration gate delivery on its readiness themselves; the default API
+ *  client holds reports given before the configuration is ready until the
+ *  `ready` event and calls back reports given to an errored configuration
+ *  with the configuration error. Every report is tracked from the moment it is given until its
+ *  delivery has settled, which allows `flush` and `close` to wait for every
+ *  pending report before the hosting application exits. If a spool is
+ *  configured, reports which fail to be delivered with a transient error are
+ *  written to the spool, as are all reports still pending when the process
+ *  exits. If rate limiting is enabled, reports suppressed by the RateLimiter
+ *  are called back with an error and never reach the transport while the
+ *  summary reports of the RateLimiter are delivered like any other report,
+ *  going through the same checks apart from the rate limiting itself.
+ *  The client emits an event at every step of the delivery of a report so
+ *  that the hosting application can observe it: `report` when a report is
+ *  given, followed by exactly one of `sent`, `failed` or `dropped` once its
+ *  delivery has settled, and `retry` whenever the transport retries it.
+ *  Before a report is delivered it is brought within the payload limits of
+ *  the Error Reporting API, in which case `truncated` is emitted.
+ * @param {Configuration} config - the configuration instance
+ * @param {Transport} transport - the transport delivering reports
+ * @property {Configuration} _config - the configuration instance
+ * @property {Transport} _transport - the transport delivering reports
+ * @property {ReportQueue|Null} _queue - the queue buffering reports if batching
+ *  is enabled, null otherwise
+ * @property {ReportSpool|Null} _spool - the spool persisting undeliverable
+ *  reports if a spool directory is configured, null otherwise
+ * @property {RateLimiter|Null} _rateLimiter - the rate limiter suppressing
+ *  reports if rate limiting is enabled, null otherwise
+ * @property {Object} _pending - the reports whose delivery has not settled yet,
+ *  each with its spool details if it was replayed or null, keyed by a
+ *  sequential id
+ * @property {Number} _pendingCount - the number of pending reports
+ * @property {Array<Function>} _flushListeners - the functions to call once no
+ *  report is pending
+ * @property {Boolean} _closed - whether `close` has been called
+ * @property {Function|Null} _exitListener - the listener spooling the pending
+ *  reports when the process exits, null if there is no spool
+ * @property {Function} _forwardRetry - the listener forwarding the `retry`
+ *  events of the transport
+ */
+function ReportingClient(config, transport) {
+  EventEmitter.call(this);
+  var batchingOptions = config.getBatchingOptions();
+  var spoolOptions = config.getSpoolOptions();
+  var rateLimitOptions = config.getRateLimitOptions();
+  this._config = config;
+  this._transport = transport;
+  this._queue = batchingOptions ?
+    new ReportQueue(batchingOptions, this._flushBatch.bind(this)) : null;
+  this._spool = spoolOptions ? new ReportSpool(spoolOptions) : null;
+  this._rateLimiter = rateLimitOptions ?
+    new RateLimiter(rateLimitOptions, this._sendSummary.bind(this)) : null;
+  this._pending = {};
+  this._pendingCount = 0;
+  this._nextPendingId = 0;
+  this._flushListeners = [];
+  this._closed = false;
+  this._exitListener = null;
+  if (this._spool && config.getReportMode() !== 'disabled') {
+    config.addReadyListener(this._replaySpool.bind(this));
+    this._exitListener = this._spoolPending.bind(this);
+    process.on('exit', this._exitListener);
+  }
+  this._forwardRetry = this.emit.bind(this, 'retry');
+  if (isFunction(transport.on)) {
+    transport.on('retry', this._forwardRetry);
+  }
+}
+// Extend the ReportingClient constructor by augmenting it with EventEmitter
+inherits(ReportingClient, EventEmitter);
+
+/**
+ * Hands every report spooled by previous processes to `_send` so that it goes
+ * through the same delivery path as a newly given report. Replayed reports are
+ * not rate limited since they were already let through when first given. The
+ * spool is left untouched unless the configuration delivers reports to the
+ * API, so that a process running in the `console` mode or outside of
+ * production does not claim the spool files only to lose their reports. A
+ * report spooled after reaching some of the destinations of the transport is
+ * only replayed to the others, and a report which fails again is spooled
+ * again with the time it was first spooled at.
+ * @function _replaySpool
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._replaySpool = function() {
+  var that = this;
+  if (!this._config.getShouldReportErrorsToAPI()) {
+    return;
+  }
+  this._spool.replay(function(report, details) {
+    that._send(report, null, details);
+  });
+};
+
+/**
+ * Synchronously writes every report whose delivery has not settled to the
+ * spool. Meant to be called on the `exit` event of the process or once
+ * `close` has given up waiting. The spooled reports are forgotten, so that
+ * the outcome of a request still in flight neither spools them a second time
+ * nor emits an event for a report which is going to be replayed.
+ * @function _spoolPending
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._spoolPending = function() {
+  var that = this;
+  var pending = this._pending;
+  var reports = [];
+  Object.keys(pending).forEach(function(id) {
+    if (pending[id].details) {
+      that._spool.writeSync([pending[id].errorMessage], pending[id].details);
+    } else {
+      reports.push(pending[id].errorMessage);
+    }
+  });
+  if (reports.length > 0) {
+    this._spool.writeSync(reports);
+  }
+  this._pending = {};
+  this._pendingCount = 0;
+};
+
+/**
+ * Hands every report of a batch to the transport and calls `done` once the
+ * delivery of every report in the batch has settled.
+ * @function _flushBatch
+ * @private
+ * @param {Array<Object>} batch - the queued items holding an `errorMessage` and
+ *  a `callback`
+ * @param {Function} done - called once every report of the batch has settled
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._flushBatch = function(batch, done) {
+  var that = this;
+  var remaining = batch.length;
+  batch.forEach(function(item) {
+    that._transport.sendError(item.errorMessage, function(err, response, body) {
+      item.callback(err, response, body);
+      remaining -= 1;
+      if (remaining === 0) {
+        done();
+      }
+    });
+  });
+};
+
+/**
+ * Creates the error given to the callback of a report dropped by the client
+ * itself, as opposed to a report which failed to be delivered.
+ * @function createDropError
+ * @private
+ * @param {String} message - the message of the error
+ * @returns {Error} - the error with its `dropped` property set to true
+ */
+function createDropError(message) {
+  var err = new Error(message);
+  err.dropped = true;
+  return err;
+}
+
+/**
+ * Determines whether the filter of the configuration, if any, accepts the
+ * given report. A filter which throws is treated as accepting the report so
+ * that a faulty filter does not cause reports to be lost.
+ * @function isAccepted
+ * @private
+ * @param {Function|Null} filter - the filter of the configuration
+ * @param {ErrorMessage} errorMessage - the report
+ * @returns {Boolean} - true if the report should be delivered
+ */
+function isAccepted(filter, errorMessage) {
+  if (!isFunction(filter)) {
+    return true;
+  }
+  try {
+    return !!filter(errorMessage);
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Creates the error of a report which should be dropped because the client
+ * has been closed, reporting is disabled by the report mode, the report mode
+ * is `auto` and `NODE_ENV` is not `production` or the report is rejected by
+ * the filter of the configuration, in which case the error has its `filtered`
+ * property set to true. The report mode and the filter are read for every
+ * report so that changing them through `Configuration#configure` takes effect
+ * immediately.
+ * @function _getDropError
+ * @private
+ * @param {ErrorMessage} errorMessage - the report
+ * @returns {Error|Null} - the error if the report should be dropped, null
+ *  otherwise
+ */
+ReportingClient.prototype._getDropError = function(errorMessage) {
+  var err = null;
+  if (this._closed) {
+    err = createDropError('The error reporting client has been closed');
+  } else if (this._config.getReportMode() === 'disabled') {
+    err = createDropError('Report dropped: reporting is disabled by the ' +
+      'report mode');
+  } else if (this._config.getReportMode() !== 'console' &&
+    !this._config.getShouldReportErrorsToAPI()) {
+    err = createDropError('Report dropped: the report mode is auto and ' +
+      'NODE_ENV is not set to production, set the reportMode option to api ' +
+      'to report from any environment');
+  } else if (!isAccepted(this._config.getFilter(), errorMessage)) {
+    err = createDropError('Report dropped: the report was rejected by the ' +
+      'filter');
+    err.filtered = true;
+  }
+  return err;
+};
+
+/**
+ * Delivers the given report unless it is dropped by the checks of
+ * `_getDropError` or suppressed by rate limiting, in which case the callback
+ * is given an error. The error of a suppressed report has its `rateLimited`
+ * property set to true.
+ * @function sendError
+ * @fires ReportingClient#report
+ * @fires ReportingClient#dropped
+ * @param {ErrorMessage} errorMessage - the report to deliver
+ * @param {RequestHandler~requestCallback} [callback] - called once the report
+ *  has been delivered, has failed to be delivered or has been dropped
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype.sendError = function(errorMessage, callback) {
+  var cb = isFunction(callback) ? callback : function() {};
+  var err;
+  this.emit('report', errorMessage);
+  err = this._getDropError(errorMessage);
+  if (!err && this._rateLimiter && !this._rateLimiter.take(errorMessage)) {
+    err = createDropError(
+      'Report suppressed: the rate limit has been exceeded');
+    err.rateLimited = true;
+  }
+  if (err) {
+    this.emit('dropped', errorMessage, err);
+    cb(err, null, null);
+    return;
+  }
+  this._deliver(errorMessage, cb);
+};
+
+/**
+ * Delivers a summary report of the RateLimiter unless it is dropped by the
+ * checks of `_getDropError`, so that summaries are not sent once reporting has
+ * been disabled or by a closed client. Summaries are not rate limited
+ * themselves.
+ * @function _sendSummary
+ * @private
+ * @fires ReportingClient#report
+ * @fires ReportingClient#dropped
+ * @param {ErrorMessage} errorMessage - the summary report
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._sendSummary = function(errorMessage) {
+  var err;
+  this.emit('report', errorMessage);
+  err = this._getDropError(errorMessage);
+  if (err) {
+    this.emit('dropped', errorMessage, err);
+    return;
+  }
+  this._deliver(errorMessage);
+};
+
+/**
+ * Delivers a report replayed from the spool, bypassing the checks `sendError`
+ * applies to the reports given by the hosting application since it was let
+ * through them when first given.
+ * @function _send
+ * @private
+ * @fires ReportingClient#report
+ * @param {ErrorMessage} errorMessage - the report to deliver
+ * @param {RequestHandler~requestCallback} [callback] - called once the report
+ *  has been delivered, has failed to be delivered or has been dropped
+ * @param {ReportSpool~SpoolDetails|Null} [details] - the spool details of a
+ *  replayed report, see `_deliver`
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._send = function(errorMessage, callback, details) {
+  this.emit('report', errorMessage);
+  this._deliver(errorMessage, callback, details);
+};
+
+/**
+ * Tracks the given report until its delivery has settled and delivers it,
+ * either by queueing it if batching is enabled or by handing it directly to
+ * the transport. The report is first cut down to the payload limits of the
+ * Error Reporting API, see `normalizeReport`, so that an oversized report is
+ * not rejected as a whole. Once the delivery has settled `sent` is emitted if
+ * it succeeded, `dropped` if the queue or the transport dropped the report
+ * and `failed` otherwise. A replayed report restricted to some projects
+ * bypasses the queue and is handed directly to the transport with those
+ * projects. A report which fails to be delivered is spooled along with the
+ * projects named by the error of the transport and, if it was replayed, the
+ * time it was first spooled at.
+ * @function _deliver
+ * @private
+ * @fires ReportingClient#truncated
+ * @fires ReportingClient#sent
+ * @fires ReportingClient#failed
+ * @fires ReportingClient#dropped
+ * @param {ErrorMessage} errorMessage - the report to deliver
+ * @param {RequestHandler~requestCallback} [callback] - called once the report
+ *  has been delivered, has failed to be delivered or has been dropped
+ * @param {ReportSpool~SpoolDetails|Null} [details] - the spool details of a
+ *  replayed report, whose projects restrict the destinations of the report
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._deliver = function(errorMessage, callback,
+  details) {
+  var that = this;
+  var cb = isFunction(callback) ? callback : function() {};
+  var id = this._nextPendingId;
+  var truncated = normalizeReport(errorMessage);
+  var spooled = isObject(details) ? details : null;
+  var projects = spooled && isArray(spooled.projects) ? spooled.projects : null;
+  var settle = function(err, response, body) {
+    if (!that._pending[id]) {
+      // the report was spooled when the client was closed
+      cb(err, response, body);
+      return;
+    }
+    delete that._pending[id];
+    that._pendingCount -= 1;
+    if (that._spool && ReportSpool.isSpoolable(err)) {
+      that._spool.write(errorMessage, {projects: err.projects,
+        spooledAt: spooled ? spooled.spooledAt : undefined});
+    }
+    if (!err) {
+      that.emit('sent', errorMessage, response, body);
+    } else if (err.dropped) {
+      that.emit('dropped', errorMessage, err);
+    } else {
+      that.emit('failed', errorMessage, err, response);
+    }
+    cb(err, response, body);
+    if (that._pendingCount === 0) {
+      that._notifyFlushListeners();
+    }
+  };
+  if (truncated.length > 0) {
+    this.emit('truncated', errorMessage, truncated);
+  }
+  this._nextPendingId += 1;
+  this._pending[id] = {errorMessage: errorMessage, details: spooled};
+  this._pendingCount += 1;
+  if (projects) {
+    this._transport.sendError(errorMessage, settle, projects);
+    return;
+  } else if (this._queue) {
+    this._queue.add(errorMessage, settle);
+    return;
+  }
+  this._transport.sendError(errorMessage, settle);
+};
+
+/**
+ * Replaces the transport delivering reports, for example once the report mode
+ * has changed between `console` and a mode delivering reports. Reports handed
+ * to the previous transport are still delivered by it, and its `retry` events
+ * still forwarded.
+ * @function setTransport
+ * @chainable
+ * @param {Transport} transport - the transport delivering reports
+ * @returns {this} - returns the instance for chaining
+ */
+ReportingClient.prototype.setTransport = function(transport) {
+  this._transport = transport;
+  if (isFunction(transport.on)) {
+    transport.on('retry', this._forwardRetry);
+  }
+  return this;
+};
+
+/**
+ * Calls, and then forgets, every function waiting for the pending reports to
+ * settle.
+ * @function _notifyFlushListeners
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype._notifyFlushListeners = function() {
+  var listeners = this._flushListeners;
+  this._flushListeners = [];
+  listeners.forEach(function(listener) {
+    listener(null);
+  });
+};
+
+/**
+ * Drains the report queue, if batching is enabled, and calls back once the
+ * delivery of every pending report has settled or once the timeout has
+ * expired, whichever comes first. If the timeout expires the callback is given
+ * an error whose `pendingCount` property holds the number of reports which
+ * were still pending.
+ * @function flush
+ * @param {Number} [timeout] - the maximum time in milliseconds to wait, if not
+ *  given the callback will only be called once no report is pending
+ * @param {Function} [callback] - called with null once no report is pending or
+ *  with an error if the timeout expired first
+ * @returns {Undefined} - does not return anything
+ */
+ReportingClient.prototype.flush = function(timeout, callback) {
+  var that = this;
+  var cb = isFunction(timeout) ? timeout :
+    (isFunction(callback) ? callback : function() {});
+  var timer = null;
+  var listener = function(err) {
+    clearTimeout(timer);
+    cb(err);
+  };
+  if (this._queue) {
+    this._queue.drain();
+  }
+  if (this._pendingCount === 0) {
+    setImmediate(cb, null);
+    return;
+  }
+  this._flushListeners.push(listener);
+  if (isNumber(timeout) && timeout >= 0) {
+    timer = setTimeout(function() {
+      var err = new Error('Timed out after ' + timeout + 'ms waiting for ' +
+        that._pendingCount + ' pending reports');
+      err.pendingCount = that._pendingCount;
+      that._flushListeners.splice(that._flushListeners.indexOf(listener), 1);
+      cb(err);
+    }, timeout);
+  }
+};
+
+/**
+ * Returns the state of the circuit breaker of the transport, if the transport
+ * has one, so that it can be surfaced by health checks.
+ * @function getCircuitBreakerState
+ * @returns {Object|Null} - the state of the circuit breaker or null if the
+ *  transport does not have an enabled circuit breaker
+ */
+ReportingClient.prototype.getCircuitBreakerState = function() {
+  return isFunction(this._transport.getCircuitBreakerState) ?
+    this._transport.getCircuitBreakerState() : null;
+};
+
+/**
+ * Stops the client from accepting new reports and waits for the pending
+ * reports as `flush` does. If rate limiting is enabled the summary reports of
+ * the current window are sent before waiting. Reports given after `close` has
+ * been called are immediately called back with an error. If a spool is
+ * configured the client stops listening for the exit of the process once the
+ * wait is over and reports still pending at that point are spooled right away,
+ * after which their callbacks are still called but their outcome is ignored.
+ * @function close
+ * @param {Number} [timeout] - the maximum time in milliseconds to wait, if not
+ *  given the promise will only resolve once no report is pending
+ * @returns {Promise<Number>} - resolves with the number of reports which were
+ *  still pending, 0 if every report settled before the timeout expired
+ */
+ReportingClient.prototype.close = function(timeout) {
+  var that = this;
+  // the summaries of the current window are sent before the client closes
+  if (this._rateLimiter) {
+    this._rateLimiter.stop();
+  }
+  this._closed = true;
+  return new Promise(function(resolve) {
+    that.flush(timeout, function() {
+      var pendingCount = that._pendingCount;
+      if (that._exitListener) {
+        process.removeListener('exit', that._exitListener);
+        that._exitListener = null;
+        that._spoolPending();
+      }
+      resolve(pendingCount);
+    });
+  });
+};
+
+/**
+ * The report event is emitted whenever a report is given to the client,
+ * before it is delivered.
+ * @event ReportingClient#report
+ * @type {ErrorMessage} - the given report
+ */
+/**
+ * The sent event is emitted once a report has been delivered.
+ * @event ReportingClient#sent
+ * @type {ErrorMessage} - the delivered report, followed by the response and
+ *  the body of the transport
+ */
+/**
+ * The failed event is emitted once a report has failed to be delivered, after
+ * the transport gave up retrying it.
+ * @event ReportingClient#failed
+ * @type {ErrorMessage} - the report, followed by the error and the response,
+ *  if any, of the transport
+ */
+/**
+ * The dropped event is emitted when a report is discarded without being sent:
+ * because the client was closed, because it was suppressed by rate limiting,
+ * because the report queue was full or because the circuit breaker of the
+ * transport was open. A report dropped by the circuit breaker is still
+ * spooled if a spool is configured.
+ * @event ReportingClient#dropped
+ * @type {ErrorMessage} - the report, followed by the error given to its
+ *  callback
+ */
+/**
+ * The truncated event is emitted when a report exceeding the payload limits of
+ * the Error Reporting API has been cut down to them, before it is delivered.
+ * @event ReportingClient#truncated
+ * @type {ErrorMessage} - the cut report, followed by the paths of the fields
+ *  which were cut
+ */
+/**
+ * The retry event is forwarded from transports which emit it, such as the
+ * Error Reporting API client, whenever a failed attempt to deliver a report is
+ * about to be retried.
+ * @event ReportingClient#retry
+ * @type {ErrorMessage} - the report, followed by the error of the failed
+ *  attempt, the 1-indexed number of the failed attempt and the delay in
+ *  milliseconds before the next attempt
+ */
+
+module.exports = ReportingClient;
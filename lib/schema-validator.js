@@ -0,0 +1,291 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isString = lodash.isString;
+var isNumber = lodash.isNumber;
+var isObject = lodash.isObject;
+var isFunction = lodash.isFunction;
+var isPlainObject = lodash.isPlainObject;
+var isLogger = require('./logger.js').isLogger;
+
+/**
+ * The types a schema may accept. Each type holds the predicate deciding
+ * whether a value is of the type and the description of the type used in
+ * messages about invalid values.
+ * @const {Object}
+ */
+var TYPES = {
+  string: {check: isString, description: 'a string'},
+  number: {
+    check: function(value) {
+      return isNumber(value) && isFinite(value);
+    },
+    description: 'a number'
+  },
+  integer: {
+    check: function(value) {
+      return isNumber(value) && isFinite(value) && value % 1 === 0;
+    },
+    description: 'an integer'
+  },
+  boolean: {check: lodash.isBoolean, description: 'a boolean'},
+  'function': {check: isFunction, description: 'a function'},
+  object: {check: isPlainObject, description: 'an object'},
+  array: {check: Array.isArray, description: 'an array'},
+  transport: {
+    check: function(value) {
+      return isObject(value) && isFunction(value.sendError);
+    },
+    description: 'an object with a sendError function'
+  },
+  logger: {
+    check: isLogger,
+    description: 'an object with error, warn, info, debug or log functions'
+  }
+};
+
+/**
+ * Computes the Levenshtein distance between two strings, that is the number of
+ * single character insertions, deletions and substitutions turning one string
+ * into the other.
+ * @function distance
+ * @private
+ * @param {String} a - the first string
+ * @param {String} b - the second string
+ * @returns {Number} - the distance between the strings
+ */
+function distance(a, b) {
+  var previous = lodash.range(b.length + 1);
+  var current;
+  var i;
+  var j;
+  for (i = 1; i <= a.length; i += 1) {
+    current = [i];
+    for (j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+        previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the candidate the given name most likely is a misspelling of. Names
+ * are compared ignoring case and a candidate is only suggested if it is within
+ * a third of the length of the name, and at least two, edits of it.
+ * @function suggest
+ * @param {String} name - the unknown name
+ * @param {Array<String>} candidates - the known names
+ * @returns {String|Null} - the closest candidate or null if none is close
+ */
+function suggest(name, candidates) {
+  var maxDistance = Math.max(2, Math.floor(name.length / 3));
+  var best = null;
+  var bestDistance = Infinity;
+  candidates.forEach(function(candidate) {
+    var d = distance(name.toLowerCase(), candidate.toLowerCase());
+    if (d <= maxDistance && d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
+
+/**
+ * Describes a value for messages about invalid values.
+ * @function describeValue
+ * @private
+ * @param {Any} value - the value
+ * @returns {String} - the description of the value
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  } else if (Array.isArray(value)) {
+    return 'an array';
+  } else if (isFunction(value)) {
+    return 'a function';
+  } else if (isObject(value)) {
+    return 'an object';
+  }
+  return 'the ' + typeof value + ' ' + JSON.stringify(value);
+}
+
+/**
+ * Describes the values a schema accepts for messages about invalid values.
+ * @function describeSchema
+ * @private
+ * @param {Object} schema - the schema
+ * @returns {String} - the description of the schema
+ */
+function describeSchema(schema) {
+  return schema.type.map(function(type) {
+    if (type === 'string' && Array.isArray(schema.values)) {
+      return 'one of ' + schema.values.join(', ');
+    } else if (isNumber(schema.minimum) &&
+      (type === 'number' || type === 'integer')) {
+      return TYPES[type].description + ' of at least ' + schema.minimum;
+    }
+    return TYPES[type].description;
+  }).join(' or ');
+}
+
+/**
+ * Determines whether a value is of the given type of a schema and, for
+ * strings and numbers, meets the constraints of the schema.
+ * @function accepts
+ * @private
+ * @param {Object} schema - the schema
+ * @param {String} type - one of the types of the schema
+ * @param {Any} value - the value
+ * @returns {Boolean} - true if the schema accepts the value as of the type
+ */
+function accepts(schema, type, value) {
+  if (!TYPES[type].check(value)) {
+    return false;
+  } else if (type === 'string' && Array.isArray(schema.values)) {
+    return schema.values.indexOf(value) !== -1;
+  } else if ((type === 'number' || type === 'integer') &&
+    isNumber(schema.minimum)) {
+    return value >= schema.minimum;
+  }
+  return true;
+}
+
+/**
+ * Determines whether a value is of one of the types of its schema and meets
+ * the constraints of the schema. The values held by objects and arrays are not
+ * validated, see `validateSchema` for a thorough validation.
+ * @function isValid
+ * @param {Any} value - the value
+ * @param {Object} schema - the schema of the value
+ * @returns {Boolean} - true if the schema accepts the value
+ */
+function isValid(value, schema) {
+  return lodash.some(schema.type, function(type) {
+    return accepts(schema, type, value);
+  });
+}
+
+/**
+ * Validates a value against its schema, recording every problem found in the
+ * value and, for objects and arrays, in the values it holds.
+ * @function validateValue
+ * @private
+ * @param {Any} value - the value to validate
+ * @param {Object} schema - the schema of the value
+ * @param {String} path - the path of the value, for messages
+ * @param {Array<Object>} problems - the problems found so far
+ * @returns {Undefined} - does not return anything
+ */
+function validateValue(value, schema, path, problems) {
+  var type = lodash.find(schema.type, function(name) {
+    return accepts(schema, name, value);
+  });
+  if (!isString(type)) {
+    problems.push({
+      path: path,
+      kind: 'invalid',
+      suggestion: null,
+      message: 'Invalid option ' + path + ': expected ' +
+        describeSchema(schema) + ' but got ' + describeValue(value)
+    });
+  } else if (type === 'object' && isPlainObject(schema.properties)) {
+    validateProperties(value, schema.properties, path + '.', problems);
+  } else if (type === 'array' && isPlainObject(schema.items)) {
+    value.forEach(function(item, index) {
+      validateValue(item, schema.items, path + '[' + index + ']', problems);
+    });
+  }
+}
+
+/**
+ * Validates the properties of an object against the schemas of the
+ * properties it may hold, recording unknown properties, along with the known
+ * property they most likely are a misspelling of, missing required properties
+ * and properties holding invalid values.
+ * @function validateProperties
+ * @private
+ * @param {Object} object - the object to validate
+ * @param {Object} properties - the schemas of the known properties
+ * @param {String} prefix - the path of the object followed by a dot, for
+ *  messages
+ * @param {Array<Object>} problems - the problems found so far
+ * @returns {Undefined} - does not return anything
+ */
+function validateProperties(object, properties, prefix, problems) {
+  var known = Object.keys(properties);
+  Object.keys(object).forEach(function(name) {
+    var suggestion;
+    if (!properties.hasOwnProperty(name)) {
+      suggestion = suggest(name, known);
+      problems.push({
+        path: prefix + name,
+        kind: 'unknown',
+        suggestion: suggestion === null ? null : prefix + suggestion,
+        message: 'Unknown option ' + prefix + name + (suggestion === null ?
+          '' : ' - did you mean ' + prefix + suggestion + '?')
+      });
+    }
+  });
+  known.forEach(function(name) {
+    var value = object[name];
+    if (value !== null && value !== undefined) {
+      validateValue(value, properties[name], prefix + name, problems);
+    } else if (properties[name].required === true) {
+      problems.push({
+        path: prefix + name,
+        kind: 'missing',
+        suggestion: null,
+        message: 'Missing option ' + prefix + name + ': expected ' +
+          describeSchema(properties[name])
+      });
+    }
+  });
+}
+
+/**
+ * Validates an object of options against the schemas of the options it may
+ * hold. A schema holds the `type` of the option, an array naming one or more
+ * of the types above, and optionally: whether the option is `required`, the
+ * `values` a string option accepts, the `minimum` of a number option, the
+ * schemas of the `properties` of an object option and the schema of the
+ * `items` of an array option. Options given as null or undefined are treated
+ * as not given.
+ * @function validateSchema
+ * @param {Object} object - the options to validate
+ * @param {Object} properties - the schemas of the known options
+ * @returns {Array<Object>} - the problems found, each holding the `path` of
+ *  the option, the `kind` of problem, one of `unknown`, `missing` or
+ *  `invalid`, the `suggestion` for an unknown option, if any, and a
+ *  descriptive `message`
+ */
+function validateSchema(object, properties) {
+  var problems = [];
+  validateProperties(object, properties, '', problems);
+  return problems;
+}
+
+module.exports = {
+  validateSchema: validateSchema,
+  isValid: isValid,
+  suggest: suggest
+};
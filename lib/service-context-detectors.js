@@ -0,0 +1,168 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+var lodash = require('lodash');
+var isString = lodash.isString;
+var isEmpty = lodash.isEmpty;
+
+/* @const {String} the default path of the pod labels downward API volume */
+var DEFAULT_POD_LABELS_FILE = '/etc/podinfo/labels';
+
+/* @const {Array<String>} the pod labels naming the service, by precedence */
+var SERVICE_LABELS = ['app.kubernetes.io/name', 'app', 'k8s-app'];
+
+/* @const {Array<String>} the pod labels naming the version, by precedence */
+var VERSION_LABELS = ['app.kubernetes.io/version', 'version'];
+
+/**
+ * Returns the first of the given environmental variables which is set to a
+ * non-empty string.
+ * @function firstOf
+ * @private
+ * @param {Object} environment - the environmental variables
+ * @param {Array<String>} names - the names of the variables, by precedence
+ * @returns {String} - the value of the variable or an empty string
+ */
+function firstOf(environment, names) {
+  var name = lodash.find(names, function(candidate) {
+    return isString(environment[candidate]) &&
+      !isEmpty(environment[candidate]);
+  });
+  return isString(name) ? environment[name] : '';
+}
+
+/**
+ * Reads the pod labels exposed by a Kubernetes downward API volume. The file
+ * holds one `key="value"` line per label, the value being quoted and escaped
+ * as a JSON string, see the "Expose Pod Information to Containers Through
+ * Files" task of the Kubernetes documentation.
+ * {@link https://kubernetes.io/docs/tasks/inject-data-application/}
+ * @function readPodLabels
+ * @private
+ * @param {String} fileName - the path of the labels file
+ * @returns {Object} - the labels, empty if the file could not be read
+ */
+function readPodLabels(fileName) {
+  var content;
+  try {
+    content = fs.readFileSync(fileName, 'utf8');
+  } catch (e) {
+    return {};
+  }
+  return content.split('\n').reduce(function(labels, line) {
+    var match = /^([^=]+)=(".*")$/.exec(line.trim());
+    if (match) {
+      try {
+        labels[match[1]] = JSON.parse(match[2]);
+      } catch (e) {
+        labels[match[1]] = match[2].slice(1, -1);
+      }
+    }
+    return labels;
+  }, {});
+}
+
+/**
+ * The detectors of the service context, by precedence. Each detector is given
+ * the environmental variables and returns the `service` and `version` of the
+ * platform the process runs on, the version being an empty string if the
+ * platform does not expose one, or null if the process does not run on the
+ * platform.
+ * @const {Array<Object>}
+ */
+var DETECTORS = [{
+  name: 'appEngine',
+  detect: function(environment) {
+    var service = firstOf(environment, ['GAE_SERVICE']);
+    return isEmpty(service) ? null :
+      {service: service, version: firstOf(environment, ['GAE_VERSION'])};
+  }
+}, {
+  name: 'appEngineLegacy',
+  detect: function(environment) {
+    var service = firstOf(environment, ['GAE_MODULE_NAME']);
+    return isEmpty(service) ? null : {service: service,
+      version: firstOf(environment, ['GAE_MODULE_VERSION'])};
+  }
+}, {
+  // second generation functions run on Cloud Run and set K_SERVICE too
+  name: 'cloudFunctions',
+  detect: function(environment) {
+    if (isEmpty(firstOf(environment, ['FUNCTION_NAME', 'FUNCTION_TARGET']))) {
+      return null;
+    }
+    return {
+      service: firstOf(environment, ['FUNCTION_NAME', 'K_SERVICE',
+        'FUNCTION_TARGET']),
+      version: firstOf(environment, ['X_GOOGLE_FUNCTION_VERSION', 'K_REVISION'])
+    };
+  }
+}, {
+  name: 'cloudRun',
+  detect: function(environment) {
+    var service = firstOf(environment, ['K_SERVICE']);
+    return isEmpty(service) ? null :
+      {service: service, version: firstOf(environment, ['K_REVISION'])};
+  }
+}, {
+  name: 'kubernetes',
+  detect: function(environment) {
+    var labels;
+    var service;
+    if (isEmpty(firstOf(environment, ['KUBERNETES_SERVICE_HOST']))) {
+      return null;
+    }
+    labels = readPodLabels(firstOf(environment,
+      ['CLOUD_ERRORS_POD_LABELS_FILE']) || DEFAULT_POD_LABELS_FILE);
+    service = firstOf(labels, SERVICE_LABELS);
+    return isEmpty(service) ? null :
+      {service: service, version: firstOf(labels, VERSION_LABELS)};
+  }
+}];
+
+/**
+ * Detects the service context of the platform the process runs on by running
+ * each detector in turn until one of them recognizes the platform.
+ * @function detectServiceContext
+ * @param {Object} environment - the environmental variables, process.env
+ * @param {Array<Object>} [detectors=DETECTORS] - the detectors to run
+ * @returns {Object|Null} - the `service` and `version` detected along with the
+ *  `source`, the name of the detector which recognized the platform, or null
+ *  if no detector did
+ */
+function detectServiceContext(environment, detectors) {
+  var detected = null;
+  lodash.find(Array.isArray(detectors) ? detectors : DETECTORS,
+    function(detector) {
+      var context = detector.detect(environment);
+      if (context === null) {
+        return false;
+      }
+      detected = {service: context.service, version: context.version,
+        source: detector.name};
+      return true;
+    });
+  return detected;
+}
+
+module.exports = {
+  detectServiceContext: detectServiceContext,
+  DETECTORS: DETECTORS,
+  DEFAULT_POD_LABELS_FILE: DEFAULT_POD_LABELS_FILE
+};
@@ -0,0 +1,184 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var lodash = require('lodash');
+var isString = lodash.isString;
+var isEmpty = lodash.isEmpty;
+var isPlainObject = lodash.isPlainObject;
+
+/**
+ * Reads a file, returning null rather than throwing if it cannot be read.
+ * @function readFile
+ * @private
+ * @param {String} fileName - the path of the file
+ * @returns {String|Null} - the content of the file or null
+ */
+function readFile(fileName) {
+  try {
+    return fs.readFileSync(fileName, 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds the git directory of the repository holding the given directory by
+ * looking for `.git` in the directory and each of its parents. A `.git` file,
+ * as found in worktrees and submodules, is followed to the directory it
+ * points at.
+ * @function findGitDirectory
+ * @private
+ * @param {String} directory - the directory to start looking from
+ * @returns {String|Null} - the path of the git directory or null
+ */
+function findGitDirectory(directory) {
+  var candidate = path.join(directory, '.git');
+  var stats;
+  var match;
+  try {
+    stats = fs.statSync(candidate);
+  } catch (e) {
+    stats = null;
+  }
+  if (stats && stats.isDirectory()) {
+    return candidate;
+  } else if (stats && stats.isFile()) {
+    match = /^gitdir:\s*(.+)$/m.exec(readFile(candidate) || '');
+    return match ? path.resolve(directory, match[1].trim()) : null;
+  } else if (path.dirname(directory) === directory) {
+    return null;
+  }
+  return findGitDirectory(path.dirname(directory));
+}
+
+/**
+ * Finds the directory holding the refs and configuration shared by every
+ * worktree of a repository, which is the git directory itself unless it
+ * belongs to a linked worktree.
+ * @function findCommonDirectory
+ * @private
+ * @param {String} gitDirectory - the git directory
+ * @returns {String} - the path of the common directory
+ */
+function findCommonDirectory(gitDirectory) {
+  var common = readFile(path.join(gitDirectory, 'commondir'));
+  return common === null ? gitDirectory :
+    path.resolve(gitDirectory, common.trim());
+}
+
+/**
+ * Resolves a ref, such as `refs/heads/main`, to the commit it points at,
+ * looking at the loose ref file first and the packed refs second.
+ * @function resolveRef
+ * @private
+ * @param {String} gitDirectory - the directory holding the refs
+ * @param {String} ref - the name of the ref
+ * @returns {String|Null} - the commit id or null if the ref is unknown
+ */
+function resolveRef(gitDirectory, ref) {
+  var loose = readFile(path.join(gitDirectory, ref));
+  var packed;
+  if (loose !== null && /^[0-9a-f]{40}\s*$/.test(loose)) {
+    return loose.trim();
+  }
+  packed = lodash.find((readFile(path.join(gitDirectory, 'packed-refs')) ||
+    '').split('\n'), function(line) {
+      return line.slice(41).trim() === ref;
+    });
+  return isString(packed) && /^[0-9a-f]{40} /.test(packed) ?
+    packed.slice(0, 40) : null;
+}
+
+/**
+ * Reads the URL of the `origin` remote from the git configuration, removing
+ * any credentials it holds.
+ * @function readOriginUrl
+ * @private
+ * @param {String} gitDirectory - the directory holding the configuration
+ * @returns {String|Null} - the URL of the remote or null if there is none
+ */
+function readOriginUrl(gitDirectory) {
+  var config = readFile(path.join(gitDirectory, 'config')) || '';
+  var match = /\[remote\s+"origin"\]([^\[]*)/.exec(config);
+  var remote = match ? /^\s*url\s*=\s*(.+)$/m.exec(match[1]) : null;
+  var parsed;
+  if (!remote) {
+    return null;
+  }
+  parsed = url.parse(remote[1].trim());
+  if (isString(parsed.auth) && isString(parsed.protocol)) {
+    parsed.auth = null;
+    return url.format(parsed);
+  }
+  return remote[1].trim();
+}
+
+/**
+ * Reads the commit checked out in the git repository holding the given
+ * directory, and the URL of its `origin` remote, straight from the git
+ * directory without running git.
+ * @function readGitRevision
+ * @param {String} directory - a directory inside of the repository
+ * @returns {Object|Null} - the `revisionId` of the commit and the
+ *  `repository` URL, null if there is no remote, or null if the commit could
+ *  not be determined
+ */
+function readGitRevision(directory) {
+  var gitDirectory = findGitDirectory(path.resolve(directory));
+  var commonDirectory;
+  var head;
+  var revisionId;
+  if (gitDirectory === null) {
+    return null;
+  }
+  commonDirectory = findCommonDirectory(gitDirectory);
+  head = (readFile(path.join(gitDirectory, 'HEAD')) || '').trim();
+  if (/^ref:\s*/.test(head)) {
+    revisionId = resolveRef(commonDirectory, head.replace(/^ref:\s*/, ''));
+  } else {
+    revisionId = /^[0-9a-f]{40}$/.test(head) ? head : null;
+  }
+  return revisionId === null ? null :
+    {repository: readOriginUrl(commonDirectory), revisionId: revisionId};
+}
+
+/**
+ * Reads the version of the package.json in the given directory.
+ * @function readPackageVersion
+ * @param {String} directory - the directory holding the package.json
+ * @returns {String|Null} - the version or null if the package.json could not
+ *  be read or has no version
+ */
+function readPackageVersion(directory) {
+  var packageJson;
+  try {
+    packageJson = JSON.parse(readFile(path.join(directory, 'package.json')));
+  } catch (e) {
+    return null;
+  }
+  return isPlainObject(packageJson) && isString(packageJson.version) &&
+    !isEmpty(packageJson.version) ? packageJson.version : null;
+}
+
+module.exports = {
+  readGitRevision: readGitRevision,
+  readPackageVersion: readPackageVersion
+};
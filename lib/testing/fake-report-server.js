@@ -0,0 +1,324 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var http = require('http');
+var parseUrl = require('url').parse;
+var EventEmitter = require('events').EventEmitter;
+var inherits = require('util').inherits;
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isString = lodash.isString;
+var isNumber = lodash.isNumber;
+var isFunction = lodash.isFunction;
+var reportLimits = require('../report-limits.js');
+
+/* @const {RegExp} matches the path of a report request and its project id */
+var REPORT_PATH = /^\/v1beta1\/projects\/([^\/]+)\/events:report$/;
+
+/* @const {String} the host the server listens on */
+var HOST = '127.0.0.1';
+
+/**
+ * A function which does nothing, used in place of callbacks which were not
+ * given.
+ * @function noOp
+ * @private
+ * @returns {Undefined} - does not return anything
+ */
+function noOp() {}
+
+/**
+ * Creates an error describing why a request was rejected, in the format of the
+ * errors returned by the Error Reporting API.
+ * @function createApiError
+ * @private
+ * @param {Number} code - the HTTP status code of the response
+ * @param {String} status - the canonical status of the error
+ * @param {String} message - the description of the error
+ * @returns {Object} - the body of the error response
+ */
+function createApiError(code, status, message) {
+  return {error: {code: code, message: message, status: status}};
+}
+
+/**
+ * Reads the value at the given dot separated path of the report.
+ * @function getField
+ * @private
+ * @param {Object} report - the received report
+ * @param {String} fieldPath - the path of the field, e.g. `context.user`
+ * @returns {Any} - the value of the field or undefined if it is not set
+ */
+function getField(report, fieldPath) {
+  return fieldPath.split('.').reduce(function(value, key) {
+    return isObject(value) ? value[key] : undefined;
+  }, report);
+}
+
+/**
+ * Validates a received report the way the Error Reporting API does. A report
+ * must have a non-empty message and a service name, must either have a report
+ * location or a message containing a stack trace, must have a valid event time
+ * if one is given and none of its fields may exceed its size limit.
+ * @function validateReport
+ * @private
+ * @param {Any} report - the parsed body of the request
+ * @param {Object} limits - the size limits in bytes keyed by field path
+ * @returns {String|Null} - the reason the report is invalid or null if the
+ *  report is valid
+ */
+function validateReport(report, limits) {
+  var location;
+  var fieldPath;
+  var value;
+  if (!isObject(report)) {
+    return 'The request body must be a ReportedErrorEvent object';
+  } else if (!isString(report.message) || report.message.length === 0) {
+    return 'ReportedErrorEvent.message is required';
+  } else if (!isString(getField(report, 'serviceContext.service')) ||
+    report.serviceContext.service.length === 0) {
+    return 'ReportedErrorEvent.serviceContext.service is required';
+  } else if (report.eventTime !== undefined &&
+    isNaN(Date.parse(report.eventTime))) {
+    return 'ReportedErrorEvent.eventTime is not a valid timestamp';
+  }
+  location = getField(report, 'context.reportLocation');
+  if (!(isObject(location) && isString(location.filePath) &&
+    location.filePath.length > 0) &&
+    !reportLimits.STACK_FRAME.test(report.message)) {
+    return 'ReportedErrorEvent.context must contain a location unless ' +
+      '`message` contains an exception or stack trace';
+  }
+  for (fieldPath in limits) {
+    if (limits.hasOwnProperty(fieldPath)) {
+      value = getField(report, fieldPath);
+      if (isString(value) && Buffer.byteLength(value) > limits[fieldPath]) {
+        return 'ReportedErrorEvent.' + fieldPath + ' exceeds the limit of ' +
+          limits[fieldPath] + ' bytes';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The FakeReportServer constructor accepts an optional object of options.
+ * @class FakeReportServer
+ * @classdesc The FakeReportServer class is an in-process HTTP server mimicking
+ *  the `projects.events/report` method of the Error Reporting API so that
+ *  integration tests can assert on the reports an application sends without
+ *  credentials or network access. Reports are validated the way the API
+ *  validates them: invalid reports are answered with a 400 response in the
+ *  format of the API and are not recorded, valid reports are answered with an
+ *  empty object, recorded and emitted. Since the server listens on the local
+ *  machine, the endpoint it gives can be used as the `apiEndpoint` option and
+ *  reports are sent to it without OAuth credentials.
+ * @param {Object} [options] - the server options
+ * @param {Number} [options.port=0] - the port to listen on, an unused port is
+ *  picked by default
+ * @param {Object} [options.limits] - the size limits in bytes of the fields of
+ *  a report keyed by field path, merged over the limits of the API
+ * @property {Number} port - the port the server listens on once started
+ * @property {Object} limits - the size limits enforced on received reports
+ */
+function FakeReportServer(options) {
+  var given = isObject(options) ? options : {};
+  EventEmitter.call(this);
+  this.port = isNumber(given.port) && given.port >= 0 ? given.port : 0;
+  this.limits = lodash.assign({}, reportLimits.FIELD_LIMITS,
+    isObject(given.limits) ? given.limits : {});
+  this._server = null;
+  this._sockets = [];
+  this._reports = [];
+}
+
+inherits(FakeReportServer, EventEmitter);
+
+/**
+ * Answers a request with the given status code and JSON body.
+ * @function _respond
+ * @private
+ * @param {http.ServerResponse} res - the response to write
+ * @param {Number} statusCode - the status code of the response
+ * @param {Object} body - the body of the response
+ * @returns {Undefined} - does not return anything
+ */
+FakeReportServer.prototype._respond = function(res, statusCode, body) {
+  var payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=UTF-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+};
+
+/**
+ * Handles a single request against the server: requests other than a POST to
+ * the path of the report method are answered with a 404 response, bodies which
+ * are not valid JSON or not valid reports with a 400 response.
+ * @function _handleRequest
+ * @private
+ * @fires FakeReportServer#report
+ * @param {http.IncomingMessage} req - the received request
+ * @param {http.ServerResponse} res - the response to the request
+ * @returns {Undefined} - does not return anything
+ */
+FakeReportServer.prototype._handleRequest = function(req, res) {
+  var that = this;
+  var url = parseUrl(req.url, true);
+  var match = REPORT_PATH.exec(url.pathname);
+  var chunks = [];
+  if (req.method !== 'POST' || match === null) {
+    req.resume();
+    this._respond(res, 404, createApiError(404, 'NOT_FOUND',
+      'Method not found: ' + req.method + ' ' + url.pathname));
+    return;
+  }
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    var report;
+    var reason;
+    var record;
+    try {
+      report = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      that._respond(res, 400, createApiError(400, 'INVALID_ARGUMENT',
+        'Invalid JSON payload received: ' + e.message));
+      return;
+    }
+    reason = validateReport(report, that.limits);
+    if (reason !== null) {
+      that._respond(res, 400, createApiError(400, 'INVALID_ARGUMENT',
+        reason));
+      return;
+    }
+    record = {
+      projectId: decodeURIComponent(match[1]),
+      key: isString(url.query.key) ? url.query.key : null,
+      receivedAt: (new Date()).toISOString(),
+      report: report
+    };
+    that._reports.push(record);
+    that._respond(res, 200, {});
+    /**
+     * @event FakeReportServer#report
+     * @type {FakeReportServer~Record}
+     */
+    that.emit('report', record);
+  });
+};
+
+/**
+ * Starts listening on the local machine.
+ * @function start
+ * @param {Function} [callback] - called with an error if the server could not
+ *  listen or else with null and the endpoint of the server
+ * @returns {Undefined} - does not return anything
+ */
+FakeReportServer.prototype.start = function(callback) {
+  var that = this;
+  var cb = isFunction(callback) ? callback : noOp;
+  if (this._server !== null) {
+    cb(null, this.getEndpoint());
+    return;
+  }
+  this._server = http.createServer(this._handleRequest.bind(this));
+  this._server.on('connection', function(socket) {
+    that._sockets.push(socket);
+    socket.once('close', function() {
+      lodash.pull(that._sockets, socket);
+    });
+  });
+  this._server.once('error', function(err) {
+    that._server = null;
+    cb(err);
+  });
+  this._server.listen(this.port, HOST, function() {
+    that.port = that._server.address().port;
+    cb(null, that.getEndpoint());
+  });
+};
+
+/**
+ * Stops listening and destroys the open connections, so that stopping does
+ * not wait for clients keeping their connections alive. Reports which have
+ * been recorded are kept.
+ * @function stop
+ * @param {Function} [callback] - called once the server has stopped
+ * @returns {Undefined} - does not return anything
+ */
+FakeReportServer.prototype.stop = function(callback) {
+  var cb = isFunction(callback) ? callback : noOp;
+  var server = this._server;
+  if (server === null) {
+    setImmediate(cb);
+    return;
+  }
+  this._server = null;
+  server.close(function() {
+    cb();
+  });
+  this._sockets.slice().forEach(function(socket) {
+    socket.destroy();
+  });
+};
+
+/**
+ * Returns the base URL of the server, to be given as the `apiEndpoint`
+ * option of the library.
+ * @function getEndpoint
+ * @returns {String} - the endpoint of the server
+ */
+FakeReportServer.prototype.getEndpoint = function() {
+  return 'http://' + HOST + ':' + this.port + '/v1beta1/projects';
+};
+
+/**
+ * Returns the records of the valid reports received so far, oldest first.
+ * @function getReports
+ * @returns {Array<FakeReportServer~Record>} - a copy of the recorded reports
+ */
+FakeReportServer.prototype.getReports = function() {
+  return this._reports.slice();
+};
+
+/**
+ * Forgets every recorded report.
+ * @function clear
+ * @chainable
+ * @returns {this} - returns the instance for chaining
+ */
+FakeReportServer.prototype.clear = function() {
+  this._reports = [];
+  return this;
+};
+
+/**
+ * A record of a valid report received by the server.
+ * @typedef {Object} FakeReportServer~Record
+ * @property {String} projectId - the project id of the request path
+ * @property {String|Null} key - the API key of the request, if any
+ * @property {String} receivedAt - the ISO 8601 time the report was received
+ * @property {Object} report - the parsed report
+ */
+
+FakeReportServer.validateReport = validateReport;
+
+module.exports = FakeReportServer;
@@ -0,0 +1,73 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isObject = lodash.isObject;
+var isNumber = lodash.isNumber;
+var isString = lodash.isString;
+
+/* @const {Array<Number>} client error status codes which denote a transient
+ * failure: the request timed out or was throttled */
+var TRANSIENT_CLIENT_STATUS_CODES = [408, 429];
+
+/**
+ * Attempts to extract the status code of a request-response transaction. The
+ * status code of the response object is preferred but if the response is not
+ * available then the error code will be used if it is a number.
+ * @function getStatusCode
+ * @param {Error|Null} err - the error, if any, generated during the transaction
+ * @param {Object|Null|Undefined} [response] - the response, if any, received
+ *  during the transaction
+ * @returns {Number} - the status code or 0 if one could not be determined
+ */
+function getStatusCode(err, response) {
+  if (isObject(response) && isNumber(response.statusCode)) {
+    return response.statusCode;
+  } else if (isObject(err) && isNumber(err.code)) {
+    return err.code;
+  }
+  return 0;
+}
+
+/**
+ * Determines whether the outcome of a request-response transaction is a
+ * transient failure, one which may resolve itself: the status codes 408, 429
+ * and 500 and above, or a socket error, which Node gives a string `code`. This
+ * is the single definition of a transient failure: transient failures are
+ * retried by the RetryPolicy, counted by the CircuitBreaker and spooled by the
+ * ReportSpool. Errors produced before a request was made, for example
+ * configuration errors, do not have a code and are not transient.
+ * @function isTransient
+ * @param {Error|Null} err - the error, if any, generated during the transaction
+ * @param {Object|Null|Undefined} [response] - the response, if any, received
+ *  during the transaction
+ * @returns {Boolean} - true if the failure is transient, false otherwise
+ */
+function isTransient(err, response) {
+  var statusCode = getStatusCode(err, response);
+  if (statusCode !== 0) {
+    return statusCode >= 500 ||
+      TRANSIENT_CLIENT_STATUS_CODES.indexOf(statusCode) !== -1;
+  }
+  return isObject(err) && isString(err.code);
+}
+
+module.exports = {
+  getStatusCode: getStatusCode,
+  isTransient: isTransient
+};
@@ -0,0 +1,118 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
+var isString = lodash.isString;
+var isNumber = lodash.isNumber;
+
+/* @const {String} the prefix of the first line of every rendered report */
+var PREFIX = '[cloud-errors]';
+
+/**
+ * Returns the value of the given property of an object if it is a non-empty
+ * string or a non-zero number.
+ * @function getValue
+ * @private
+ * @param {Any} object - the object holding the property
+ * @param {String} key - the name of the property
+ * @returns {String|Number|Null} - the value or null if it is not set
+ */
+function getValue(object, key) {
+  var value = isObject(object) ? object[key] : null;
+  return (isString(value) && value.length > 0) ||
+    (isNumber(value) && value !== 0) ? value : null;
+}
+
+/**
+ * The ConsoleTransport constructor accepts the configuration instance and an
+ * optional writable stream which defaults to the stderr of the process.
+ * @class ConsoleTransport
+ * @classdesc The ConsoleTransport class renders reports in a human readable
+ *  form on stderr instead of sending them anywhere, so that developers see the
+ *  errors of their application while working locally. It is the transport of
+ *  the `console` report mode. As with the StdoutTransport, no request is made
+ *  so the transport needs neither credentials nor a project id and does not
+ *  wait for the configuration to be ready.
+ * @param {Configuration} config - the configuration instance
+ * @param {stream.Writable} [stream=process.stderr] - the stream to render the
+ *  reports to
+ * @property {Configuration} _config - the configuration instance
+ * @property {stream.Writable} _stream - the stream reports are rendered to
+ */
+function ConsoleTransport(config, stream) {
+  this._config = config;
+  this._stream = isObject(stream) && isFunction(stream.write) ? stream :
+    process.stderr;
+}
+
+/**
+ * Renders the given report: a first line with the time of the report and the
+ * service it was reported by, the message of the report with its stack trace
+ * and then a line for each of the user, the HTTP request and the report
+ * location which are set.
+ * @function formatReport
+ * @static
+ * @param {ErrorMessage} errorMessage - the report to render
+ * @returns {String} - the rendered report, ending with a newline
+ */
+ConsoleTransport.formatReport = function(errorMessage) {
+  var serviceContext = errorMessage.serviceContext;
+  var context = isObject(errorMessage.context) ? errorMessage.context : {};
+  var request = context.httpRequest;
+  var location = context.reportLocation;
+  var service = getValue(serviceContext, 'service');
+  var version = getValue(serviceContext, 'version');
+  var lines = [[PREFIX, getValue(errorMessage, 'eventTime'),
+    service && version ? service + '@' + version : service]
+    .filter(Boolean).join(' ')];
+  lines.push(getValue(errorMessage, 'message') || '(no message)');
+  if (getValue(context, 'user')) {
+    lines.push('  user: ' + context.user);
+  }
+  if (getValue(request, 'url')) {
+    lines.push('  request: ' + [getValue(request, 'method'), request.url,
+      getValue(request, 'responseStatusCode')].filter(Boolean).join(' '));
+  }
+  if (getValue(location, 'filePath')) {
+    lines.push('  location: ' + [getValue(location, 'functionName'),
+      location.filePath + (getValue(location, 'lineNumber') ?
+        ':' + location.lineNumber : '')].filter(Boolean).join(' '));
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Renders the given report to the stream and calls back once it has been
+ * written.
+ * @function sendError
+ * @param {ErrorMessage} errorMessage - the report to render
+ * @param {RequestHandler~requestCallback} [userCb] - called once the report
+ *  has been written, or has failed to be written, with no response or body
+ * @returns {Undefined} - does not return anything
+ */
+ConsoleTransport.prototype.sendError = function(errorMessage, userCb) {
+  var cb = isFunction(userCb) ? userCb : function() {};
+  this._stream.write(ConsoleTransport.formatReport(errorMessage),
+    function(err) {
+      cb(err || null, null, null);
+    });
+};
+
+module.exports = ConsoleTransport;
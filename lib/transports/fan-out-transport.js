@@ -0,0 +1,211 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isArray = lodash.isArray;
+var ReportSpool = require('../classes/report-spool.js');
+
+/**
+ * Determines whether the given report should be delivered to the destination.
+ * A filter which throws is treated as matching so that a faulty filter does
+ * not cause reports to be lost.
+ * @function matches
+ * @private
+ * @param {Object} destination - the destination
+ * @param {ErrorMessage} errorMessage - the report
+ * @returns {Boolean} - true if the report should be delivered
+ */
+function matches(destination, errorMessage) {
+  if (!isFunction(destination.filter)) {
+    return true;
+  }
+  try {
+    return !!destination.filter(errorMessage);
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Returns the project the destination delivers to, as given by its
+ * configuration once the configuration is ready.
+ * @function getProject
+ * @private
+ * @param {Object} destination - the destination
+ * @returns {String|Null} - the project id or number of the destination
+ */
+function getProject(destination) {
+  return destination.config.getProjectId() ||
+    destination.config.getProjectNumber();
+}
+
+/**
+ * The FanOutTransport constructor accepts the destinations reports are
+ * delivered to, each with the configuration identifying its project, the
+ * transport delivering to it and an optional filter.
+ * @class FanOutTransport
+ * @extends EventEmitter
+ * @classdesc The FanOutTransport class delivers every report to each of its
+ *  destinations whose filter accepts the report, for example to the project
+ *  owning a service and to a central project. The delivery to each
+ *  destination is tracked, and retried by the transport of the destination,
+ *  separately: the callback is given the outcome of every destination once
+ *  all of them have settled and fails if any of them failed. The error then
+ *  carries the `code` of the first failure worth spooling, along with the
+ *  `projects` of the destinations which failed that way, so that a spooled
+ *  report is only replayed to those destinations and is not duplicated at
+ *  the destinations it already reached. A report no destination accepts is
+ *  dropped. The `retry` events of the destination transports are forwarded
+ *  with the project of the destination appended.
+ * @param {Array<Object>} destinations - the destinations
+ * @param {Configuration} destinations[].config - the configuration, or
+ *  the view of the configuration, of the destination
+ * @param {Transport} destinations[].transport - the transport delivering to the
+ *  destination
+ * @param {Function|Null} [destinations[].filter] - given each report, returns
+ *  whether it should be delivered to the destination
+ * @property {Array<Object>} _destinations - the destinations
+ */
+function FanOutTransport(destinations) {
+  var that = this;
+  EventEmitter.call(this);
+  this._destinations = destinations;
+  destinations.forEach(function(destination) {
+    if (isFunction(destination.transport.on)) {
+      destination.transport.on('retry', function(report, err, attempt, delay) {
+        that.emit('retry', report, err, attempt, delay,
+          getProject(destination));
+      });
+    }
+  });
+}
+
+inherits(FanOutTransport, EventEmitter);
+
+/**
+ * Creates the error given to the callback when the delivery to some of the
+ * destinations failed. The error carries the `code` of the first failure which
+ * warrants spooling the report, or of the first failure if none does, and the
+ * `projects` of the destinations whose failure warrants spooling. If every
+ * destination dropped the report the error is marked as `dropped` too.
+ * @function createFanOutError
+ * @private
+ * @param {Array<FanOutTransport~Result>} results - the outcome of every
+ *  destination the report was delivered to
+ * @returns {Error} - the error, holding the outcomes in its `results` property
+ */
+function createFanOutError(results) {
+  var failures = results.filter(function(result) { return !!result.err; });
+  var spoolable = failures.filter(function(result) {
+    return ReportSpool.isSpoolable(result.err);
+  });
+  var err = new Error('Report failed to be delivered to ' + failures.length +
+    ' of ' + results.length + ' destinations: ' +
+    failures.map(function(result) {
+      return result.project + ' (' + result.err.message + ')';
+    }).join(', '));
+  err.results = results;
+  err.code = (spoolable[0] || failures[0]).err.code;
+  err.projects = spoolable.map(function(result) { return result.project; });
+  if (failures.length === results.length &&
+    lodash.every(failures, 'err.dropped')) {
+    err.dropped = true;
+  }
+  return err;
+}
+
+/**
+ * Delivers the given report to every destination whose filter accepts it and
+ * calls back once the delivery to each of them has settled. A report which no
+ * destination accepts, because of their filters or of the given projects, is
+ * called back with an error whose `dropped` property is set.
+ * @function sendError
+ * @param {ErrorMessage} errorMessage - the report to deliver
+ * @param {RequestHandler~requestCallback} [userCb] - called with null, no
+ *  response and the outcome of every destination if the report was delivered
+ *  to all of them, otherwise with an error holding those outcomes in its
+ *  `results` property and the response of the first failed destination
+ * @param {Array<String>} [projects] - restricts the delivery to the
+ *  destinations of these projects, given when replaying a spooled report which
+ *  already reached the other destinations
+ * @returns {Undefined} - does not return anything
+ */
+FanOutTransport.prototype.sendError = function(errorMessage, userCb,
+  projects) {
+  var cb = isFunction(userCb) ? userCb : function() {};
+  var targets = this._destinations.filter(function(destination) {
+    return (!isArray(projects) ||
+      projects.indexOf(getProject(destination)) !== -1) &&
+      matches(destination, errorMessage);
+  });
+  var results = [];
+  var remaining = targets.length;
+  var err;
+  if (remaining === 0) {
+    err = new Error('Report dropped: no destination accepted the report');
+    err.dropped = true;
+    setImmediate(cb, err, null, null);
+    return;
+  }
+  targets.forEach(function(destination, index) {
+    destination.transport.sendError(errorMessage,
+      function(err, response, body) {
+        var failed;
+        results[index] = {project: getProject(destination), err: err || null,
+          response: response || null, body: body || null};
+        remaining -= 1;
+        if (remaining > 0) {
+          return;
+        }
+        failed = lodash.find(results, 'err');
+        if (failed) {
+          cb(createFanOutError(results), failed.response, null);
+        } else {
+          cb(null, null, results);
+        }
+      });
+  });
+};
+
+/**
+ * Returns the state of the circuit breaker of the first destination, which is
+ * the project of the configuration, if its transport has one.
+ * @function getCircuitBreakerState
+ * @returns {Object|Null} - the state of the circuit breaker or null if the
+ *  transport of the first destination does not have an enabled circuit breaker
+ */
+FanOutTransport.prototype.getCircuitBreakerState = function() {
+  var transport = this._destinations[0].transport;
+  return isFunction(transport.getCircuitBreakerState) ?
+    transport.getCircuitBreakerState() : null;
+};
+
+/**
+ * The outcome of the delivery of a report to one destination.
+ * @typedef {Object} FanOutTransport~Result
+ * @property {String|Null} project - the project id or number of the
+ *  destination
+ * @property {Error|Null} err - the error of the delivery, null on success
+ * @property {Object|Null} response - the response of the destination, if any
+ * @property {Any} body - the body of the response, if any
+ */
+
+module.exports = FanOutTransport;
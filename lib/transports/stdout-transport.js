@@ -0,0 +1,97 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var lodash = require('lodash');
+var isFunction = lodash.isFunction;
+var isObject = lodash.isObject;
+
+/* @const {String} the type of the log entries recognized by Error Reporting */
+var REPORTED_ERROR_EVENT_TYPE = 'type.googleapis.com/' +
+  'google.devtools.clouderrorreporting.v1beta1.ReportedErrorEvent';
+
+/* @const {String} the severity given to every log entry */
+var SEVERITY = 'ERROR';
+
+/**
+ * The StdoutTransport constructor accepts the configuration instance and an
+ * optional writable stream which defaults to the stdout of the process.
+ * @class StdoutTransport
+ * @classdesc The StdoutTransport class delivers reports by writing each of them
+ *  as a single line of JSON to stdout instead of requesting against the Error
+ *  Reporting API. Every line is a structured log entry in the
+ *  `ReportedErrorEvent` format so that a logging agent collecting stdout, such
+ *  as the ones running on Google Kubernetes Engine and Cloud Run, forwards it
+ *  to Stackdriver Error Reporting. Since no request is made the transport
+ *  needs neither credentials nor a project id and does not wait for the
+ *  configuration to be ready.
+ * @param {Configuration} config - the configuration instance
+ * @param {stream.Writable} [stream=process.stdout] - the stream to write the
+ *  log entries to
+ * @property {Configuration} _config - the configuration instance
+ * @property {stream.Writable} _stream - the stream log entries are written to
+ */
+function StdoutTransport(config, stream) {
+  this._config = config;
+  this._stream = isObject(stream) && isFunction(stream.write) ? stream :
+    process.stdout;
+}
+
+/**
+ * Creates the structured log entry of the given report.
+ * @function formatEntry
+ * @static
+ * @param {ErrorMessage} errorMessage - the report to format
+ * @returns {Object} - the `ReportedErrorEvent` log entry
+ */
+StdoutTransport.formatEntry = function(errorMessage) {
+  return {
+    '@type': REPORTED_ERROR_EVENT_TYPE,
+    severity: SEVERITY,
+    eventTime: errorMessage.eventTime,
+    message: errorMessage.message,
+    serviceContext: errorMessage.serviceContext,
+    context: errorMessage.context
+  };
+};
+
+/**
+ * Writes the log entry of the given report to the stream as a single line and
+ * calls back once the line has been written.
+ * @function sendError
+ * @param {ErrorMessage} errorMessage - the report to write
+ * @param {RequestHandler~requestCallback} [userCb] - called once the line has
+ *  been written, or has failed to be written, with no response or body
+ * @returns {Undefined} - does not return anything
+ */
+StdoutTransport.prototype.sendError = function(errorMessage, userCb) {
+  var cb = isFunction(userCb) ? userCb : function() {};
+  var line;
+  try {
+    line = JSON.stringify(StdoutTransport.formatEntry(errorMessage));
+  } catch (e) {
+    cb(e, null, null);
+    return;
+  }
+  this._stream.write(line + '\n', function(err) {
+    cb(err || null, null, null);
+  });
+};
+
+StdoutTransport.REPORTED_ERROR_EVENT_TYPE = REPORTED_ERROR_EVENT_TYPE;
+
+module.exports = StdoutTransport;
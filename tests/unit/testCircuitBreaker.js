@@ -0,0 +1,130 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var CircuitBreaker = require('../../lib/google-apis/circuit-breaker.js');
+
+function createError(code) {
+  var err = new Error('failure');
+  err.code = code;
+  return err;
+}
+
+test(
+  'Given invalid options the CircuitBreaker should use the default options',
+  function (t) {
+    var breaker = new CircuitBreaker({failureThreshold: 0, resetTimeout: -1});
+    var defaults = CircuitBreaker.DEFAULT_CIRCUIT_BREAKER_OPTIONS;
+    t.deepEqual(breaker.failureThreshold, defaults.failureThreshold);
+    t.deepEqual(breaker.resetTimeout, defaults.resetTimeout);
+    t.deepEqual(breaker.getState().state, CircuitBreaker.STATES.closed);
+    t.end();
+  }
+);
+
+test(
+  'The CircuitBreaker should only count failures of the API',
+  function (t) {
+    t.assert(CircuitBreaker.isFailure(createError('ECONNREFUSED')));
+    t.assert(CircuitBreaker.isFailure(createError(403)));
+    t.assert(CircuitBreaker.isFailure(createError(429)));
+    t.assert(CircuitBreaker.isFailure(createError(503)));
+    t.assert(!CircuitBreaker.isFailure(createError(400)),
+      'A malformed report should not count as a failure');
+    t.assert(!CircuitBreaker.isFailure(null));
+    t.end();
+  }
+);
+
+test(
+  'The CircuitBreaker should open after consecutive failures',
+  function (t) {
+    var breaker = new CircuitBreaker({failureThreshold: 2,
+      resetTimeout: 60000});
+    t.assert(breaker.allowRequest());
+    breaker.record(createError(500));
+    breaker.record(null);
+    breaker.record(createError(500));
+    t.deepEqual(breaker.getState().state, 'closed',
+      'A success should reset the consecutive failures');
+    breaker.record(createError(500));
+    t.deepEqual(breaker.getState().state, 'open');
+    t.deepEqual(breaker.getState().consecutiveFailures, 2);
+    t.deepEqual(breaker.getState().lastError, 'failure');
+    t.assert(!breaker.allowRequest(), 'Requests should be rejected');
+    t.deepEqual(breaker.getState().rejectedCount, 1);
+    t.deepEqual(breaker.createRejectionError().code, 'ECIRCUITOPEN');
+    t.deepEqual(breaker.createRejectionError().dropped, true,
+      'A rejected report should be reported as dropped');
+    t.end();
+  }
+);
+
+test(
+  'The CircuitBreaker should let a single probe through after resetTimeout',
+  function (t) {
+    var breaker = new CircuitBreaker({failureThreshold: 1, resetTimeout: 10});
+    breaker.record(createError(403));
+    t.assert(!breaker.allowRequest());
+    setTimeout(function () {
+      t.assert(breaker.allowRequest(), 'The probe should be let through');
+      t.deepEqual(breaker.getState().state, 'halfOpen');
+      t.assert(!breaker.allowRequest(),
+        'Only one probe should be let through at once');
+      breaker.record(createError(403));
+      t.deepEqual(breaker.getState().state, 'open',
+        'A failed probe should open the breaker again');
+      setTimeout(function () {
+        t.assert(breaker.allowRequest());
+        breaker.record(null);
+        t.deepEqual(breaker.getState().state, 'closed',
+          'A successful probe should close the breaker');
+        t.deepEqual(breaker.getState().openedAt, null);
+        t.end();
+      }, 20);
+    }, 20);
+  }
+);
+
+test(
+  'The CircuitBreaker should ignore the outcome of requests made before it ' +
+  'opened',
+  function (t) {
+    var breaker = new CircuitBreaker({failureThreshold: 1, resetTimeout: 10});
+    var stale = breaker.generation;
+    t.assert(breaker.allowRequest());
+    breaker.record(createError(503), breaker.generation);
+    t.deepEqual(breaker.getState().state, 'open');
+    breaker.record(null, stale);
+    t.deepEqual(breaker.getState().state, 'open',
+      'A success in flight before the breaker opened should not close it');
+    setTimeout(function () {
+      var probe;
+      t.assert(breaker.allowRequest(), 'The probe should be let through');
+      probe = breaker.generation;
+      breaker.record(null, stale);
+      t.deepEqual(breaker.getState().state, 'halfOpen',
+        'Only the outcome of the probe should close the breaker');
+      t.assert(!breaker.allowRequest(),
+        'The probe should still be the only request let through');
+      breaker.record(null, probe);
+      t.deepEqual(breaker.getState().state, 'closed');
+      t.end();
+    }, 20);
+  }
+);
@@ -0,0 +1,86 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var ConsoleTransport = require('../../lib/transports/console-transport.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createStream(err) {
+  var stream = {chunks: []};
+  stream.write = function (chunk, cb) {
+    stream.chunks.push(chunk);
+    setImmediate(cb, err);
+  };
+  return stream;
+}
+
+test(
+  'The ConsoleTransport should render each report for developers',
+  function (t) {
+    var stream = createStream();
+    var transport = new ConsoleTransport({}, stream);
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo')
+      .setServiceContext('my-service', '1.0.0')
+      .setUser('user')
+      .setHttpMethod('GET').setUrl('/path').setResponseStatusCode(500)
+      .setFilePath('/app/index.js').setLineNumber(12).setFunctionName('foo');
+    transport.sendError(em, function (err, response, body) {
+      t.deepEqual(err, null, 'No error should be given on success');
+      t.deepEqual(response, null);
+      t.deepEqual(body, null);
+      t.deepEqual(stream.chunks, [[
+        '[cloud-errors] ' + em.eventTime + ' my-service@1.0.0',
+        'Error: test',
+        '    at foo',
+        '  user: user',
+        '  request: GET /path 500',
+        '  location: foo /app/index.js:12'
+      ].join('\n') + '\n']);
+      t.end();
+    });
+  }
+);
+
+test(
+  'The ConsoleTransport should only render the parts a report has',
+  function (t) {
+    var lines;
+    t.deepEqual(ConsoleTransport.formatReport({message: 'Error: replayed'}),
+      '[cloud-errors]\nError: replayed\n',
+      'Reports missing fields, such as replayed ones, should be rendered');
+    lines = ConsoleTransport.formatReport(new ErrorMessage()
+      .setServiceContext('my-service')).split('\n');
+    t.assert(/ my-service$/.test(lines[0]),
+      'A service without a version should be rendered alone');
+    t.deepEqual(lines.slice(1), ['(no message)', '']);
+    t.end();
+  }
+);
+
+test(
+  'The ConsoleTransport should give the error of the stream',
+  function (t) {
+    var failure = new Error('EPIPE');
+    var transport = new ConsoleTransport({}, createStream(failure));
+    transport.sendError(new ErrorMessage(), function (err) {
+      t.strictEqual(err, failure);
+      t.end();
+    });
+  }
+);
@@ -0,0 +1,107 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var environmentVariables = require('../../lib/environment-variables.js');
+var readEnvironmentVariables = environmentVariables.readEnvironmentVariables;
+
+var MAPPING = [
+  {variable: 'NAME', option: 'name', type: environmentVariables.STRING},
+  {variable: 'COUNT', option: 'nested.count',
+    type: environmentVariables.INTEGER},
+  {variable: 'DELAY', option: 'nested.delay',
+    type: environmentVariables.NUMBER},
+  {variable: 'NESTED', option: 'nested', type: environmentVariables.BOOLEAN},
+  {variable: 'MODE', option: 'mode',
+    type: environmentVariables.oneOf(['fast', 'slow'])},
+  {variable: 'LIST', option: 'list', type: environmentVariables.JSON},
+  {variable: 'LOUD', option: 'volume', type: environmentVariables.BOOLEAN,
+    transform: function(loud) { return loud ? 11 : 1; }}
+];
+
+test('Unset and empty variables should be skipped', function(t) {
+  t.deepEqual(readEnvironmentVariables(MAPPING, {}), {});
+  t.deepEqual(readEnvironmentVariables(MAPPING, {NAME: '  ', COUNT: ''}), {});
+  t.end();
+});
+
+test('Variables should be typed and set at the path of their option',
+  function(t) {
+    t.deepEqual(readEnvironmentVariables(MAPPING, {
+      NAME: ' checkout ',
+      COUNT: '3',
+      DELAY: '2.5',
+      MODE: 'slow',
+      LIST: '[{"projectId": "other"}]',
+      LOUD: 'yes'
+    }), {
+      name: 'checkout',
+      nested: {count: 3, delay: 2.5},
+      mode: 'slow',
+      list: [{projectId: 'other'}],
+      volume: 11
+    });
+    t.end();
+  }
+);
+
+test('Booleans should accept the usual spellings', function(t) {
+  ['true', 'TRUE', '1', 'yes', 'on'].forEach(function(raw) {
+    t.deepEqual(readEnvironmentVariables(MAPPING, {NESTED: raw}),
+      {nested: true}, raw + ' should be true');
+  });
+  ['false', 'False', '0', 'no', 'off'].forEach(function(raw) {
+    t.deepEqual(readEnvironmentVariables(MAPPING, {NESTED: raw}),
+      {nested: false}, raw + ' should be false');
+  });
+  t.end();
+});
+
+test('A boolean option should interact with its sub-options', function(t) {
+  t.deepEqual(readEnvironmentVariables(MAPPING, {COUNT: '3', NESTED: 'true'}),
+    {nested: {count: 3}}, 'True should keep the given sub-options');
+  t.deepEqual(readEnvironmentVariables(MAPPING, {COUNT: '3', NESTED: 'off'}),
+    {nested: false}, 'False should disable the option');
+  t.end();
+});
+
+test('Invalid values should be skipped and reported', function(t) {
+  var invalid = [];
+  var config = readEnvironmentVariables(MAPPING, {
+    COUNT: '-1',
+    DELAY: 'soon',
+    NESTED: 'maybe',
+    MODE: 'medium',
+    LIST: '"text"',
+    NAME: 'kept'
+  }, function(variable, value, expected) {
+    invalid.push([variable, value, expected]);
+  });
+  t.deepEqual(config, {name: 'kept'});
+  t.deepEqual(invalid, [
+    ['COUNT', '-1', 'a non-negative integer'],
+    ['DELAY', 'soon', 'a non-negative number'],
+    ['NESTED', 'maybe', 'a boolean (true, false, 1, 0, yes, no, on or off)'],
+    ['MODE', 'medium', 'one of fast, slow'],
+    ['LIST', '"text"', 'a JSON object or array']
+  ]);
+  t.doesNotThrow(function() {
+    readEnvironmentVariables(MAPPING, {LIST: '{'});
+  }, 'Malformed JSON should not throw without a callback');
+  t.end();
+});
@@ -1404,3 +1404,27 @@ test(
     );
   }
 );
+
+test(
+  'Setting the source references of an ErrorMessage',
+  function (t) {
+    var em = new ErrorMessage();
+    t.deepEqual(em.context.sourceReferences, undefined,
+      'The source references should not be present by default');
+    t.ok(em.setSourceReferences([
+      {repository: 'https://example.com/app.git', revisionId: 'abc',
+        extra: true},
+      {revisionId: 'def'},
+      {repository: 'https://example.com/other.git'},
+      null
+    ]) instanceof ErrorMessage);
+    t.deepEqual(em.context.sourceReferences, [
+      {repository: 'https://example.com/app.git', revisionId: 'abc'},
+      {revisionId: 'def'}
+    ], 'Only references with a revision id should be kept');
+    em.setSourceReferences(null);
+    t.deepEqual(em.context.hasOwnProperty('sourceReferences'), false,
+      'Invalid input should remove the source references');
+    t.end();
+  }
+);
@@ -21,6 +21,7 @@ var expressInterface = require('../../lib/interfaces/express.js');
 var ErrorMessage = require('../../lib/classes/error-message.js');
 var Fuzzer = require('../../utils/fuzzer.js');
 var Configuration = require('../../lib/configuration.js');
+var Logger = require('../../lib/logger.js');
 
 test(
   "Given invalid, variable input the express interface handler setup should not throw errors"
@@ -98,7 +99,7 @@ test(
         service: "a_test_service"
         , version: "a_version"
       }
-    }).init().addErrorListener(function (){});
+    }, new Logger('silent')).init().addErrorListener(function (){});
     var testError = new Error("This is a test");
 
     var validBoundHandler = expressInterface(stubbedClient, stubbedConfig);
@@ -0,0 +1,252 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var net = require('net');
+var lodash = require('lodash');
+var request = require('request');
+var FakeReportServer = require('../../lib/testing/fake-report-server.js');
+var RequestHandler = require('../../lib/google-apis/auth-client.js');
+var Logger = require('../../lib/logger.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createStubbedConfig(apiEndpoint) {
+  return {
+    getLogger: function () { return new Logger('silent'); },
+    getCircuitBreakerOptions: function () { return null; },
+    getTimeoutOptions: function () { return {socket: 1000, total: 1000}; },
+    getApiEndpoint: function () { return apiEndpoint; },
+    isApiEndpointLocal: function () { return true; },
+    getCredentials: function () { return null; },
+    getProxyOptions: function () { return null; },
+    isReady: function () { return true; },
+    hasErrored: function () { return false; },
+    getShouldReportErrorsToAPI: function () { return true; },
+    getProjectId: function () { return 'test-project'; },
+    getProjectNumber: function () { return null; },
+    getKey: function () { return 'test-key'; },
+    getRetryOptions: function () { return {maxRetries: 0}; }
+  };
+}
+
+function createReport() {
+  return {
+    eventTime: (new Date()).toISOString(),
+    serviceContext: {service: 'my-service', version: '1.0.0'},
+    message: 'Error: test\n    at foo (/app/index.js:1:1)',
+    context: {reportLocation: {filePath: '', lineNumber: 0, functionName: ''}}
+  };
+}
+
+function withServer(options, fn) {
+  return function (t) {
+    var server = new FakeReportServer(options);
+    server.start(function (err, endpoint) {
+      t.deepEqual(err, null, 'The server should start');
+      fn(t, server, endpoint, function () {
+        server.stop(t.end.bind(t));
+      });
+    });
+  };
+}
+
+function post(endpoint, projectId, body, cb) {
+  request({
+    method: 'POST',
+    url: endpoint + '/' + projectId + '/events:report',
+    json: body
+  }, cb);
+}
+
+test(
+  'The FakeReportServer should give an endpoint on the local machine',
+  withServer({}, function (t, server, endpoint, done) {
+    t.notEqual(server.port, 0, 'An unused port should be picked');
+    t.deepEqual(endpoint,
+      'http://127.0.0.1:' + server.port + '/v1beta1/projects');
+    t.deepEqual(server.getEndpoint(), endpoint);
+    done();
+  })
+);
+
+test(
+  'The FakeReportServer should record and emit valid reports',
+  withServer({}, function (t, server, endpoint, done) {
+    var report = createReport();
+    var emitted = [];
+    server.on('report', function (record) { emitted.push(record); });
+    post(endpoint, 'my-project', report, function (err, response, body) {
+      var records = server.getReports();
+      t.deepEqual(err, null);
+      t.deepEqual(response.statusCode, 200);
+      t.deepEqual(body, {}, 'The API responds with an empty object');
+      t.deepEqual(records.length, 1);
+      t.deepEqual(records[0].projectId, 'my-project');
+      t.deepEqual(records[0].key, null);
+      t.deepEqual(records[0].report, report);
+      t.assert(!isNaN(Date.parse(records[0].receivedAt)));
+      t.deepEqual(emitted, records, 'The record should be emitted');
+      records.pop();
+      t.deepEqual(server.getReports().length, 1,
+        'A copy of the records should be given');
+      t.deepEqual(server.clear().getReports(), [],
+        'The records should be cleared');
+      done();
+    });
+  })
+);
+
+test(
+  'The FakeReportServer should accept a report location in place of a stack',
+  withServer({}, function (t, server, endpoint, done) {
+    var report = createReport();
+    report.message = 'Something went wrong';
+    report.context.reportLocation = {filePath: '/app/index.js',
+      lineNumber: 1, functionName: 'foo'};
+    post(endpoint, 'my-project', report, function (err, response) {
+      t.deepEqual(response.statusCode, 200);
+      t.deepEqual(server.getReports().length, 1);
+      done();
+    });
+  })
+);
+
+test(
+  'The FakeReportServer should reject invalid reports like the API',
+  withServer({limits: {'context.user': 8}}, function (t, server, endpoint,
+    done) {
+    var cases = [
+      {report: 'not a report', reason: /ReportedErrorEvent object/},
+      {patch: {message: ''}, reason: /message is required/},
+      {patch: {message: 42}, reason: /message is required/},
+      {patch: {serviceContext: {}}, reason: /service is required/},
+      {patch: {eventTime: 'yesterday'}, reason: /eventTime/},
+      {patch: {message: 'No stack here'}, reason: /must contain a location/},
+      {patch: {context: {user: 'a user name over the limit'}},
+        reason: /context\.user exceeds the limit of 8 bytes/}
+    ];
+    var remaining = cases.length;
+    cases.forEach(function (c) {
+      var report = c.report || lodash.assign(createReport(), c.patch);
+      post(endpoint, 'my-project', report, function (err, response, body) {
+        t.deepEqual(response.statusCode, 400);
+        t.deepEqual(body.error.code, 400);
+        t.deepEqual(body.error.status, 'INVALID_ARGUMENT');
+        t.assert(c.reason.test(body.error.message),
+          'Should reject with: ' + body.error.message);
+        remaining -= 1;
+        if (remaining === 0) {
+          t.deepEqual(server.getReports(), [],
+            'Invalid reports should not be recorded');
+          done();
+        }
+      });
+    });
+  })
+);
+
+test(
+  'The FakeReportServer should count message limits in UTF-8 bytes',
+  function (t) {
+    var report = createReport();
+    var limits = {message: report.message.length + 1};
+    t.deepEqual(FakeReportServer.validateReport(report, limits), null);
+    report.message += 'é';
+    t.assert(/message exceeds the limit/.test(
+      FakeReportServer.validateReport(report, limits)));
+    t.end();
+  }
+);
+
+test(
+  'The FakeReportServer should reject malformed JSON and unknown methods',
+  withServer({}, function (t, server, endpoint, done) {
+    request({
+      method: 'POST',
+      url: endpoint + '/my-project/events:report',
+      body: '{not json'
+    }, function (err, response, body) {
+      t.deepEqual(response.statusCode, 400);
+      t.deepEqual(JSON.parse(body).error.status, 'INVALID_ARGUMENT');
+      request({
+        method: 'GET',
+        url: endpoint + '/my-project/events',
+        json: true
+      }, function (err, response, body) {
+        t.deepEqual(response.statusCode, 404);
+        t.deepEqual(body.error.status, 'NOT_FOUND');
+        done();
+      });
+    });
+  })
+);
+
+test(
+  'The RequestHandler should deliver reports to the FakeReportServer',
+  withServer({}, function (t, server, endpoint, done) {
+    var client = new RequestHandler(createStubbedConfig(endpoint));
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo')
+      .setServiceContext('my-service', '1.0.0');
+    client.sendError(em, function (err, response) {
+      var records = server.getReports();
+      t.deepEqual(err, null, 'The report should be accepted');
+      t.deepEqual(response.statusCode, 200);
+      t.deepEqual(records.length, 1);
+      t.deepEqual(records[0].projectId, 'test-project');
+      t.deepEqual(records[0].key, 'test-key');
+      t.deepEqual(records[0].report.message, em.message);
+      t.deepEqual(records[0].report.serviceContext, em.serviceContext);
+      done();
+    });
+  })
+);
+
+test(
+  'The FakeReportServer should stop without waiting for open connections',
+  function (t) {
+    var server = new FakeReportServer();
+    server.start(function (err) {
+      var socket;
+      t.deepEqual(err, null, 'The server should start');
+      // a request whose body never arrives keeps the connection busy
+      socket = net.connect(server.port, '127.0.0.1', function () {
+        socket.write('POST /v1beta1/projects/test-project/events:report ' +
+          'HTTP/1.1\r\nHost: 127.0.0.1\r\nContent-Length: 100\r\n\r\n{');
+        setTimeout(function () {
+          var timer = setTimeout(function () {
+            t.fail('The server should not wait for the open connection');
+            socket.destroy();
+          }, 2000);
+          server.stop(function () {
+            clearTimeout(timer);
+            t.end();
+          });
+        }, 50);
+      });
+      socket.on('error', function () {});
+    });
+  }
+);
+
+test(
+  'The FakeReportServer should stop when it was never started',
+  function (t) {
+    new FakeReportServer().stop(t.end.bind(t));
+  }
+);
@@ -0,0 +1,237 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var EventEmitter = require('events').EventEmitter;
+var FanOutTransport = require('../../lib/transports/fan-out-transport.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createConfig(projectId, projectNumber) {
+  return {
+    getProjectId: function () { return projectId || null; },
+    getProjectNumber: function () { return projectNumber || null; }
+  };
+}
+
+function createTransport(outcome) {
+  var transport = new EventEmitter();
+  transport.reports = [];
+  transport.sendError = function (errorMessage, cb) {
+    transport.reports.push(errorMessage);
+    setImmediate(cb, outcome.err || null, outcome.response || null,
+      outcome.body || null);
+  };
+  return transport;
+}
+
+test(
+  'The FanOutTransport should deliver each report to every destination',
+  function (t) {
+    var owner = createTransport({response: {statusCode: 200}, body: {}});
+    var sre = createTransport({response: {statusCode: 200}, body: {}});
+    var transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: owner},
+      {config: createConfig('sre-project'), transport: sre}
+    ]);
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo');
+    transport.sendError(em, function (err, response, results) {
+      t.deepEqual(err, null, 'No error should be given if every one succeeded');
+      t.deepEqual(response, null);
+      t.deepEqual(results.map(function (r) { return r.project; }),
+        ['owner-project', 'sre-project'],
+        'The outcome of every destination should be given');
+      t.deepEqual(results[1].response, {statusCode: 200});
+      t.strictEqual(owner.reports[0], em);
+      t.strictEqual(sre.reports[0], em);
+      t.end();
+    });
+  }
+);
+
+test(
+  'The FanOutTransport should only deliver to destinations matching a report',
+  function (t) {
+    var owner = createTransport({});
+    var sre = createTransport({});
+    var transport = new FanOutTransport([
+      {config: createConfig(null, '1234'), transport: owner},
+      {config: createConfig('sre-project'), transport: sre,
+        filter: function (em) { return /Fatal/.test(em.message); }},
+      {config: createConfig('broken-filter'), transport: createTransport({}),
+        filter: function () { throw new Error('oops'); }}
+    ]);
+    transport.sendError(new ErrorMessage().setMessage('Error: minor'),
+      function (err, response, results) {
+        t.deepEqual(err, null);
+        t.deepEqual(results.map(function (r) { return r.project; }),
+          ['1234', 'broken-filter'],
+          'A filter throwing should be treated as matching');
+        t.deepEqual(sre.reports.length, 0);
+        transport.sendError(new ErrorMessage().setMessage('Fatal: major'),
+          function (err, response, results) {
+            t.deepEqual(results.length, 3);
+            t.deepEqual(sre.reports.length, 1);
+            t.end();
+          });
+      });
+  }
+);
+
+test(
+  'The FanOutTransport should drop a report no destination accepts',
+  function (t) {
+    var sre = createTransport({});
+    var transport = new FanOutTransport([
+      {config: createConfig('sre-project'), transport: sre,
+        filter: function () { return false; }}
+    ]);
+    var sent = false;
+    transport.sendError(new ErrorMessage(), function (err, response, body) {
+      t.assert(sent, 'The callback should be called asynchronously');
+      t.assert(err instanceof Error);
+      t.deepEqual(err.dropped, true,
+        'A report filtered everywhere should be reported as dropped');
+      t.deepEqual(err.code, undefined, 'The report should not be spooled');
+      t.deepEqual([response, body], [null, null]);
+      t.deepEqual(sre.reports.length, 0);
+      t.end();
+    });
+    sent = true;
+  }
+);
+
+test(
+  'Given projects the FanOutTransport should only deliver to their ' +
+  'destinations',
+  function (t) {
+    var owner = createTransport({});
+    var sre = createTransport({});
+    var transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: owner},
+      {config: createConfig('sre-project'), transport: sre}
+    ]);
+    transport.sendError(new ErrorMessage(), function (err, response, results) {
+      t.deepEqual(err, null);
+      t.deepEqual(results.map(function (r) { return r.project; }),
+        ['sre-project']);
+      t.deepEqual([owner.reports.length, sre.reports.length], [0, 1],
+        'The report should not be delivered again to other destinations');
+      t.end();
+    }, ['sre-project']);
+  }
+);
+
+test(
+  'The FanOutTransport should mark a report dropped by every destination',
+  function (t) {
+    var open = new Error('circuit open');
+    var transport;
+    open.code = 'ECIRCUITOPEN';
+    open.dropped = true;
+    transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: createTransport({
+        err: open})},
+      {config: createConfig('sre-project'), transport: createTransport({
+        err: open})}
+    ]);
+    transport.sendError(new ErrorMessage(), function (err) {
+      t.deepEqual(err.dropped, true);
+      t.deepEqual(err.code, 'ECIRCUITOPEN');
+      t.deepEqual(err.projects, ['owner-project', 'sre-project']);
+      t.end();
+    });
+  }
+);
+
+test(
+  'The FanOutTransport should track the failure of each destination',
+  function (t) {
+    var refused = new Error('connect ECONNREFUSED');
+    var transport;
+    refused.code = 'ECONNREFUSED';
+    transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: createTransport({})},
+      {config: createConfig('sre-project'), transport: createTransport({
+        err: refused})}
+    ]);
+    transport.sendError(new ErrorMessage(), function (err, response, body) {
+      t.assert(err instanceof Error);
+      t.assert(/1 of 2 destinations: sre-project/.test(err.message));
+      t.deepEqual(err.code, 'ECONNREFUSED',
+        'A partial transient failure should be eligible for spooling');
+      t.deepEqual(err.projects, ['sre-project'],
+        'Only the failed destination should be named for spooling');
+      t.assert(!err.dropped);
+      t.deepEqual(err.results[0].err, null);
+      t.strictEqual(err.results[1].err, refused);
+      t.deepEqual(body, null);
+      t.end();
+    });
+  }
+);
+
+test(
+  'The FanOutTransport should carry the code of the first failure if all fail',
+  function (t) {
+    var unavailable = new Error('unavailable');
+    var forbidden = new Error('forbidden');
+    var transport;
+    unavailable.code = 503;
+    forbidden.code = 403;
+    transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: createTransport({
+        err: unavailable, response: {statusCode: 503}})},
+      {config: createConfig('sre-project'), transport: createTransport({
+        err: forbidden, response: {statusCode: 403}})}
+    ]);
+    transport.sendError(new ErrorMessage(), function (err, response) {
+      t.assert(/2 of 2 destinations/.test(err.message));
+      t.deepEqual(err.code, 503);
+      t.deepEqual(err.projects, ['owner-project'],
+        'A failure which is not transient should not be named for spooling');
+      t.deepEqual(response, {statusCode: 503},
+        'The response of the first failed destination should be given');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The FanOutTransport should forward retries with the destination project',
+  function (t) {
+    var sre = createTransport({});
+    var transport = new FanOutTransport([
+      {config: createConfig('owner-project'), transport: {
+        sendError: function () {},
+        getCircuitBreakerState: function () { return {state: 'closed'}; }}},
+      {config: createConfig('sre-project'), transport: sre}
+    ]);
+    var em = new ErrorMessage();
+    var err = new Error('retry me');
+    transport.on('retry', function (report, e, attempt, delay, project) {
+      t.strictEqual(report, em);
+      t.strictEqual(e, err);
+      t.deepEqual([attempt, delay, project], [1, 100, 'sre-project']);
+      t.deepEqual(transport.getCircuitBreakerState(), {state: 'closed'},
+        'The circuit breaker of the first destination should be given');
+      t.end();
+    });
+    sre.emit('retry', em, err, 1, 100);
+  }
+);
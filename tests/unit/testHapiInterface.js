@@ -25,6 +25,7 @@ var ErrorMessage = require('../../lib/classes/error-message.js');
 var Fuzzer = require('../../utils/fuzzer.js');
 var EventEmitter = require('events').EventEmitter;
 var Configuration = require('../../lib/configuration.js');
+var Logger = require('../../lib/logger.js');
 
 test(
   "Given invalid, variable input the hapi interface handler setup should not throw errors"
@@ -148,8 +149,8 @@ test(
         t.pass("The sendError function should be emitted when the onPreResponse event is emitted");
       };
 
-      var testConfig = new Configuration({serviceContext: { service: "1", version: "2"  }})
-        .init().addErrorListener(function (){});
+      var testConfig = new Configuration({serviceContext: { service: "1", version: "2"  }},
+        new Logger('silent')).init().addErrorListener(function (){});
       plugin = hapiInterface(fakeClient, testConfig);
 
       plugin.register(fakeServer, null, function ( errMsg ) {
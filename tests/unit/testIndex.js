@@ -0,0 +1,49 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var errors = require('../../index.js');
+
+test(
+  'The listener methods of the interface should return the interface',
+  function (t) {
+    var errorHandler = errors({
+      projectId: 'my-project',
+      serviceContext: {service: 'my-service'},
+      reportMode: 'disabled',
+      onUncaughtException: 'ignore',
+      logLevel: 0
+    });
+    var reported = [];
+    var onReport = function (errorMessage) { reported.push(errorMessage); };
+    var onDropped = function () {};
+    t.strictEqual(errorHandler.on('report', onReport), errorHandler,
+      '`on` should return the interface');
+    t.strictEqual(errorHandler.once('dropped', onDropped), errorHandler,
+      '`once` should return the interface');
+    errorHandler.report('first');
+    t.strictEqual(errorHandler.removeListener('report', onReport),
+      errorHandler, '`removeListener` should return the interface');
+    errorHandler.report('second');
+    t.deepEqual(reported.length, 1,
+      'The listeners should be added to and removed from the client');
+    errorHandler.close().then(function () {
+      t.end();
+    });
+  }
+);
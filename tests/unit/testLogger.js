@@ -0,0 +1,129 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var Logger = require('../../lib/logger.js');
+
+function createRecordingTarget(methods) {
+  var target = {calls: []};
+  methods.forEach(function(method) {
+    target[method] = function() {
+      target.calls.push([method].concat(Array.prototype.slice.call(arguments)));
+    };
+  });
+  return target;
+}
+
+test('The Logger should default to the warn level', function(t) {
+  var target = createRecordingTarget(['error', 'warn', 'info', 'debug']);
+  var logger = new Logger(undefined, target);
+  t.deepEqual(logger.getLevel(), 'warn');
+  logger.error('a', 1);
+  logger.warn('b');
+  logger.info('c');
+  logger.debug('d');
+  t.deepEqual(target.calls, [['error', 'a', 1], ['warn', 'b']],
+    'Only messages up to the warn level should be forwarded');
+  t.end();
+});
+
+test('The Logger should accept the names and numbers of the levels',
+  function(t) {
+    var logger = new Logger('DEBUG');
+    t.deepEqual(logger.getLevel(), 'debug');
+    t.deepEqual(logger.setLevel(1), logger, 'setLevel should be chainable');
+    t.deepEqual(logger.getLevel(), 'error');
+    logger.setLevel(10);
+    t.deepEqual(logger.getLevel(), 'debug',
+      'Numbers above the highest level should select the highest level');
+    logger.setLevel('verbose').setLevel(-1).setLevel(1.5).setLevel(null);
+    t.deepEqual(logger.getLevel(), 'debug',
+      'Values which are not levels should be ignored');
+    logger.setLevel('silent');
+    t.deepEqual(logger.isEnabled('error'), false);
+    logger.setLevel('info');
+    t.deepEqual(logger.isEnabled('info'), true);
+    t.deepEqual(logger.isEnabled('debug'), false);
+    t.deepEqual(logger.isEnabled('silent'), false,
+      'The silent level should never be enabled');
+    t.end();
+  }
+);
+
+test('The Logger should fall back to the log function of its target',
+  function(t) {
+    var target = createRecordingTarget(['warn', 'log']);
+    var logger = new Logger('debug', target);
+    logger.warn('a');
+    logger.info('b');
+    logger.debug('c');
+    t.deepEqual(target.calls, [['warn', 'a'], ['log', 'b'], ['log', 'c']]);
+    target = createRecordingTarget(['error']);
+    logger.setTarget(target);
+    logger.warn('d');
+    logger.error('e');
+    t.deepEqual(target.calls, [['error', 'e']],
+      'Messages should be discarded if the target cannot log them');
+    t.end();
+  }
+);
+
+test('The Logger should call the functions of its target on the target',
+  function(t) {
+    var target = {
+      prefix: 'winston',
+      warn: function(message) {
+        t.deepEqual(this, target);
+        t.deepEqual(message, 'a');
+      }
+    };
+    new Logger('warn', target).warn('a');
+    t.end();
+  }
+);
+
+test('The Logger should only accept targets which can be logged to',
+  function(t) {
+    var target = createRecordingTarget(['debug']);
+    var logger = new Logger('debug', target);
+    t.deepEqual(Logger.isLogger(console), true);
+    t.deepEqual(Logger.isLogger(target), true);
+    t.deepEqual(Logger.isLogger(createRecordingTarget(['log'])), true);
+    t.deepEqual(Logger.isLogger({warn: 'nope'}), false);
+    t.deepEqual(Logger.isLogger(null), false);
+    t.deepEqual(Logger.isLogger('console'), false);
+    t.deepEqual(logger.setTarget({}), logger, 'setTarget should be chainable');
+    t.notDeepEqual(logger._target, target,
+      'An invalid target should select the default logger');
+    t.end();
+  }
+);
+
+test('Logger.fromConfiguration should return the logger of a configuration',
+  function(t) {
+    var logger = new Logger('info');
+    t.deepEqual(Logger.fromConfiguration({
+      getLogger: function() { return logger; }
+    }), logger);
+    t.deepEqual(Logger.fromConfiguration({}).getLevel(), 'silent',
+      'A silent logger should be returned for partial configurations');
+    t.deepEqual(Logger.fromConfiguration(null).getLevel(), 'silent');
+    t.end();
+  }
+);
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var ProxyResolver = require('../../lib/google-apis/proxy-resolver.js');
+
+test(
+  'Given no proxy the ProxyResolver should not resolve a proxy',
+  function (t) {
+    var resolver = new ProxyResolver(null);
+    t.deepEqual(resolver.resolve('https://example.com/'), null);
+    t.deepEqual(resolver.resolve('http://example.com/'), null);
+    t.end();
+  }
+);
+
+test(
+  'The ProxyResolver should resolve the proxy of the protocol of the URL',
+  function (t) {
+    var resolver = new ProxyResolver({
+      httpsProxy: 'http://secure-proxy:3128',
+      httpProxy: 'http://plain-proxy:3128'
+    });
+    t.deepEqual(resolver.resolve('https://example.com/'),
+      'http://secure-proxy:3128');
+    t.deepEqual(resolver.resolve('http://example.com/'),
+      'http://plain-proxy:3128');
+    t.end();
+  }
+);
+
+test(
+  'The ProxyResolver should exempt the hostnames of the noProxy list',
+  function (t) {
+    var resolver = new ProxyResolver({
+      httpsProxy: 'http://proxy:3128',
+      httpProxy: 'http://proxy:3128',
+      noProxy: 'localhost, .internal,*.corp.example.com,10.0.0.1:8443'
+    });
+    t.deepEqual(resolver.resolve('http://localhost:8080/'), null,
+      'An exact hostname should be exempted');
+    t.deepEqual(resolver.resolve('https://errors.internal/'), null,
+      'A subdomain of a . entry should be exempted');
+    t.deepEqual(resolver.resolve('https://internal/'), null,
+      'The domain of a . entry should be exempted');
+    t.deepEqual(resolver.resolve('https://a.corp.example.com/'), null,
+      'A subdomain of a *. entry should be exempted');
+    t.deepEqual(resolver.resolve('https://10.0.0.1:8443/'), null,
+      'An entry with a port should exempt that port');
+    t.deepEqual(resolver.resolve('https://10.0.0.1/'), 'http://proxy:3128',
+      'An entry with a port should not exempt other ports');
+    t.deepEqual(resolver.resolve('https://notinternal/'), 'http://proxy:3128',
+      'A hostname merely ending like an entry should not be exempted');
+    t.deepEqual(new ProxyResolver({httpsProxy: 'http://proxy:3128',
+      noProxy: '*'}).resolve('https://example.com/'), null,
+      'A * entry should exempt every hostname');
+    t.end();
+  }
+);
+
+test(
+  'The ProxyResolver should always exempt the local machine',
+  function (t) {
+    var resolver = new ProxyResolver({
+      httpsProxy: 'http://proxy:3128',
+      httpProxy: 'http://proxy:3128'
+    });
+    t.deepEqual(resolver.resolve('http://localhost:8080/v1'), null,
+      'localhost should be exempted without a noProxy list');
+    t.deepEqual(resolver.resolve('http://127.0.0.1:9000/v1'), null);
+    t.deepEqual(resolver.resolve('https://[::1]:8443/v1'), null);
+    t.deepEqual(resolver.resolve('http://localhost.example.com/'),
+      'http://proxy:3128', 'Only the local machine should be exempted');
+    t.end();
+  }
+);
@@ -0,0 +1,139 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var RateLimiter = require('../../lib/classes/rate-limiter.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createReport(message) {
+  return new ErrorMessage().setMessage(message);
+}
+
+test(
+  'Given invalid options the RateLimiter should use the default options',
+  function (t) {
+    var limiter = new RateLimiter({maxPerGroup: 0, maxGlobal: 'a',
+      window: Infinity});
+    var defaults = RateLimiter.DEFAULT_RATE_LIMIT_OPTIONS;
+    t.deepEqual(limiter.maxPerGroup, defaults.maxPerGroup);
+    t.deepEqual(limiter.maxGlobal, defaults.maxGlobal);
+    t.deepEqual(limiter.window, defaults.window);
+    limiter.stop();
+    t.end();
+  }
+);
+
+test(
+  'The RateLimiter should group reports by message and top stack frame',
+  function (t) {
+    var first = 'Error: boom\n    at a (a.js:1:1)\n    at b (b.js:2:2)';
+    var sameTop = 'Error: boom\n    at a (a.js:1:1)\n    at c (c.js:3:3)';
+    var otherTop = 'Error: boom\n    at d (d.js:4:4)\n    at b (b.js:2:2)';
+    t.deepEqual(RateLimiter.getSignature(createReport(first)),
+      RateLimiter.getSignature(createReport(sameTop)),
+      'Reports sharing the top stack frame should share a signature');
+    t.notEqual(RateLimiter.getSignature(createReport(first)),
+      RateLimiter.getSignature(createReport(otherTop)),
+      'Reports with a different top stack frame should not share a signature');
+    t.notEqual(RateLimiter.getSignature(createReport('Error: a')),
+      RateLimiter.getSignature(createReport('Error: b')),
+      'Reports with a different message should not share a signature');
+    t.end();
+  }
+);
+
+test(
+  'The RateLimiter should enforce the per group and global limits',
+  function (t) {
+    var limiter = new RateLimiter({maxPerGroup: 2, maxGlobal: 3,
+      window: 60000});
+    t.assert(limiter.take(createReport('a')));
+    t.assert(limiter.take(createReport('a')));
+    t.assert(!limiter.take(createReport('a')),
+      'The third report of a group should be suppressed');
+    t.assert(limiter.take(createReport('b')),
+      'A report of another group should be allowed');
+    t.assert(!limiter.take(createReport('c')),
+      'A report beyond the global limit should be suppressed');
+    limiter.stop();
+    t.end();
+  }
+);
+
+test(
+  'The RateLimiter should refill its buckets over the window',
+  function (t) {
+    var limiter = new RateLimiter({maxPerGroup: 1, window: 20});
+    t.assert(limiter.take(createReport('a')));
+    t.assert(!limiter.take(createReport('a')));
+    setTimeout(function () {
+      t.assert(limiter.take(createReport('a')),
+        'A report should be allowed once the bucket has refilled');
+      limiter.stop();
+      t.end();
+    }, 30);
+  }
+);
+
+test(
+  'The RateLimiter should send a summary of the suppressed reports at the end ' +
+  'of each window',
+  function (t) {
+    var message = 'Error: boom\n    at a (a.js:1:1)';
+    var summaries = [];
+    var limiter = new RateLimiter({maxPerGroup: 1, window: 20},
+      function (summary) {
+        summaries.push(summary);
+      });
+    var report = createReport(message).setServiceContext('service', '1');
+    limiter.take(report);
+    limiter.take(report);
+    limiter.take(report);
+    setTimeout(function () {
+      limiter.stop();
+      t.deepEqual(summaries.length, 1, 'A single summary should be sent');
+      t.assert(summaries[0] instanceof ErrorMessage,
+        'The summary should be an ErrorMessage');
+      t.deepEqual(summaries[0].message, 'Error: boom [2 occurrences ' +
+        'suppressed by rate limiting in the last 20ms]\n    at a (a.js:1:1)',
+        'The summary should state how many reports were suppressed');
+      t.deepEqual(summaries[0].serviceContext, report.serviceContext,
+        'The summary should keep the context of the suppressed report');
+      t.deepEqual(report.message, message,
+        'The suppressed report should not be modified');
+      t.deepEqual(Object.keys(limiter._groups).length, 0,
+        'Groups with a full bucket and nothing to summarize are forgotten');
+      t.end();
+    }, 30);
+  }
+);
+
+test(
+  'Stopping the RateLimiter should send the summary of the current window',
+  function (t) {
+    var summaries = [];
+    var limiter = new RateLimiter({maxPerGroup: 1}, function (summary) {
+      summaries.push(summary);
+    });
+    limiter.take(createReport('a'));
+    limiter.take(createReport('a'));
+    limiter.stop();
+    t.deepEqual(summaries.length, 1, 'The summary should be sent on stop');
+    t.end();
+  }
+);
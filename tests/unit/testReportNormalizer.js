@@ -0,0 +1,142 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var reportNormalizer = require('../../lib/report-normalizer.js');
+var reportLimits = require('../../lib/report-limits.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+var normalizeReport = reportNormalizer.normalizeReport;
+var truncateUtf8 = reportNormalizer.truncateUtf8;
+
+function repeat(value, times) {
+  return new Array(times + 1).join(value);
+}
+
+function createFrames(count) {
+  var frames = [];
+  var i;
+  for (i = 0; i < count; i += 1) {
+    frames.push('    at frame' + i + ' (/app/index.js:' + i + ':1)');
+  }
+  return frames;
+}
+
+test(
+  'truncateUtf8 should never split a multi-byte character',
+  function (t) {
+    t.deepEqual(truncateUtf8('abc', 3), 'abc');
+    t.deepEqual(truncateUtf8('abcdef', 3), 'abc');
+    // 'é' takes 2 bytes, '€' 3 bytes and '😀' 4 bytes
+    t.deepEqual(truncateUtf8('aé', 2), 'a');
+    t.deepEqual(truncateUtf8('aé', 3), 'aé');
+    t.deepEqual(truncateUtf8('a€', 3), 'a');
+    t.deepEqual(truncateUtf8('a😀', 4), 'a');
+    t.deepEqual(truncateUtf8('a😀', 5), 'a😀');
+    t.deepEqual(truncateUtf8('😀', 0), '');
+    t.end();
+  }
+);
+
+test(
+  'normalizeReport should leave reports within the limits untouched',
+  function (t) {
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo\n    at bar')
+      .setServiceContext('my-service', '1.0.0').setUser('user');
+    var before = JSON.stringify(em);
+    t.deepEqual(normalizeReport(em), []);
+    t.deepEqual(JSON.stringify(em), before);
+    t.end();
+  }
+);
+
+test(
+  'normalizeReport should cut text fields to their limits and mark them',
+  function (t) {
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo')
+      .setServiceContext(repeat('s', 2000), '1.0.0')
+      .setUser(repeat('é', 1000));
+    t.deepEqual(normalizeReport(em), ['serviceContext.service', 'context.user']);
+    t.assert(Buffer.byteLength(em.serviceContext.service) <= 1024);
+    t.assert(/\.\.\. \[\d+ bytes truncated\]$/.test(em.serviceContext.service),
+      'The cut should be marked');
+    t.assert(Buffer.byteLength(em.context.user) <= 1024);
+    t.assert(/^é+\.\.\. \[\d+ bytes truncated\]$/.test(em.context.user),
+      'The cut should fall on a character boundary');
+    t.deepEqual(em.serviceContext.version, '1.0.0');
+    t.end();
+  }
+);
+
+test(
+  'normalizeReport should keep the head and tail of long stack traces',
+  function (t) {
+    var frames = createFrames(1000);
+    var em = new ErrorMessage().setMessage(['Error: deep'].concat(frames)
+      .join('\n'));
+    var lines;
+    t.deepEqual(normalizeReport(em), ['message']);
+    lines = em.message.split('\n');
+    t.deepEqual(lines[0], 'Error: deep');
+    t.deepEqual(lines.length, 1 + reportLimits.STACK_LIMITS.maxFrames + 1);
+    t.deepEqual(lines[1], frames[0], 'The head should be kept');
+    t.deepEqual(lines[128], frames[127]);
+    t.deepEqual(lines[129], '    ... 744 frames omitted ...',
+      'The omitted frames should be marked');
+    t.deepEqual(lines[130], frames[872]);
+    t.deepEqual(lines[lines.length - 1], frames[999], 'The tail should be kept');
+    t.end();
+  }
+);
+
+test(
+  'normalizeReport should cut long frames and oversized message headers',
+  function (t) {
+    var longFrame = '    at ' + repeat('€', 1000) + ' (/app/index.js:1:1)';
+    var dump = 'Error: dump ' + repeat('x', 2 * 1024 * 1024);
+    var em = new ErrorMessage().setMessage([dump, longFrame, '    at foo']
+      .join('\n'));
+    var lines;
+    t.deepEqual(normalizeReport(em), ['message']);
+    t.assert(Buffer.byteLength(em.message) <= reportLimits.FIELD_LIMITS.message,
+      'The message should fit its limit');
+    lines = em.message.split('\n');
+    t.deepEqual(lines.length, 3, 'The stack trace should be kept');
+    t.assert(/^Error: dump x+\.\.\. \[\d+ bytes truncated\]$/.test(lines[0]),
+      'The header should be cut to the room left by the stack trace');
+    t.assert(Buffer.byteLength(lines[1]) <=
+      reportLimits.STACK_LIMITS.maxFrameBytes);
+    t.assert(/^    at €+\.\.\. \[\d+ bytes truncated\]$/.test(lines[1]),
+      'A long frame should be cut on a character boundary');
+    t.deepEqual(lines[2], '    at foo');
+    t.end();
+  }
+);
+
+test(
+  'normalizeReport should cut messages without a stack trace',
+  function (t) {
+    var em = new ErrorMessage().setMessage(repeat('😀', 300000));
+    t.deepEqual(normalizeReport(em), ['message']);
+    t.assert(Buffer.byteLength(em.message) <= reportLimits.FIELD_LIMITS.message);
+    t.assert(/\.\.\. \[\d+ bytes truncated\]$/.test(em.message));
+    t.deepEqual(em.message.replace(/😀/g, '').indexOf('...'), 0,
+      'Only whole characters should be kept');
+    t.end();
+  }
+);
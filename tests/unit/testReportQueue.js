@@ -0,0 +1,142 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var ReportQueue = require('../../lib/classes/report-queue.js');
+
+test(
+  'Given invalid options the ReportQueue should use the default options',
+  function (t) {
+    var q = new ReportQueue({maxBatchSize: 0, flushInterval: -1,
+      maxQueueSize: 'a', dropPolicy: 'dropEverything'});
+    var defaults = ReportQueue.DEFAULT_QUEUE_OPTIONS;
+    t.deepEqual(q.maxBatchSize, defaults.maxBatchSize);
+    t.deepEqual(q.flushInterval, defaults.flushInterval);
+    t.deepEqual(q.maxQueueSize, defaults.maxQueueSize);
+    t.deepEqual(q.dropPolicy, defaults.dropPolicy);
+    t.deepEqual(q.size(), 0);
+    t.end();
+  }
+);
+
+test(
+  'The ReportQueue should flush once it holds maxBatchSize reports',
+  function (t) {
+    var q = new ReportQueue({maxBatchSize: 2, flushInterval: 60000},
+      function (batch, done) {
+        t.deepEqual(batch.map(function (item) { return item.errorMessage; }),
+          ['a', 'b'], 'The batch should hold the queued reports in order');
+        batch.forEach(function (item) { item.callback(null); });
+        done();
+        t.deepEqual(q.size(), 0, 'The queue should be empty after the flush');
+        t.end();
+      }
+    );
+    q.add('a');
+    t.deepEqual(q.size(), 1, 'The report should be queued');
+    q.add('b');
+  }
+);
+
+test(
+  'The ReportQueue should flush after flushInterval milliseconds',
+  function (t) {
+    var start = Date.now();
+    var q = new ReportQueue({maxBatchSize: 10, flushInterval: 20},
+      function (batch, done) {
+        t.assert(Date.now() - start >= 15,
+          'The flush should wait for the flush interval');
+        t.deepEqual(batch.length, 1);
+        done();
+        t.end();
+      }
+    );
+    q.add('a');
+  }
+);
+
+test(
+  'The ReportQueue should only flush one batch at a time',
+  function (t) {
+    var inFlight = 0;
+    var batches = 0;
+    var q = new ReportQueue({maxBatchSize: 2, flushInterval: 60000},
+      function (batch, done) {
+        inFlight += 1;
+        batches += 1;
+        t.deepEqual(inFlight, 1, 'Only one batch should be in flight');
+        setImmediate(function () {
+          inFlight -= 1;
+          done();
+          if (inFlight === 0) {
+            t.deepEqual(batches, 3, 'The reports should be sent in 3 batches');
+            t.deepEqual(q.size(), 0, 'Every report should have been flushed');
+            t.end();
+          }
+        });
+      }
+    );
+    ['a', 'b', 'c', 'd', 'e', 'f'].forEach(function (em) { q.add(em); });
+  }
+);
+
+test(
+  'Given a full ReportQueue the drop policy should decide what to drop',
+  function (t) {
+    var dropped = [];
+    var held = function (batch, done) { /* never completes */ };
+    var onDrop = function (name) {
+      return function (err) {
+        t.assert(err instanceof Error, 'A dropped report should get an error');
+        dropped.push(name);
+      };
+    };
+    var q = new ReportQueue({maxBatchSize: 10, maxQueueSize: 2,
+      flushInterval: 60000, dropPolicy: 'dropOldest'}, held);
+    q.add('a', onDrop('a')).add('b', onDrop('b')).add('c', onDrop('c'));
+    t.deepEqual(dropped, ['a'], 'dropOldest should drop the oldest report');
+    t.deepEqual(q.size(), 2);
+    q.flush();
+    q = new ReportQueue({maxBatchSize: 10, maxQueueSize: 2,
+      flushInterval: 60000, dropPolicy: 'dropNewest'}, held);
+    q.add('a', onDrop('a')).add('b', onDrop('b')).add('c', onDrop('c'));
+    t.deepEqual(dropped, ['a', 'c'], 'dropNewest should drop the new report');
+    t.deepEqual(q.getDroppedCount(), 1);
+    q.flush();
+    t.end();
+  }
+);
+
+test(
+  'Draining the ReportQueue should flush every batch without waiting',
+  function (t) {
+    var batches = [];
+    var q = new ReportQueue({maxBatchSize: 2, flushInterval: 60000},
+      function (batch, done) {
+        batches.push(batch.length);
+        setImmediate(done);
+      }
+    );
+    q.add('a').add('b').add('c').drain();
+    setTimeout(function () {
+      t.deepEqual(batches, [2, 1], 'Every queued report should be flushed');
+      t.deepEqual(q.size(), 0);
+      t.end();
+    }, 20);
+  }
+);
@@ -0,0 +1,202 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var ReportSpool = require('../../lib/classes/report-spool.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createDirectory(name) {
+  var directory = path.join(os.tmpdir(),
+    ['cloud-errors', name, process.pid, Date.now()].join('-'));
+  fs.mkdirSync(directory);
+  return directory;
+}
+
+function removeDirectory(directory) {
+  fs.readdirSync(directory).forEach(function (name) {
+    fs.unlinkSync(path.join(directory, name));
+  });
+  fs.rmdirSync(directory);
+}
+
+function errorWithCode(code) {
+  var e = new Error('test error');
+  e.code = code;
+  return e;
+}
+
+test(
+  'Given invalid options the ReportSpool should use the default options',
+  function (t) {
+    var s = new ReportSpool({directory: 'spool', maxSize: -1, maxAge: 'a'});
+    t.deepEqual(s.directory, path.resolve('spool'));
+    t.deepEqual(s.maxSize, ReportSpool.DEFAULT_SPOOL_OPTIONS.maxSize);
+    t.deepEqual(s.maxAge, ReportSpool.DEFAULT_SPOOL_OPTIONS.maxAge);
+    t.end();
+  }
+);
+
+test(
+  'The ReportSpool should only spool transient delivery errors',
+  function (t) {
+    t.assert(ReportSpool.isSpoolable(errorWithCode('ECONNRESET')));
+    t.assert(ReportSpool.isSpoolable(errorWithCode(503)));
+    t.assert(ReportSpool.isSpoolable(errorWithCode(429)));
+    t.assert(ReportSpool.isSpoolable(errorWithCode(408)));
+    t.assert(!ReportSpool.isSpoolable(errorWithCode(400)),
+      'Client errors should not be spooled');
+    t.assert(!ReportSpool.isSpoolable(new Error('Not configured')),
+      'Errors raised before a request was made should not be spooled');
+    t.assert(!ReportSpool.isSpoolable(null));
+    t.end();
+  }
+);
+
+test(
+  'The ReportSpool should write reports as JSON lines and replay them',
+  function (t) {
+    var directory = createDirectory('spool-replay');
+    var writer = new ReportSpool({directory: directory});
+    var reader;
+    var replayed = [];
+    writer.write(new ErrorMessage().setMessage('first'), function (err) {
+      t.error(err, 'The report should be written');
+      writer.writeSync([new ErrorMessage().setMessage('second')]);
+      t.deepEqual(fs.readdirSync(directory).length, 1,
+        'Reports of one spool should go to a single file');
+      t.deepEqual(writer.replay(function () {}), 0,
+        'A spool should not replay its own file');
+      reader = new ReportSpool({directory: directory});
+      t.deepEqual(reader.replay(function (report) {
+        replayed.push(report.message);
+      }), 2, 'Both reports should be replayed');
+      t.deepEqual(replayed, ['first', 'second']);
+      t.deepEqual(fs.readdirSync(directory), [],
+        'The replayed file should be removed');
+      removeDirectory(directory);
+      t.end();
+    });
+  }
+);
+
+
+test(
+  'The ReportSpool should replay reports with the projects they were ' +
+  'spooled for',
+  function (t) {
+    var directory = createDirectory('spool-projects');
+    var writer = new ReportSpool({directory: directory});
+    var replayed = [];
+    writer.write(new ErrorMessage().setMessage('first'),
+      {projects: ['sre-project']}, function (err) {
+        t.error(err, 'The report should be written');
+        writer.writeSync([new ErrorMessage().setMessage('second')]);
+        // a spool created within the same millisecond would share the file
+        setTimeout(function () {
+          new ReportSpool({directory: directory}).replay(
+            function (report, details) {
+              replayed.push([report.message, details.projects]);
+            });
+          t.deepEqual(replayed,
+            [['first', ['sre-project']], ['second', null]],
+            'Only the restricted report should be given its projects');
+          removeDirectory(directory);
+          t.end();
+        }, 5);
+      });
+  }
+);
+test(
+  'The ReportSpool should keep the time a report was first spooled at when ' +
+  'it is spooled again',
+  function (t) {
+    var directory = createDirectory('spool-respool');
+    var spooledAt = new Date(Date.now() - 60000).toISOString();
+    var first = new ReportSpool({directory: directory});
+    fs.writeFileSync(path.join(directory, 'reports-1-1.jsonl'),
+      JSON.stringify({spooledAt: spooledAt, report: {message: 'aged'}}) +
+      '\n');
+    first.replay(function (report, details) {
+      t.deepEqual(details.spooledAt, spooledAt,
+        'The replayed report should be given the time it was spooled at');
+      first.writeSync([report], details);
+    });
+    t.assert(fs.readFileSync(first._fileName, 'utf8').indexOf(spooledAt) !== -1,
+      'The report should be spooled again with its original time');
+    // a spool created within the same millisecond would share the file
+    setTimeout(function () {
+      new ReportSpool({directory: directory, maxAge: 30000}).replay(
+        function () { t.fail('The aged report should be discarded'); });
+      t.deepEqual(fs.readdirSync(directory), [],
+        'The aged report should expire despite being spooled again');
+      removeDirectory(directory);
+      t.end();
+    }, 5);
+  }
+);
+
+test(
+  'The ReportSpool should enforce its size and age caps',
+  function (t) {
+    var directory = createDirectory('spool-caps');
+    var line = JSON.stringify({spooledAt: new Date(0).toISOString(),
+      report: {message: 'too old'}});
+    var spool = new ReportSpool({directory: directory, maxSize: 300});
+    var replayed = [];
+    fs.writeFileSync(path.join(directory, 'reports-old.jsonl'),
+      line + '\nnot json\n');
+    spool.write(new ErrorMessage().setMessage('dropped'), function (err) {
+      t.assert(err instanceof Error,
+        'A report which does not fit in the spool should be dropped');
+      t.deepEqual(spool.getDroppedCount(), 1);
+      new ReportSpool({directory: directory}).replay(function (report) {
+        replayed.push(report);
+      });
+      t.deepEqual(replayed, [],
+        'Reports older than maxAge and invalid lines should be discarded');
+      removeDirectory(directory);
+      t.end();
+    });
+  }
+);
+
+test(
+  'The ReportSpool should reclaim files claimed by a process which exited',
+  function (t) {
+    var directory = createDirectory('spool-orphan');
+    var line = JSON.stringify({spooledAt: new Date().toISOString(),
+      report: {message: 'orphaned'}});
+    var replayed = [];
+    // pid 2^22 + 1 exceeds the maximum pid on Linux so it is never running
+    fs.writeFileSync(
+      path.join(directory, 'reports-1-1.jsonl.replaying-4194305'), line);
+    fs.writeFileSync(
+      path.join(directory, 'reports-2-2.jsonl.replaying-' + process.pid),
+      line);
+    new ReportSpool({directory: directory}).replay(function (report) {
+      replayed.push(report.message);
+    });
+    t.deepEqual(replayed, ['orphaned'],
+      'Only the file of the exited process should be replayed');
+    removeDirectory(directory);
+    t.end();
+  }
+);
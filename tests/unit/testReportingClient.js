@@ -0,0 +1,627 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var lodash = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var ReportingClient = require('../../lib/reporting-client.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+function createStubbedConfig(batchingOptions, spoolOptions, rateLimitOptions,
+  reportMode) {
+  return {
+    getReportMode: function () { return reportMode || 'auto'; },
+    getBatchingOptions: function () { return batchingOptions; },
+    getSpoolOptions: function () { return spoolOptions || null; },
+    getRateLimitOptions: function () { return rateLimitOptions || null; },
+    getFilter: function () { return null; },
+    getShouldReportErrorsToAPI: function () {
+      return !reportMode || reportMode === 'api';
+    },
+    addReadyListener: function (cb) { setImmediate(cb); }
+  };
+}
+
+test(
+  'Given batching is disabled the ReportingClient should send immediately',
+  function (t) {
+    var em = new ErrorMessage();
+    var apiClient = {
+      sendError: function (given, cb) {
+        t.deepEqual(given, em, 'The report should be given to the API client');
+        cb(null, {statusCode: 200}, {});
+      }
+    };
+    var client = new ReportingClient(createStubbedConfig(null), apiClient);
+    t.deepEqual(client._queue, null, 'No queue should be created');
+    client.sendError(em, function (err, response) {
+      t.deepEqual(err, null);
+      t.deepEqual(response.statusCode, 200);
+      t.end();
+    });
+  }
+);
+
+test(
+  'Given batching is enabled the ReportingClient should send queued batches',
+  function (t) {
+    var sent = 0;
+    var called = 0;
+    var apiClient = {
+      sendError: function (given, cb) {
+        sent += 1;
+        setImmediate(cb.bind(null, null, {statusCode: 200}, {}));
+      }
+    };
+    var client = new ReportingClient(
+      createStubbedConfig({maxBatchSize: 3, flushInterval: 60000}), apiClient);
+    var onSent = function (err) {
+      t.deepEqual(err, null, 'Each callback should get its outcome');
+      called += 1;
+      if (called === 3) {
+        t.deepEqual(sent, 3, 'Every queued report should be sent');
+        t.end();
+      }
+    };
+    client.sendError(new ErrorMessage(), onSent);
+    client.sendError(new ErrorMessage(), onSent);
+    t.deepEqual(sent, 0, 'Reports should be held until the batch is full');
+    client.sendError(new ErrorMessage(), onSent);
+  }
+);
+
+test(
+  'Given a spool the ReportingClient should spool transient failures and ' +
+  'replay spooled reports once the configuration is ready',
+  function (t) {
+    var directory = path.join(os.tmpdir(),
+      'cloud-errors-client-spool-' + process.pid + '-' + Date.now());
+    var unavailable = new Error('Service unavailable');
+    var badRequest = new Error('Bad request');
+    var replayed = [];
+    var client;
+    unavailable.code = 503;
+    badRequest.code = 400;
+    client = new ReportingClient(createStubbedConfig(null,
+      {directory: directory}), {
+        sendError: function (em, cb) {
+          replayed.push(em.message);
+          setImmediate(cb.bind(null, em.message === 'bad' ? badRequest :
+            unavailable, null, null));
+        }
+      });
+    client.sendError(new ErrorMessage().setMessage('bad'), function () {
+      client.sendError(new ErrorMessage().setMessage('transient'),
+        function (err) {
+          t.deepEqual(err, unavailable, 'The error should be given back');
+          t.deepEqual(Object.keys(client._pending).length, 0,
+            'No report should be pending once settled');
+          setTimeout(function () {
+            var spooled = fs.readdirSync(directory);
+            t.deepEqual(spooled.length, 1, 'One spool file should be written');
+            t.assert(fs.readFileSync(path.join(directory, spooled[0]), 'utf8')
+              .indexOf('transient') !== -1,
+              'Only the transient failure should be spooled');
+            replayed = [];
+            client = new ReportingClient(createStubbedConfig(null,
+              {directory: directory}), {
+                sendError: function (em, cb) {
+                  replayed.push(em.message);
+                  cb(null, {statusCode: 200}, {});
+                }
+              });
+            setTimeout(function () {
+              t.deepEqual(replayed, ['transient'],
+                'The spooled report should be replayed by the next client');
+              t.deepEqual(fs.readdirSync(directory), [],
+                'The replayed spool file should be removed');
+              fs.rmdirSync(directory);
+              t.end();
+            }, 20);
+          }, 20);
+        });
+    });
+  }
+);
+
+test(
+  'Given a spool the ReportingClient should only replay a report to the ' +
+  'destinations it failed to reach',
+  function (t) {
+    var directory = path.join(os.tmpdir(),
+      'cloud-errors-client-projects-' + process.pid + '-' + Date.now());
+    var partial = new Error('Report failed to be delivered to 1 of 2');
+    var given = [];
+    var client;
+    partial.code = 'ECONNREFUSED';
+    partial.projects = ['sre-project'];
+    client = new ReportingClient(createStubbedConfig(null,
+      {directory: directory}), {
+        sendError: function (em, cb) {
+          setImmediate(cb.bind(null, partial, null, null));
+        }
+      });
+    client.sendError(new ErrorMessage().setMessage('partial'), function () {
+      setTimeout(function () {
+        client = new ReportingClient(createStubbedConfig(
+          {maxBatchSize: 10, flushInterval: 60000}, {directory: directory}), {
+            sendError: function (em, cb, projects) {
+              given.push([em.message, projects]);
+              cb(null, {statusCode: 200}, {});
+            }
+          });
+        setTimeout(function () {
+          t.deepEqual(given, [['partial', ['sre-project']]],
+            'The report should be replayed to the failed destination only, ' +
+            'without waiting for the queue');
+          fs.rmdirSync(directory);
+          t.end();
+        }, 20);
+      }, 20);
+    });
+  }
+);
+
+test(
+  'Given a spool the ReportingClient should spool a replayed report which ' +
+  'fails again with the time it was first spooled at',
+  function (t) {
+    var directory = path.join(os.tmpdir(),
+      'cloud-errors-client-respool-' + process.pid + '-' + Date.now());
+    var spooledAt = new Date(Date.now() - 60000).toISOString();
+    var unavailable = new Error('Service unavailable');
+    unavailable.code = 503;
+    fs.mkdirSync(directory);
+    fs.writeFileSync(path.join(directory, 'reports-1-1.jsonl'),
+      JSON.stringify({spooledAt: spooledAt, report: {message: 'aged'}}) +
+      '\n');
+    new ReportingClient(createStubbedConfig(null, {directory: directory}), {
+      sendError: function (em, cb) {
+        setImmediate(cb.bind(null, unavailable, null, null));
+      }
+    });
+    setTimeout(function () {
+      var spooled = fs.readdirSync(directory);
+      t.deepEqual(spooled.length, 1, 'The report should be spooled again');
+      t.deepEqual(JSON.parse(fs.readFileSync(path.join(directory, spooled[0]),
+        'utf8')).spooledAt, spooledAt,
+        'The report should keep the time it was first spooled at');
+      new ReportingClient(createStubbedConfig(null,
+        {directory: directory, maxAge: 30000}), {
+          sendError: function () {
+            t.fail('The aged report should not be replayed');
+          }
+        });
+      setTimeout(function () {
+        t.deepEqual(fs.readdirSync(directory), [],
+          'The aged report should be discarded');
+        fs.rmdirSync(directory);
+        t.end();
+      }, 20);
+    }, 20);
+  }
+);
+
+test(
+  'The ReportingClient should only replay the spool when delivering to the ' +
+  'API and should stop listening for the exit of the process once closed',
+  function (t) {
+    var directory = path.join(os.tmpdir(),
+      'cloud-errors-client-no-replay-' + process.pid + '-' + Date.now());
+    var exitListeners = process.listeners('exit').length;
+    var client;
+    fs.mkdirSync(directory);
+    fs.writeFileSync(path.join(directory, 'reports-1-1.jsonl'),
+      JSON.stringify({spooledAt: (new Date()).toISOString(),
+        report: {message: 'spooled'}}) + '\n');
+    client = new ReportingClient(createStubbedConfig(null,
+      {directory: directory}, null, 'console'), {
+        sendError: function () { t.fail('Nothing should be replayed'); }
+      });
+    t.deepEqual(process.listeners('exit').length, exitListeners + 1);
+    setTimeout(function () {
+      t.deepEqual(fs.readdirSync(directory), ['reports-1-1.jsonl'],
+        'The spool file should be left for a process delivering to the API');
+      client.close().then(function () {
+        t.deepEqual(process.listeners('exit').length, exitListeners,
+          'The exit listener should be removed');
+        fs.unlinkSync(path.join(directory, 'reports-1-1.jsonl'));
+        fs.rmdirSync(directory);
+        t.end();
+      });
+    }, 20);
+  }
+);
+
+test(
+  'Flushing the ReportingClient should wait for every pending report',
+  function (t) {
+    var callbacks = [];
+    var settled = 0;
+    var client = new ReportingClient(
+      createStubbedConfig({maxBatchSize: 10, flushInterval: 60000}), {
+        sendError: function (em, cb) { callbacks.push(cb); }
+      });
+    client.sendError(new ErrorMessage(), function () { settled += 1; });
+    client.sendError(new ErrorMessage(), function () { settled += 1; });
+    client.flush(1000, function (err) {
+      t.deepEqual(err, null, 'The flush should complete without error');
+      t.deepEqual(settled, 2, 'Every pending report should have settled');
+      client.flush(function (err) {
+        t.deepEqual(err, null,
+          'Flushing without pending reports should call back immediately');
+        t.end();
+      });
+    });
+    t.deepEqual(callbacks.length, 2,
+      'Flushing should drain the queue without waiting for the interval');
+    callbacks.forEach(function (cb) {
+      setImmediate(cb.bind(null, null, {statusCode: 200}, {}));
+    });
+  }
+);
+
+test(
+  'Flushing the ReportingClient should give up once the timeout expires',
+  function (t) {
+    var client = new ReportingClient(createStubbedConfig(null), {
+      sendError: function () { /* never completes */ }
+    });
+    client.sendError(new ErrorMessage());
+    client.flush(10, function (err) {
+      t.assert(err instanceof Error, 'The flush should time out');
+      t.deepEqual(err.pendingCount, 1,
+        'The error should hold the number of pending reports');
+      t.deepEqual(client._flushListeners, [],
+        'The expired flush should stop listening');
+      t.end();
+    });
+  }
+);
+
+test(
+  'Given a spool the ReportingClient should spool the reports still in ' +
+  'flight when closing and ignore their later outcome',
+  function (t) {
+    var directory = path.join(os.tmpdir(),
+      'cloud-errors-client-close-' + process.pid + '-' + Date.now());
+    var unavailable = new Error('Service unavailable');
+    var callbacks = [];
+    var client;
+    unavailable.code = 503;
+    client = new ReportingClient(createStubbedConfig(null,
+      {directory: directory}), {
+        sendError: function (em, cb) { callbacks.push(cb); }
+      });
+    client.on('sent', function () { t.fail('No event should be emitted'); });
+    client.on('failed', function () { t.fail('No event should be emitted'); });
+    client.sendError(new ErrorMessage().setMessage('succeeds'));
+    client.sendError(new ErrorMessage().setMessage('fails'), function (err) {
+      t.deepEqual(err, unavailable,
+        'The callback should still be given the outcome');
+    });
+    client.close(10).then(function (pendingCount) {
+      var spooled = fs.readdirSync(directory);
+      t.deepEqual(pendingCount, 2, 'Both reports should still be pending');
+      t.deepEqual(spooled.length, 1, 'The pending reports should be spooled');
+      callbacks[0](null, {statusCode: 200}, {});
+      callbacks[1](unavailable, null, null);
+      setTimeout(function () {
+        var lines = fs.readFileSync(path.join(directory, spooled[0]), 'utf8')
+          .split('\n').filter(Boolean);
+        t.deepEqual(lines.length, 2,
+          'The failed report should not be spooled a second time');
+        t.deepEqual(client._pendingCount, 0, 'No report should be pending');
+        fs.unlinkSync(path.join(directory, spooled[0]));
+        fs.rmdirSync(directory);
+        t.end();
+      }, 20);
+    });
+  }
+);
+
+test(
+  'Closing the ReportingClient should resolve and reject further reports',
+  function (t) {
+    var client = new ReportingClient(createStubbedConfig(null), {
+      sendError: function (em, cb) {
+        setImmediate(cb.bind(null, null, {statusCode: 200}, {}));
+      }
+    });
+    client.sendError(new ErrorMessage());
+    client.close(1000).then(function (pendingCount) {
+      t.deepEqual(pendingCount, 0, 'Every pending report should be sent');
+      client.sendError(new ErrorMessage(), function (err) {
+        t.assert(err instanceof Error,
+          'Reports given after close should be rejected');
+        t.end();
+      });
+    });
+  }
+);
+
+test(
+  'Given rate limiting is enabled the ReportingClient should suppress reports ' +
+  'and send their summary on close',
+  function (t) {
+    var sent = [];
+    var apiClient = {
+      sendError: function (given, cb) {
+        sent.push(given);
+        setImmediate(cb, null, {statusCode: 200}, {});
+      }
+    };
+    var client = new ReportingClient(createStubbedConfig(null, null,
+      {maxPerGroup: 1}), apiClient);
+    client.sendError(new ErrorMessage().setMessage('Error: a'));
+    client.sendError(new ErrorMessage().setMessage('Error: a'),
+      function (err) {
+        t.assert(err instanceof Error, 'The suppressed report should error');
+        t.deepEqual(err.rateLimited, true,
+          'The error should denote rate limiting');
+      });
+    client.close().then(function (pendingCount) {
+      t.deepEqual(pendingCount, 0);
+      t.deepEqual(sent.length, 2,
+        'The allowed report and the summary should be sent');
+      t.assert(sent[1].message.indexOf('1 occurrences suppressed') !== -1,
+        'The summary should be sent on close');
+      t.end();
+    });
+  }
+);
+
+test(
+  'Given reporting has been disabled the ReportingClient should drop the ' +
+  'summaries of rate limiting',
+  function (t) {
+    var sent = [];
+    var dropped = [];
+    var reportMode = 'api';
+    var apiClient = {
+      sendError: function (given, cb) {
+        sent.push(given);
+        setImmediate(cb, null, {statusCode: 200}, {});
+      }
+    };
+    var config = createStubbedConfig(null, null, {maxPerGroup: 1});
+    var client;
+    config.getReportMode = function () { return reportMode; };
+    config.getShouldReportErrorsToAPI = function () {
+      return reportMode === 'api';
+    };
+    client = new ReportingClient(config, apiClient);
+    client.on('dropped', function (given, err) {
+      dropped.push(err);
+    });
+    client.sendError(new ErrorMessage().setMessage('Error: a'));
+    client.sendError(new ErrorMessage().setMessage('Error: a'));
+    reportMode = 'disabled';
+    client._rateLimiter.summarize();
+    t.deepEqual(sent.length, 1, 'Only the allowed report should be sent');
+    t.deepEqual(dropped.length, 2,
+      'The suppressed report and the summary should be dropped');
+    t.assert(dropped[1].message.indexOf('disabled') !== -1,
+      'The summary should be dropped because reporting is disabled');
+    client.close().then(function () {
+      t.deepEqual(sent.length, 1, 'No summary should be sent on close');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The ReportingClient should emit the lifecycle events of each report',
+  function (t) {
+    var events = [];
+    var failure = new Error('Forbidden');
+    var apiClient = new (require('events').EventEmitter)();
+    var client;
+    apiClient.sendError = function (given, cb) {
+      if (given.message === 'fail') {
+        apiClient.emit('retry', given, failure, 1, 10);
+        setImmediate(cb, failure, {statusCode: 403}, {});
+        return;
+      }
+      setImmediate(cb, null, {statusCode: 200}, {});
+    };
+    client = new ReportingClient(createStubbedConfig(null), apiClient);
+    ['report', 'sent', 'failed', 'dropped', 'retry'].forEach(function (name) {
+      client.on(name, function (em, second) {
+        events.push([name, em.message, second]);
+      });
+    });
+    client.sendError(new ErrorMessage().setMessage('ok'), function () {
+      client.sendError(new ErrorMessage().setMessage('fail'), function () {
+        client.close().then(function () {
+          client.sendError(new ErrorMessage().setMessage('late'));
+          t.deepEqual(events.map(function (e) { return e.slice(0, 2); }), [
+            ['report', 'ok'],
+            ['sent', 'ok'],
+            ['report', 'fail'],
+            ['retry', 'fail'],
+            ['failed', 'fail'],
+            ['report', 'late'],
+            ['dropped', 'late']
+          ], 'The events should be emitted in order');
+          t.deepEqual(events[1][2].statusCode, 200,
+            'The sent event should carry the response');
+          t.strictEqual(events[4][2], failure,
+            'The failed event should carry the error');
+          t.deepEqual(events[6][2].dropped, true,
+            'The dropped event should carry the error');
+          t.end();
+        });
+      });
+    });
+  }
+);
+
+test(
+  'The ReportingClient should emit dropped for reports dropped by the queue',
+  function (t) {
+    var dropped = [];
+    var apiClient = {
+      sendError: function (given, cb) { setImmediate(cb, null, {}, {}); }
+    };
+    var client = new ReportingClient(createStubbedConfig({maxBatchSize: 10,
+      maxQueueSize: 1, flushInterval: 5}), apiClient);
+    client.on('dropped', function (em) { dropped.push(em.message); });
+    client.sendError(new ErrorMessage().setMessage('first'));
+    client.sendError(new ErrorMessage().setMessage('second'));
+    client.flush(function () {
+      t.deepEqual(dropped, ['first'], 'The oldest report should be dropped');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The ReportingClient should cut oversized reports before delivering them',
+  function (t) {
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo')
+      .setUser(new Array(2000).join('u'));
+    var truncated = null;
+    var apiClient = {
+      sendError: function (given, cb) {
+        t.assert(Buffer.byteLength(given.context.user) <= 1024,
+          'The report should be cut before reaching the transport');
+        cb(null, {statusCode: 200}, {});
+      }
+    };
+    var client = new ReportingClient(createStubbedConfig(null), apiClient);
+    client.on('truncated', function (report, fields) {
+      truncated = fields;
+      t.strictEqual(report, em);
+    });
+    client.sendError(em, function (err) {
+      t.deepEqual(err, null);
+      t.deepEqual(truncated, ['context.user'],
+        'The truncated event should name the cut fields');
+      t.end();
+    });
+  }
+);
+
+test(
+  'Given reporting is disabled the ReportingClient should drop every report',
+  function (t) {
+    var em = new ErrorMessage();
+    var dropped = null;
+    var apiClient = {
+      sendError: function () { t.fail('The transport should not be used'); }
+    };
+    var client = new ReportingClient(
+      createStubbedConfig(null, null, null, 'disabled'), apiClient);
+    client.on('dropped', function (report, err) { dropped = err; });
+    client.sendError(em, function (err) {
+      t.assert(err.dropped, 'The report should be dropped');
+      t.assert(/disabled by the report mode/.test(err.message));
+      t.strictEqual(dropped, err, 'dropped should be emitted');
+      t.end();
+    });
+  }
+);
+
+test(
+  'Given the auto report mode outside of production the ReportingClient ' +
+  'should drop every report unless rendering them on the console',
+  function (t) {
+    var dropped = null;
+    var rendered = 0;
+    var client = new ReportingClient(
+      createStubbedConfig(null, null, null, 'auto'), {
+        sendError: function () { t.fail('The transport should not be used'); }
+      });
+    var consoleClient = new ReportingClient(
+      createStubbedConfig(null, null, null, 'console'), {
+        sendError: function (em, cb) {
+          rendered += 1;
+          cb(null, null, null);
+        }
+      });
+    client.on('dropped', function (report, err) { dropped = err; });
+    client.sendError(new ErrorMessage(), function (err) {
+      t.assert(err.dropped, 'The report should be dropped');
+      t.assert(/NODE_ENV/.test(err.message));
+      t.strictEqual(dropped, err, 'dropped should be emitted');
+      consoleClient.sendError(new ErrorMessage(), function (err) {
+        t.deepEqual(err, null);
+        t.deepEqual(rendered, 1, 'The console mode should render reports');
+        t.end();
+      });
+    });
+  }
+);
+
+test(
+  'Given a filter the ReportingClient should drop the reports it rejects',
+  function (t) {
+    var sent = [];
+    var config = lodash.assign(createStubbedConfig(null), {
+      getFilter: function () {
+        return function (report) {
+          if (report.message === 'throws') {
+            throw new Error('faulty filter');
+          }
+          return report.message !== 'noisy';
+        };
+      }
+    });
+    var client = new ReportingClient(config, {
+      sendError: function (given, cb) {
+        sent.push(given.message);
+        cb(null, {statusCode: 200}, {});
+      }
+    });
+    client.sendError(new ErrorMessage().setMessage('noisy'), function (err) {
+      t.assert(err.dropped, 'The report should be dropped');
+      t.assert(err.filtered, 'The report should be marked as filtered');
+      client.sendError(new ErrorMessage().setMessage('throws'));
+      client.sendError(new ErrorMessage().setMessage('kept'));
+      t.deepEqual(sent, ['throws', 'kept'],
+        'Reports should be sent if the filter accepts them or throws');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The ReportingClient should deliver through a replaced transport',
+  function (t) {
+    var first = new EventEmitter();
+    var second = new EventEmitter();
+    var retries = 0;
+    var client;
+    first.sendError = function () { t.fail('The first transport is replaced'); };
+    second.sendError = function (given, cb) { cb(null, {statusCode: 200}, {}); };
+    client = new ReportingClient(createStubbedConfig(null), first);
+    client.on('retry', function () { retries += 1; });
+    t.strictEqual(client.setTransport(second), client,
+      'setTransport should be chainable');
+    second.emit('retry');
+    t.deepEqual(retries, 1, 'Retries of the new transport should be forwarded');
+    client.sendError(new ErrorMessage(), function (err) {
+      t.deepEqual(err, null);
+      t.end();
+    });
+  }
+);
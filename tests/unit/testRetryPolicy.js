@@ -0,0 +1,111 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+var test = require('tape');
+var RetryPolicy = require('../../lib/google-apis/retry-policy.js');
+
+function errorWithCode(code) {
+  var e = new Error('test error');
+  e.code = code;
+  return e;
+}
+
+test(
+  'Given invalid options the RetryPolicy should use the default options',
+  function (t) {
+    var p = new RetryPolicy({maxRetries: -1, initialDelay: 'a', maxDelay: NaN});
+    t.deepEqual(p.maxRetries, RetryPolicy.DEFAULT_RETRY_OPTIONS.maxRetries);
+    t.deepEqual(p.initialDelay, RetryPolicy.DEFAULT_RETRY_OPTIONS.initialDelay);
+    t.deepEqual(p.maxDelay, RetryPolicy.DEFAULT_RETRY_OPTIONS.maxDelay);
+    p = new RetryPolicy(null);
+    t.deepEqual(p.maxRetries, RetryPolicy.DEFAULT_RETRY_OPTIONS.maxRetries);
+    p = new RetryPolicy({maxRetries: 0, initialDelay: 10, maxDelay: 20});
+    t.deepEqual(p.maxRetries, 0, 'Valid options should be assigned');
+    t.deepEqual(p.initialDelay, 10);
+    t.deepEqual(p.maxDelay, 20);
+    t.end();
+  }
+);
+
+test(
+  'The RetryPolicy should only consider transient failures retryable',
+  function (t) {
+    var p = new RetryPolicy();
+    [408, 429, 500, 501, 502, 503, 504, 505].forEach(function (code) {
+      t.assert(p.isRetryable(null, {statusCode: code}),
+        'A response with status code ' + code + ' should be retryable');
+      t.assert(p.isRetryable(errorWithCode(code), null),
+        'An error with code ' + code + ' should be retryable');
+    });
+    [400, 401, 403, 404].forEach(function (code) {
+      t.assert(!p.isRetryable(errorWithCode(code), {statusCode: code}),
+        'A response with status code ' + code + ' should not be retryable');
+    });
+    t.assert(p.isRetryable(errorWithCode('ECONNRESET'), undefined),
+      'A reset socket should be retryable');
+    t.assert(p.isRetryable(errorWithCode('ENOTFOUND'), undefined),
+      'Any socket error should be retryable');
+    t.assert(!p.isRetryable(new Error('no code'), undefined),
+      'An error without a code should not be retryable');
+    t.end();
+  }
+);
+
+test(
+  'The RetryPolicy should back off exponentially with jitter up to maxDelay',
+  function (t) {
+    var p = new RetryPolicy({initialDelay: 100, maxDelay: 500});
+    var i;
+    var d;
+    for (i = 0; i < 20; i++) {
+      d = p.getBackoffDelay(1);
+      t.assert(d >= 50 && d <= 100, 'First delay should be within [50, 100]');
+      d = p.getBackoffDelay(3);
+      t.assert(d >= 200 && d <= 400, 'Third delay should be within [200, 400]');
+      d = p.getBackoffDelay(10);
+      t.assert(d >= 250 && d <= 500, 'Delays should be capped by maxDelay');
+    }
+    t.end();
+  }
+);
+
+test(
+  'The RetryPolicy should stop after maxRetries and honor Retry-After',
+  function (t) {
+    var p = new RetryPolicy({maxRetries: 2, initialDelay: 10, maxDelay: 5000});
+    var unavailable = {statusCode: 503, headers: {}};
+    var date = new Date(Date.now() + 4000).toUTCString();
+    var fromDate;
+    t.assert(p.getRetryDelay(1, null, unavailable) >= 0);
+    t.assert(p.getRetryDelay(2, null, unavailable) >= 0);
+    t.deepEqual(p.getRetryDelay(3, null, unavailable), -1,
+      'Should not retry once maxRetries have been performed');
+    t.deepEqual(p.getRetryDelay(1, null, {statusCode: 400}), -1,
+      'Should not retry a non-retryable failure');
+    t.deepEqual(
+      p.getRetryDelay(1, null, {statusCode: 429, headers: {'retry-after': '2'}}),
+      2000, 'Should wait for the number of seconds given by Retry-After');
+    t.deepEqual(
+      p.getRetryDelay(1, null, {statusCode: 429, headers: {'retry-after': '9'}}),
+      5000, 'Should wait maxDelay if Retry-After exceeds maxDelay');
+    fromDate =
+      p.getRetryDelay(1, null, {statusCode: 429, headers: {'retry-after': date}});
+    t.assert(fromDate > 2000 && fromDate <= 4000,
+      'Should parse Retry-After given as an HTTP-date');
+    t.end();
+  }
+);
@@ -0,0 +1,128 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var schemaValidator = require('../../lib/schema-validator.js');
+var validateSchema = schemaValidator.validateSchema;
+var suggest = schemaValidator.suggest;
+var isValid = schemaValidator.isValid;
+
+var SCHEMA = {
+  name: {type: ['string']},
+  mode: {type: ['string', 'object'], values: ['fast', 'slow'], properties: {
+    mode: {type: ['string'], values: ['fast', 'slow']}
+  }},
+  limits: {type: ['boolean', 'object'], properties: {
+    count: {type: ['integer'], minimum: 1},
+    delay: {type: ['number'], minimum: 0}
+  }},
+  targets: {type: ['array'], items: {type: ['object'], properties: {
+    id: {type: ['string'], required: true},
+    filter: {type: ['function']}
+  }}},
+  sink: {type: ['string', 'transport'], values: ['api']}
+};
+
+function messages(problems) {
+  return problems.map(function(problem) {
+    return problem.message;
+  });
+}
+
+test('Valid options should not produce problems', function(t) {
+  t.deepEqual(validateSchema({
+    name: 'checkout',
+    mode: {mode: 'fast'},
+    limits: {count: 2, delay: 0.5},
+    targets: [{id: 'a', filter: function() { return true; }}],
+    sink: {sendError: function() {}}
+  }, SCHEMA), []);
+  t.deepEqual(validateSchema({mode: 'slow', limits: true, sink: 'api',
+    name: null, targets: undefined}, SCHEMA), [],
+    'Options given as null or undefined should be treated as not given');
+  t.end();
+});
+
+test('Unknown options should be reported with suggestions', function(t) {
+  var problems = validateSchema({nmae: 'checkout', limits: {Count: 1},
+    unrelated: true}, SCHEMA);
+  t.deepEqual(problems, [{
+    path: 'nmae',
+    kind: 'unknown',
+    suggestion: 'name',
+    message: 'Unknown option nmae - did you mean name?'
+  }, {
+    path: 'unrelated',
+    kind: 'unknown',
+    suggestion: null,
+    message: 'Unknown option unrelated'
+  }, {
+    path: 'limits.Count',
+    kind: 'unknown',
+    suggestion: 'limits.count',
+    message: 'Unknown option limits.Count - did you mean limits.count?'
+  }]);
+  t.end();
+});
+
+test('Options of the wrong type should be reported', function(t) {
+  t.deepEqual(messages(validateSchema({
+    name: 3,
+    mode: 'medium',
+    limits: {count: 0, delay: '5'},
+    targets: [{filter: 'yes'}],
+    sink: {}
+  }, SCHEMA)), [
+    'Invalid option name: expected a string but got the number 3',
+    'Invalid option mode: expected one of fast, slow or an object but got ' +
+      'the string "medium"',
+    'Invalid option limits.count: expected an integer of at least 1 but got ' +
+      'the number 0',
+    'Invalid option limits.delay: expected a number of at least 0 but got ' +
+      'the string "5"',
+    'Missing option targets[0].id: expected a string',
+    'Invalid option targets[0].filter: expected a function but got the ' +
+      'string "yes"',
+    'Invalid option sink: expected one of api or an object with a sendError ' +
+      'function but got an object'
+  ]);
+  t.end();
+});
+
+test('Suggestions should only be made for close names', function(t) {
+  t.deepEqual(suggest('serviceContex', ['serviceContext', 'key']),
+    'serviceContext');
+  t.deepEqual(suggest('reportUncaughtException',
+    ['reportUncaughtExceptions', 'onUncaughtException']),
+    'reportUncaughtExceptions');
+  t.deepEqual(suggest('KEY', ['key']), 'key');
+  t.deepEqual(suggest('verbose', ['key', 'retry']), null);
+  t.end();
+});
+
+test('A single value should be checked against its schema', function(t) {
+  var count = {type: ['integer'], minimum: 1};
+  t.ok(isValid(2, count));
+  t.notOk(isValid(1.5, count), 'A fraction is not an integer');
+  t.notOk(isValid(0, count), 'The minimum should be enforced');
+  t.ok(isValid('fast', SCHEMA.mode));
+  t.notOk(isValid('loud', SCHEMA.mode));
+  t.ok(isValid({mode: 'loud'}, SCHEMA.mode),
+    'The properties of an object should not be checked');
+  t.end();
+});
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var http = require('http');
+var crypto = require('crypto');
+var querystring = require('querystring');
+var ServiceAccountToken =
+  require('../../lib/google-apis/service-account-token.js');
+var RequestTimeoutError =
+  require('../../lib/google-apis/request-timeout-error.js');
+
+var keys = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: {type: 'spki', format: 'pem'},
+  privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+});
+
+function decode(segment) {
+  return new Buffer(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function claimsAudience(token) {
+  return JSON.parse(decode(token._createAssertion().split('.')[1]).toString())
+    .aud;
+}
+
+function createTokenServer(handler, cb) {
+  var server = http.createServer(function (req, res) {
+    var body = '';
+    req.on('data', function (chunk) { body += chunk; });
+    req.on('end', function () {
+      handler(querystring.parse(body), res);
+    });
+  });
+  server.listen(0, '127.0.0.1', function () {
+    cb(server, 'http://127.0.0.1:' + server.address().port + '/token');
+  });
+}
+
+function respond(res, statusCode, body) {
+  res.writeHead(statusCode, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify(body));
+}
+
+test(
+  'The ServiceAccountToken should mint a token with a signed assertion and ' +
+  'cache it',
+  function (t) {
+    var minted = 0;
+    createTokenServer(function (form, res) {
+      var segments = form.assertion.split('.');
+      var claims = JSON.parse(decode(segments[1]).toString());
+      minted += 1;
+      t.deepEqual(form.grant_type,
+        'urn:ietf:params:oauth:grant-type:jwt-bearer');
+      t.deepEqual(JSON.parse(decode(segments[0]).toString()).alg, 'RS256');
+      t.deepEqual(claims.iss, 'sa@test-project.iam.gserviceaccount.com');
+      t.deepEqual(claims.scope, 'scope-a scope-b');
+      t.assert(crypto.createVerify('RSA-SHA256')
+        .update(segments[0] + '.' + segments[1])
+        .verify(keys.publicKey, decode(segments[2])),
+        'The assertion should be signed with the private key');
+      respond(res, 200, {access_token: 'token-' + minted, expires_in: 3600});
+    }, function (server, tokenUri) {
+      var token = new ServiceAccountToken({
+        client_email: 'sa@test-project.iam.gserviceaccount.com',
+        private_key: keys.privateKey,
+        token_uri: tokenUri
+      }, ['scope-a', 'scope-b']);
+      t.deepEqual(claimsAudience(token), tokenUri,
+        'The token endpoint of the key file should be used');
+      token.getAccessToken(function (err, first) {
+        t.deepEqual(err, null);
+        t.deepEqual(first, 'token-1');
+        token.getAccessToken(function (err, second) {
+          t.deepEqual(second, 'token-1', 'The token should be cached');
+          t.deepEqual(minted, 1, 'Only one token should be minted');
+          server.close();
+          t.end();
+        });
+      });
+    });
+  }
+);
+
+test(
+  'The ServiceAccountToken should mint a single token for concurrent callers ' +
+  'and mint again once the token is about to expire',
+  function (t) {
+    var minted = 0;
+    createTokenServer(function (form, res) {
+      minted += 1;
+      respond(res, 200, {access_token: 'token-' + minted, expires_in: 30});
+    }, function (server, tokenUri) {
+      var token = new ServiceAccountToken({
+        client_email: 'sa@test-project.iam.gserviceaccount.com',
+        private_key: keys.privateKey,
+        token_uri: tokenUri
+      }, ['scope']);
+      var given = [];
+      var collect = function (err, value) {
+        given.push(value);
+        if (given.length < 2) {
+          return;
+        }
+        t.deepEqual(given, ['token-1', 'token-1'],
+          'Concurrent callers should share the minted token');
+        token.getAccessToken(function (err, value) {
+          t.deepEqual(value, 'token-2',
+            'A token expiring within a minute should be minted again');
+          server.close();
+          t.end();
+        });
+      };
+      token.getAccessToken(collect);
+      token.getAccessToken(collect);
+    });
+  }
+);
+
+test(
+  'The ServiceAccountToken should call back with an error if the token ' +
+  'endpoint refuses the assertion',
+  function (t) {
+    createTokenServer(function (form, res) {
+      respond(res, 400, {error: 'invalid_grant'});
+    }, function (server, tokenUri) {
+      var token = new ServiceAccountToken({
+        client_email: 'sa@test-project.iam.gserviceaccount.com',
+        private_key: keys.privateKey,
+        token_uri: tokenUri
+      }, ['scope']);
+      token.createRequest()({url: tokenUri}, function (err, response) {
+        t.assert(err instanceof Error, 'An error should be given');
+        t.deepEqual(err.code, 400, 'The status code should be given');
+        t.deepEqual(response, null);
+        server.close();
+        t.end();
+      });
+    });
+  }
+);
+
+test(
+  'Given a token endpoint which never responds the ServiceAccountToken should ' +
+  'time out, fail every waiting caller and mint again',
+  function (t) {
+    var hanging = true;
+    createTokenServer(function (form, res) {
+      if (!hanging) {
+        respond(res, 200, {access_token: 'recovered', expires_in: 3600});
+      }
+    }, function (server, tokenUri) {
+      var token = new ServiceAccountToken({
+        client_email: 'sa@test-project.iam.gserviceaccount.com',
+        private_key: keys.privateKey,
+        token_uri: tokenUri
+      }, ['scope'], null, 50);
+      var errors = [];
+      function collect(err) {
+        errors.push(err);
+        if (errors.length < 2) {
+          return;
+        }
+        t.assert(errors.every(function (e) {
+          return e instanceof RequestTimeoutError;
+        }), 'Every waiting caller should be given the timeout');
+        t.deepEqual(token._waiting, null, 'No caller should be left waiting');
+        hanging = false;
+        token.getAccessToken(function (err, accessToken) {
+          t.error(err, 'A token should be minted once the endpoint recovers');
+          t.deepEqual(accessToken, 'recovered');
+          server.close();
+          t.end();
+        });
+      }
+      token.getAccessToken(collect);
+      token.getAccessToken(collect);
+    });
+  }
+);
+
+test(
+  'The ServiceAccountToken request function should authorize requests with ' +
+  'the minted token',
+  function (t) {
+    var server = http.createServer(function (req, res) {
+      if (req.url === '/token') {
+        respond(res, 200, {access_token: 'minted', expires_in: 3600});
+        return;
+      }
+      t.deepEqual(req.headers.authorization, 'Bearer minted',
+        'The request should carry the minted token');
+      respond(res, 200, {});
+    });
+    server.listen(0, '127.0.0.1', function () {
+      var base = 'http://127.0.0.1:' + server.address().port;
+      var token = new ServiceAccountToken({
+        client_email: 'sa@test-project.iam.gserviceaccount.com',
+        private_key: keys.privateKey,
+        token_uri: base + '/token'
+      }, ['scope']);
+      token.createRequest()({url: base + '/report', method: 'POST', json: {}},
+        function (err, response) {
+          t.deepEqual(err, null);
+          t.deepEqual(response.statusCode, 200);
+          server.close();
+          t.end();
+        });
+    });
+  }
+);
+
+test(
+  'The ServiceAccountToken should default to the Google token endpoint',
+  function (t) {
+    var token = new ServiceAccountToken({
+      client_email: 'sa@test-project.iam.gserviceaccount.com',
+      private_key: keys.privateKey
+    }, ['scope']);
+    t.deepEqual(token.tokenUri, ServiceAccountToken.DEFAULT_TOKEN_URI);
+    t.end();
+  }
+);
@@ -0,0 +1,105 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var detectors = require('../../lib/service-context-detectors.js');
+var detectServiceContext = detectors.detectServiceContext;
+
+test('No service context should be detected off a known platform',
+  function(t) {
+    t.deepEqual(detectServiceContext({}), null);
+    t.deepEqual(detectServiceContext({GAE_SERVICE: '', K_SERVICE: ''}), null,
+      'Empty variables should be ignored');
+    t.end();
+  }
+);
+
+test('App Engine should be detected', function(t) {
+  t.deepEqual(detectServiceContext({GAE_SERVICE: 'default',
+    GAE_VERSION: '20161019t1', GAE_MODULE_NAME: 'legacy'}),
+    {service: 'default', version: '20161019t1', source: 'appEngine'});
+  t.deepEqual(detectServiceContext({GAE_MODULE_NAME: 'legacy',
+    GAE_MODULE_VERSION: '3'}),
+    {service: 'legacy', version: '3', source: 'appEngineLegacy'});
+  t.end();
+});
+
+test('Cloud Functions should be detected', function(t) {
+  t.deepEqual(detectServiceContext({FUNCTION_NAME: 'resize',
+    X_GOOGLE_FUNCTION_VERSION: '7'}),
+    {service: 'resize', version: '7', source: 'cloudFunctions'});
+  t.deepEqual(detectServiceContext({FUNCTION_TARGET: 'resizeImage',
+    K_SERVICE: 'resize', K_REVISION: 'resize-00002-abc'}),
+    {service: 'resize', version: 'resize-00002-abc',
+      source: 'cloudFunctions'},
+    'Second generation functions should not be taken for Cloud Run');
+  t.end();
+});
+
+test('Cloud Run should be detected', function(t) {
+  t.deepEqual(detectServiceContext({K_SERVICE: 'checkout',
+    K_REVISION: 'checkout-00001-xyz'}),
+    {service: 'checkout', version: 'checkout-00001-xyz',
+      source: 'cloudRun'});
+  t.deepEqual(detectServiceContext({K_SERVICE: 'checkout'}),
+    {service: 'checkout', version: '', source: 'cloudRun'},
+    'A missing version should be empty');
+  t.end();
+});
+
+test('Kubernetes should be detected through the pod labels', function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloud-errors-labels-'));
+  var labels = path.join(dir, 'labels');
+  var environment = {KUBERNETES_SERVICE_HOST: '10.0.0.1',
+    CLOUD_ERRORS_POD_LABELS_FILE: labels};
+  t.deepEqual(detectServiceContext(environment), null,
+    'Without a labels file the platform should not be recognized');
+  fs.writeFileSync(labels, 'pod-template-hash="5d8f"\napp="checkout"\n' +
+    'app.kubernetes.io/version="1.4.2"\n');
+  t.deepEqual(detectServiceContext(environment),
+    {service: 'checkout', version: '1.4.2', source: 'kubernetes'});
+  fs.writeFileSync(labels, 'app.kubernetes.io/name="cart\\"s"\napp="other"');
+  t.deepEqual(detectServiceContext(environment),
+    {service: 'cart"s', version: '', source: 'kubernetes'},
+    'Label values should be unescaped and the standard labels preferred');
+  t.deepEqual(detectServiceContext({CLOUD_ERRORS_POD_LABELS_FILE: labels}),
+    null, 'Outside of Kubernetes the labels should not be read');
+  fs.unlinkSync(labels);
+  fs.rmdirSync(dir);
+  t.end();
+});
+
+test('Custom detectors should be run in order', function(t) {
+  var order = [];
+  function detector(name, context) {
+    return {name: name, detect: function(environment) {
+      order.push(name);
+      t.deepEqual(environment, {A: '1'});
+      return context;
+    }};
+  }
+  t.deepEqual(detectServiceContext({A: '1'}, [detector('first', null),
+    detector('second', {service: 's', version: 'v'}),
+    detector('third', {service: 't', version: ''})]),
+    {service: 's', version: 'v', source: 'second'});
+  t.deepEqual(order, ['first', 'second']);
+  t.end();
+});
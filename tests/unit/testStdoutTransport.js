@@ -0,0 +1,80 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var StdoutTransport = require('../../lib/transports/stdout-transport.js');
+var ErrorMessage = require('../../lib/classes/error-message.js');
+
+function createStream(err) {
+  var stream = {lines: []};
+  stream.write = function (chunk, cb) {
+    stream.lines.push(chunk);
+    setImmediate(cb, err);
+  };
+  return stream;
+}
+
+test(
+  'The StdoutTransport should write each report as one ReportedErrorEvent line',
+  function (t) {
+    var stream = createStream();
+    var transport = new StdoutTransport({}, stream);
+    var em = new ErrorMessage().setMessage('Error: test\n    at foo')
+      .setServiceContext('my-service', '1.0.0')
+      .setUser('user');
+    transport.sendError(em, function (err, response, body) {
+      var entry;
+      t.deepEqual(err, null, 'No error should be given on success');
+      t.deepEqual(response, null);
+      t.deepEqual(body, null);
+      t.deepEqual(stream.lines.length, 1, 'A single chunk should be written');
+      t.deepEqual(stream.lines[0].indexOf('\n'), stream.lines[0].length - 1,
+        'The entry should be written as a single line');
+      entry = JSON.parse(stream.lines[0]);
+      t.deepEqual(entry['@type'], StdoutTransport.REPORTED_ERROR_EVENT_TYPE);
+      t.deepEqual(entry.severity, 'ERROR');
+      t.deepEqual(entry.message, em.message);
+      t.deepEqual(entry.eventTime, em.eventTime);
+      t.deepEqual(entry.serviceContext,
+        {service: 'my-service', version: '1.0.0'});
+      t.deepEqual(entry.context.user, 'user');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The StdoutTransport should call back with the error of a failed write',
+  function (t) {
+    var failure = new Error('EPIPE');
+    var transport = new StdoutTransport({}, createStream(failure));
+    transport.sendError(new ErrorMessage(), function (err) {
+      t.strictEqual(err, failure, 'The write error should be given');
+      t.end();
+    });
+  }
+);
+
+test(
+  'The StdoutTransport should default to the stdout of the process',
+  function (t) {
+    var transport = new StdoutTransport({});
+    t.strictEqual(transport._stream, process.stdout);
+    t.end();
+  }
+);
@@ -0,0 +1,85 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+var test = require('tape');
+var transientErrors = require('../../lib/transient-errors.js');
+var isTransient = transientErrors.isTransient;
+var getStatusCode = transientErrors.getStatusCode;
+var RetryPolicy = require('../../lib/google-apis/retry-policy.js');
+var CircuitBreaker = require('../../lib/google-apis/circuit-breaker.js');
+var ReportSpool = require('../../lib/classes/report-spool.js');
+
+function createError(code) {
+  var err = new Error('failure');
+  err.code = code;
+  return err;
+}
+
+test(
+  'The status code of a response should be preferred over the error code',
+  function (t) {
+    t.deepEqual(getStatusCode(createError(500), {statusCode: 404}), 404);
+    t.deepEqual(getStatusCode(createError(503), null), 503);
+    t.deepEqual(getStatusCode(createError('ECONNRESET'), undefined), 0);
+    t.deepEqual(getStatusCode(null, null), 0);
+    t.end();
+  }
+);
+
+test(
+  'Only timeouts, throttling, server errors and socket errors should be ' +
+  'transient',
+  function (t) {
+    [408, 429, 500, 501, 503, 505, 599].forEach(function (code) {
+      t.assert(isTransient(createError(code)),
+        'The status code ' + code + ' should be transient');
+    });
+    [400, 401, 403, 404, 413].forEach(function (code) {
+      t.assert(!isTransient(createError(code)),
+        'The status code ' + code + ' should not be transient');
+    });
+    t.assert(isTransient(createError('ECONNRESET')));
+    t.assert(isTransient(null, {statusCode: 503}));
+    t.assert(!isTransient(createError(503), {statusCode: 400}),
+      'The status code of the response should decide');
+    t.assert(!isTransient(new Error('Not configured')),
+      'Errors raised before a request was made should not be transient');
+    t.assert(!isTransient(null));
+    t.end();
+  }
+);
+
+test(
+  'The retry policy, the circuit breaker and the spool should agree on ' +
+  'transient errors',
+  function (t) {
+    var policy = new RetryPolicy();
+    [408, 429, 500, 501, 505, 'ENOTFOUND', 400, 404].forEach(function (code) {
+      var err = createError(code);
+      t.deepEqual(policy.isRetryable(err), isTransient(err),
+        'The retry policy should classify ' + code + ' as transient or not');
+      t.deepEqual(ReportSpool.isSpoolable(err), isTransient(err),
+        'The spool should classify ' + code + ' as transient or not');
+      t.assert(!isTransient(err) || CircuitBreaker.isFailure(err),
+        'The circuit breaker should count ' + code + ' if transient');
+    });
+    t.assert(CircuitBreaker.isFailure(createError(401)),
+      'Unauthorized requests should count as failures of the API too');
+    t.end();
+  }
+);
@@ -0,0 +1,177 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+'use strict';
+var test = require('tape');
+var lodash = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var uncaughtSetup = require('../../lib/interfaces/uncaught.js');
+
+function createStubbedConfig(options) {
+  return {
+    getUncaughtExceptionOptions: function () { return options; },
+    getServiceContext: function () {
+      return {service: 'checkout', version: '1.4.2'};
+    },
+    getSourceReferences: function () { return [{revisionId: 'abc'}]; }
+  };
+}
+
+function createStubbedClient(flushErr) {
+  var client = {reports: [], flushTimeouts: []};
+  client.sendError = function (em) { client.reports.push(em); };
+  client.flush = function (timeout, cb) {
+    client.flushTimeouts.push(timeout);
+    setImmediate(cb, flushErr || null);
+  };
+  return client;
+}
+
+// Attaches the handler, emits an uncaught exception to it and detaches it
+function emitUncaught(client, options, err) {
+  var before = process.listeners('uncaughtException');
+  var handler;
+  uncaughtSetup(client, createStubbedConfig(options));
+  handler = process.listeners('uncaughtException').filter(function (l) {
+    return before.indexOf(l) === -1;
+  })[0];
+  process.removeListener('uncaughtException', handler);
+  handler(err);
+}
+
+function stubExit(t, expectedCode, done) {
+  var exit = process.exit;
+  process.exit = function (code) {
+    process.exit = exit;
+    t.deepEqual(code, expectedCode, 'The process should exit with ' +
+      expectedCode);
+    done();
+  };
+  return function () { process.exit = exit; };
+}
+
+test(
+  'The ignore mode should not listen for uncaught exceptions',
+  function (t) {
+    var count = process.listeners('uncaughtException').length;
+    t.deepEqual(uncaughtSetup(createStubbedClient(),
+      createStubbedConfig({mode: 'ignore'})), null);
+    t.deepEqual(process.listeners('uncaughtException').length, count);
+    t.end();
+  }
+);
+
+test(
+  'The reportAndExit mode should report, call back and exit with the code',
+  function (t) {
+    var client = createStubbedClient();
+    var err = new Error('uncaught');
+    var calledWith = null;
+    stubExit(t, 70, function () {
+      t.deepEqual(client.reports.length, 1, 'The exception should be reported');
+      t.deepEqual(client.reports[0].message.split('\n')[0], 'Error: uncaught');
+      t.deepEqual(client.flushTimeouts, [3000],
+        'Pending reports should be waited for up to the timeout');
+      t.deepEqual(calledWith, [err, null],
+        'The callback should be called before exiting');
+      t.end();
+    });
+    emitUncaught(client, {mode: 'reportAndExit', exitCode: 70, timeout: 3000,
+      callback: function (e, flushErr) { calledWith = [e, flushErr]; }},
+      err);
+  }
+);
+
+test(
+  'The reportAndExit mode should exit even if the callback throws',
+  function (t) {
+    var flushErr = new Error('Timed out');
+    var client = createStubbedClient(flushErr);
+    var given = null;
+    stubExit(t, 1, function () {
+      t.strictEqual(given, flushErr,
+        'The callback should be given the flush error');
+      t.end();
+    });
+    emitUncaught(client, {mode: 'reportAndExit', exitCode: 1, timeout: 10,
+      callback: function (e, f) { given = f; throw new Error('oops'); }},
+      new Error('uncaught'));
+  }
+);
+
+test(
+  'The report mode should report and keep the process running',
+  function (t) {
+    var client = createStubbedClient();
+    var restore = stubExit(t, null, function () {
+      t.fail('The process should not exit');
+    });
+    emitUncaught(client, {mode: 'report', exitCode: 1, timeout: 10,
+      callback: function () {
+        setImmediate(function () {
+          restore();
+          t.deepEqual(client.reports.length, 1);
+          t.end();
+        });
+      }}, new Error('uncaught'));
+  }
+);
+
+test(
+  'The report should carry the service context and source references',
+  function (t) {
+    var client = createStubbedClient();
+    var restore = stubExit(t, null, function () {});
+    emitUncaught(client, {mode: 'report', exitCode: 1, timeout: 10,
+      callback: function () {
+        restore();
+        t.deepEqual(client.reports[0].serviceContext,
+          {service: 'checkout', version: '1.4.2'});
+        t.deepEqual(client.reports[0].context.sourceReferences,
+          [{revisionId: 'abc'}]);
+        t.end();
+      }}, new Error('uncaught'));
+  }
+);
+
+test(
+  'Changing the uncaught exception options should attach the handler again',
+  function (t) {
+    var count = process.listeners('uncaughtException').length;
+    var config = lodash.assign(new EventEmitter(),
+      createStubbedConfig({mode: 'ignore'}));
+    var first;
+    t.deepEqual(uncaughtSetup(createStubbedClient(), config), null);
+    config.emit('change', {onUncaughtException: {previous: {mode: 'ignore'},
+      current: {mode: 'report', exitCode: 1, timeout: 10}}});
+    t.deepEqual(process.listeners('uncaughtException').length, count + 1,
+      'The handler should be attached once uncaught exceptions are reported');
+    first = process.listeners('uncaughtException')[count];
+    config.emit('change', {onUncaughtException: {previous: {mode: 'report'},
+      current: {mode: 'reportAndExit', exitCode: 2, timeout: 10}}});
+    t.deepEqual(process.listeners('uncaughtException').length, count + 1,
+      'The previous handler should be detached');
+    t.notEqual(process.listeners('uncaughtException')[count], first);
+    config.emit('change', {reportMode: {previous: 'api', current: 'auto'}});
+    config.emit('change', {onUncaughtException: {previous: {},
+      current: {mode: 'ignore', exitCode: 2, timeout: 10}}});
+    t.deepEqual(process.listeners('uncaughtException').length, count,
+      'The handler should be detached in the ignore mode');
+    t.end();
+  }
+);